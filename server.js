@@ -96,6 +96,36 @@ async function fileExists(path) {
     }
 }
 
+/**
+ * Compile LaTeX to document.pdf in the work directory
+ */
+async function compileLatex(latex, workDir) {
+    const texFile = join(workDir, 'document.tex');
+    const pdfFile = join(workDir, 'document.pdf');
+
+    // Create work directory
+    await mkdir(workDir, { recursive: true });
+
+    // Write LaTeX file
+    await writeFile(texFile, latex, 'utf-8');
+
+    // Run pdflatex - allow non-zero exit since it may print warnings
+    const pdfResult = await execCommand(
+        PDFLATEX,
+        ['-interaction=nonstopmode', '-halt-on-error', 'document.tex'],
+        workDir,
+        true // Allow non-zero exit
+    );
+
+    // Check if PDF was actually created
+    const pdfExists = await fileExists(pdfFile);
+    if (!pdfExists) {
+        throw new Error(`LaTeX compilation failed: ${pdfResult.stderr || pdfResult.stdout}`);
+    }
+
+    return pdfFile;
+}
+
 /**
  * Render LaTeX to PNG
  */
@@ -108,30 +138,10 @@ app.post('/api/render', async (req, res) => {
 
     const jobId = randomUUID();
     const workDir = join(tmpdir(), `latex-render-${jobId}`);
-    const texFile = join(workDir, 'document.tex');
-    const pdfFile = join(workDir, 'document.pdf');
     const pngFile = join(workDir, 'document');
 
     try {
-        // Create work directory
-        await mkdir(workDir, { recursive: true });
-
-        // Write LaTeX file
-        await writeFile(texFile, latex, 'utf-8');
-
-        // Run pdflatex - allow non-zero exit since it may print warnings
-        const pdfResult = await execCommand(
-            PDFLATEX,
-            ['-interaction=nonstopmode', '-halt-on-error', 'document.tex'],
-            workDir,
-            true // Allow non-zero exit
-        );
-
-        // Check if PDF was actually created
-        const pdfExists = await fileExists(pdfFile);
-        if (!pdfExists) {
-            throw new Error(`LaTeX compilation failed: ${pdfResult.stderr || pdfResult.stdout}`);
-        }
+        await compileLatex(latex, workDir);
 
         // Convert PDF to PNG using pdftocairo
         // -png for PNG output, -r 300 for 300 DPI, -singlefile for single file output
@@ -168,6 +178,45 @@ app.post('/api/render', async (req, res) => {
     }
 });
 
+/**
+ * Compile a LaTeX document (e.g. a worksheet) to a PDF file
+ */
+app.post('/api/pdf', async (req, res) => {
+    const { latex } = req.body;
+
+    if (!latex) {
+        return res.status(400).json({ error: 'LaTeX code is required' });
+    }
+
+    const jobId = randomUUID();
+    const workDir = join(tmpdir(), `latex-pdf-${jobId}`);
+
+    try {
+        const pdfFile = await compileLatex(latex, workDir);
+        const pdfBuffer = await readFile(pdfFile);
+
+        // Clean up
+        await rm(workDir, { recursive: true, force: true });
+
+        res.type('application/pdf').send(pdfBuffer);
+
+    } catch (error) {
+        console.error('PDF error:', error);
+
+        // Clean up on error
+        try {
+            await rm(workDir, { recursive: true, force: true });
+        } catch {
+            // Nothing left to clean up
+        }
+
+        res.status(500).json({
+            error: 'Failed to compile LaTeX',
+            details: error.message
+        });
+    }
+});
+
 // Legacy endpoint for backward compatibility
 app.post('/render', (req, res) => {
     req.url = '/api/render';
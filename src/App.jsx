@@ -1,8 +1,22 @@
 import { useState, useRef, useEffect } from 'react';
-import { Table2, RefreshCw, Download, FileCode, Send, Monitor } from 'lucide-react';
+import { Table2, RefreshCw, Download, FileCode, FileInput, FileType, FileCog, FileQuestion, FileStack, ListPlus, Dices, Send, Monitor } from 'lucide-react';
 import ErrorBoundary from './components/ErrorBoundary';
 import TableGenerator from './components/TableGenerator';
-import { generateFullDocument } from './utils/latexGenerator';
+import ImportDialog from './components/ImportDialog';
+import PreambleDialog from './components/PreambleDialog';
+import WorksheetDialog from './components/WorksheetDialog';
+import ExerciseGeneratorDialog from './components/ExerciseGeneratorDialog';
+import QuizExportDialog from './components/QuizExportDialog';
+import { EXPORT_FORMATS, getExportFormat } from './utils/exportFormats';
+import { generateTypst } from './utils/typstGenerator';
+import {
+  loadPreambleProfiles,
+  savePreambleProfiles,
+  loadActivePreambleName,
+  saveActivePreambleName,
+  findPreambleProfile
+} from './utils/preambleProfiles';
+import { loadWorksheet, saveWorksheet, createWorksheetItem } from './utils/worksheet';
 import './index.css';
 
 // Minimum screen width for the app (tablet size)
@@ -14,7 +28,17 @@ function App() {
   const [renderedImage, setRenderedImage] = useState(null);
   const [isRendering, setIsRendering] = useState(false);
   const [isScreenTooSmall, setIsScreenTooSmall] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [exportFormat, setExportFormat] = useState('tkz-tab');
+  const [showPreamble, setShowPreamble] = useState(false);
+  const [preambleProfiles, setPreambleProfiles] = useState(loadPreambleProfiles);
+  const [activePreambleName, setActivePreambleName] = useState(loadActivePreambleName);
+  const [worksheet, setWorksheet] = useState(loadWorksheet);
+  const [showWorksheet, setShowWorksheet] = useState(false);
+  const [showGenerator, setShowGenerator] = useState(false);
+  const [showQuiz, setShowQuiz] = useState(false);
   const refreshTriggerRef = useRef(null);
+  const importTableRef = useRef(null);
 
   // Check screen size on mount and resize
   useEffect(() => {
@@ -33,26 +57,63 @@ function App() {
     { value: 'both', label: 'Both', icon: '∑' },
   ];
 
+  // Preamble settings used by the preview and the downloads
+  const preamble = findPreambleProfile(preambleProfiles, activePreambleName);
+
+  const handlePreambleSave = (profiles, activeName) => {
+    setPreambleProfiles(profiles);
+    setActivePreambleName(activeName);
+    savePreambleProfiles(profiles);
+    saveActivePreambleName(activeName);
+  };
+
+  const handleWorksheetChange = (updated) => {
+    setWorksheet(updated);
+    saveWorksheet(updated);
+  };
+
+  const addToWorksheet = () => {
+    if (!tableData) return;
+    handleWorksheetChange({ ...worksheet, items: [...worksheet.items, createWorksheetItem(tableData)] });
+  };
+
   const handleRefresh = () => {
     if (refreshTriggerRef.current) {
       refreshTriggerRef.current();
     }
   };
 
-  const downloadTex = () => {
-    if (!tableData) return;
-    const code = generateFullDocument(tableData);
+  // Load an imported table into the editor and switch to its table type
+  const handleImport = (table) => {
+    setTableType(table.tableType);
+    if (importTableRef.current) {
+      importTableRef.current(table);
+    }
+  };
+
+  const downloadFile = (code, filename) => {
     const blob = new Blob([code], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'math_table.tex';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   };
 
+  const downloadTex = () => {
+    if (!tableData) return;
+    const format = getExportFormat(exportFormat);
+    downloadFile(format.generate(tableData, preamble), `math_table${format.fileSuffix || ''}.${format.extension}`);
+  };
+
+  const downloadTypst = () => {
+    if (!tableData) return;
+    downloadFile(generateTypst(tableData), 'math_table.typ');
+  };
+
   const downloadImage = () => {
     if (!renderedImage) return;
     const link = document.createElement('a');
@@ -153,6 +214,17 @@ function App() {
               <span className="hidden sm:inline">Download Image</span>
             </button>
 
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="input text-sm w-auto"
+              title="Format of the downloaded code"
+            >
+              {EXPORT_FORMATS.map((format) => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+
             <button
               onClick={downloadTex}
               className="toolbar-btn"
@@ -163,6 +235,74 @@ function App() {
               <span className="hidden sm:inline">Download LaTeX</span>
             </button>
 
+            <button
+              onClick={downloadTypst}
+              className="toolbar-btn"
+              disabled={!tableData}
+              title="Download Typst file (CeTZ drawing)"
+            >
+              <FileType size={18} />
+              <span className="hidden sm:inline">Download .typ</span>
+            </button>
+
+            <button
+              onClick={() => setShowQuiz(true)}
+              className="toolbar-btn"
+              disabled={!tableData}
+              title="Export as a Moodle XML or QTI gap-fill question"
+            >
+              <FileQuestion size={18} />
+              <span className="hidden sm:inline">Quiz</span>
+            </button>
+
+            <button
+              onClick={() => setShowPreamble(true)}
+              className="toolbar-btn"
+              title={`Document preamble and table style (profile: ${preamble.name})`}
+            >
+              <FileCog size={18} />
+              <span className="hidden sm:inline">Preamble</span>
+            </button>
+
+            <div className="w-px h-6 bg-gray-200"></div>
+
+            <button
+              onClick={addToWorksheet}
+              className="toolbar-btn"
+              disabled={!tableData}
+              title="Add a copy of this table to the worksheet"
+            >
+              <ListPlus size={18} />
+              <span className="hidden sm:inline">Add to worksheet</span>
+            </button>
+
+            <button
+              onClick={() => setShowWorksheet(true)}
+              className="toolbar-btn"
+              title="Arrange the worksheet and download it as one document"
+            >
+              <FileStack size={18} />
+              <span className="hidden sm:inline">Worksheet ({worksheet.items.length})</span>
+            </button>
+
+            <button
+              onClick={() => setShowGenerator(true)}
+              className="toolbar-btn"
+              title="Generate exercise variants with random parameters"
+            >
+              <Dices size={18} />
+              <span className="hidden sm:inline">Exercises</span>
+            </button>
+
+            <button
+              onClick={() => setShowImport(true)}
+              className="toolbar-btn"
+              title="Import tkz-tab LaTeX code"
+            >
+              <FileInput size={18} />
+              <span className="hidden sm:inline">Import LaTeX</span>
+            </button>
+
             <div className="w-px h-6 bg-gray-200"></div>
 
             {/* Telegram Link */}
@@ -189,9 +329,64 @@ function App() {
             onImageRendered={setRenderedImage}
             onRenderingChange={setIsRendering}
             refreshTriggerRef={refreshTriggerRef}
+            importTableRef={importTableRef}
+            preamble={preamble}
           />
         </ErrorBoundary>
       </main>
+
+      {showImport && (
+        <ImportDialog
+          onImport={handleImport}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {showPreamble && (
+        <PreambleDialog
+          profiles={preambleProfiles}
+          activeName={preamble.name}
+          onSave={handlePreambleSave}
+          onClose={() => setShowPreamble(false)}
+        />
+      )}
+
+      {showWorksheet && (
+        <WorksheetDialog
+          worksheet={worksheet}
+          preamble={preamble}
+          onChange={handleWorksheetChange}
+          onOpenTable={(table) => {
+            handleImport(table);
+            setShowWorksheet(false);
+          }}
+          onClose={() => setShowWorksheet(false)}
+        />
+      )}
+
+      {showQuiz && tableData && (
+        <QuizExportDialog
+          tableData={tableData}
+          preamble={preamble}
+          onClose={() => setShowQuiz(false)}
+        />
+      )}
+
+      {showGenerator && (
+        <ExerciseGeneratorDialog
+          preamble={preamble}
+          onAddToWorksheet={(items) => {
+            handleWorksheetChange({ ...worksheet, items: [...worksheet.items, ...items] });
+            setShowGenerator(false);
+            setShowWorksheet(true);
+          }}
+          onOpenTable={(table) => {
+            handleImport(table);
+            setShowGenerator(false);
+          }}
+          onClose={() => setShowGenerator(false)}
+        />
+      )}
     </div>
   );
 }
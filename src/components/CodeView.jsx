@@ -1,18 +1,39 @@
 import { useState } from 'react';
-import { Copy, Check, FileCode, FileText } from 'lucide-react';
-import { generateFullDocument, generateTikzSnippet } from '../utils/latexGenerator';
+import { Copy, Check } from 'lucide-react';
+import { EMBED_PROFILES, DEFAULT_EMBED_OPTIONS, generateEmbedCode } from '../utils/embedProfiles';
+
+/**
+ * Text option of an embed profile
+ */
+function OptionField({ label, value, onChange, placeholder, className = '' }) {
+    return (
+        <label className={`space-y-1 ${className}`}>
+            <span className="text-xs text-gray-500">{label}</span>
+            <input
+                type="text"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                placeholder={placeholder}
+                className="input text-sm"
+            />
+        </label>
+    );
+}
 
 /**
  * CodeView component
- * Displays the generated LaTeX code with syntax highlighting
+ * Displays the generated LaTeX code with syntax highlighting, in one of the
+ * embed profiles (full document, tikzpicture, figure, scaled, beamer, exam)
  */
-export default function CodeView({ tableData }) {
+export default function CodeView({ tableData, preamble = {} }) {
     const [copied, setCopied] = useState(false);
-    const [viewMode, setViewMode] = useState('full'); // 'full' or 'snippet'
+    const [profile, setProfile] = useState('document');
+    const [options, setOptions] = useState(DEFAULT_EMBED_OPTIONS);
 
-    const code = viewMode === 'full'
-        ? generateFullDocument(tableData)
-        : generateTikzSnippet(tableData);
+    const code = generateEmbedCode(tableData, profile, options, preamble);
+    const description = EMBED_PROFILES.find(item => item.value === profile).description;
+
+    const updateOption = (key) => (value) => setOptions({ ...options, [key]: value });
 
     const copyToClipboard = async () => {
         try {
@@ -30,6 +51,9 @@ export default function CodeView({ tableData }) {
             .split('\n')
             .map((line, index) => {
                 let highlighted = line
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
                     // LaTeX commands
                     .replace(/(\\[a-zA-Z]+)/g, '<span class="text-blue-400">$1</span>')
                     // Braces and brackets
@@ -56,31 +80,17 @@ export default function CodeView({ tableData }) {
                 <label className="label mb-0">LaTeX Code</label>
 
                 <div className="flex items-center gap-2">
-                    {/* View mode toggle */}
-                    <div className="flex rounded-lg overflow-hidden border border-academic-border">
-                        <button
-                            onClick={() => setViewMode('full')}
-                            className={`px-3 py-1.5 text-sm flex items-center gap-1.5 transition-colors ${viewMode === 'full'
-                                ? 'bg-primary-600 text-white'
-                                : 'bg-white text-academic-muted hover:bg-gray-50'
-                                }`}
-                            title="Full document (standalone)"
-                        >
-                            <FileText size={14} />
-                            Full
-                        </button>
-                        <button
-                            onClick={() => setViewMode('snippet')}
-                            className={`px-3 py-1.5 text-sm flex items-center gap-1.5 transition-colors ${viewMode === 'snippet'
-                                ? 'bg-primary-600 text-white'
-                                : 'bg-white text-academic-muted hover:bg-gray-50'
-                                }`}
-                            title="TikZ snippet only"
-                        >
-                            <FileCode size={14} />
-                            Snippet
-                        </button>
-                    </div>
+                    {/* Embed profile */}
+                    <select
+                        value={profile}
+                        onChange={(e) => setProfile(e.target.value)}
+                        className="input text-sm py-1.5"
+                        title="Where the code will be pasted"
+                    >
+                        {EMBED_PROFILES.map(item => (
+                            <option key={item.value} value={item.value}>{item.label}</option>
+                        ))}
+                    </select>
 
                     {/* Copy button */}
                     <button
@@ -102,18 +112,51 @@ export default function CodeView({ tableData }) {
                 </div>
             </div>
 
+            {/* Options of the selected profile */}
+            {profile === 'figure' && (
+                <div className="grid grid-cols-2 gap-2">
+                    <OptionField label="Caption" value={options.caption} onChange={updateOption('caption')} placeholder="Variations of $f$" />
+                    <OptionField label="Label" value={options.label} onChange={updateOption('label')} placeholder="tab:variations" />
+                </div>
+            )}
+            {profile === 'scaled' && (
+                <div className="grid grid-cols-2 gap-2">
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Method</span>
+                        <select
+                            value={options.scaleMode}
+                            onChange={(e) => updateOption('scaleMode')(e.target.value)}
+                            className="input text-sm"
+                        >
+                            <option value="resizebox">\resizebox to a width</option>
+                            <option value="scale">scale= factor</option>
+                        </select>
+                    </label>
+                    {options.scaleMode === 'scale' ? (
+                        <OptionField label="Scale factor" value={options.scale} onChange={updateOption('scale')} placeholder="0.8" />
+                    ) : (
+                        <OptionField label="Width" value={options.width} onChange={updateOption('width')} placeholder="\linewidth" />
+                    )}
+                </div>
+            )}
+            {profile === 'beamer' && (
+                <OptionField label="Frame title" value={options.frameTitle} onChange={updateOption('frameTitle')} placeholder="Variations of $f$" className="block" />
+            )}
+            {profile === 'exam' && (
+                <div className="grid grid-cols-4 gap-2">
+                    <OptionField label="Question" value={options.questionText} onChange={updateOption('questionText')} placeholder="Complete the table." className="col-span-2" />
+                    <OptionField label="Points" value={options.questionPoints} onChange={updateOption('questionPoints')} placeholder="2" />
+                    <OptionField label="Max width (cm)" value={options.maxWidth} onChange={updateOption('maxWidth')} placeholder="15" />
+                </div>
+            )}
+
             <div className="code-block max-h-96 overflow-auto">
                 <pre className="text-sm leading-relaxed">
                     {highlightCode(code)}
                 </pre>
             </div>
 
-            <p className="text-xs text-academic-muted">
-                {viewMode === 'full'
-                    ? 'Complete standalone document. Compile with pdflatex.'
-                    : 'TikZ snippet only. Include in your existing document.'
-                }
-            </p>
+            <p className="text-xs text-academic-muted">{description}</p>
         </div>
     );
 }
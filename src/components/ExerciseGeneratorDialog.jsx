@@ -0,0 +1,141 @@
+import { useMemo, useState } from 'react';
+import { X, Dices, Pencil, ListPlus, FileJson, AlertCircle } from 'lucide-react';
+import { exerciseFamilies } from '../data/templates';
+import { generateExerciseVariants, variantsToWorksheetItems, variantsToJson } from '../utils/exerciseGenerator';
+
+const MAX_VARIANTS = 30;
+
+function newSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * ExerciseGeneratorDialog component
+ * Generate variants of a function family with random integer parameters, each with
+ * its complete table (all rows hidden in the student copy), and add them to the
+ * worksheet or download them as JSON. The same seed gives the same variants.
+ */
+export default function ExerciseGeneratorDialog({ preamble, onAddToWorksheet, onOpenTable, onClose }) {
+    const [familyId, setFamilyId] = useState(exerciseFamilies[0].id);
+    const [count, setCount] = useState(5);
+    const [seed, setSeed] = useState(newSeed);
+
+    const family = exerciseFamilies.find(f => f.id === familyId);
+    const locale = preamble.outputLocale || '';
+
+    const { variants, error } = useMemo(() => {
+        try {
+            return { variants: generateExerciseVariants(family, count, seed, locale), error: null };
+        } catch (err) {
+            return { variants: [], error: err.message };
+        }
+    }, [family, count, seed, locale]);
+
+    const downloadJson = () => {
+        saveBlob(new Blob([variantsToJson(family, seed, variants)], { type: 'application/json' }), `${family.id}_${seed}.json`);
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] bg-black/30 flex items-center justify-center p-6" onClick={onClose}>
+            <div className="card w-full max-w-3xl space-y-3 max-h-full overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-gray-800">Exercise generator</h2>
+                    <button onClick={onClose} className="toolbar-btn" title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                <div className="grid grid-cols-4 gap-3 text-sm">
+                    <label className="space-y-1 col-span-2">
+                        <span className="text-xs text-gray-500">Function family</span>
+                        <select
+                            value={familyId}
+                            onChange={(e) => setFamilyId(e.target.value)}
+                            className="input text-sm"
+                        >
+                            {exerciseFamilies.map(option => (
+                                <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Variants</span>
+                        <input
+                            type="number"
+                            min={1}
+                            max={MAX_VARIANTS}
+                            value={count}
+                            onChange={(e) => setCount(Math.min(MAX_VARIANTS, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                            className="input text-sm"
+                        />
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Seed</span>
+                        <div className="flex gap-1">
+                            <input
+                                type="number"
+                                min={0}
+                                value={seed}
+                                onChange={(e) => setSeed(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                                className="input text-sm"
+                            />
+                            <button onClick={() => setSeed(newSeed())} className="toolbar-btn" title="New random seed">
+                                <Dices size={14} />
+                            </button>
+                        </div>
+                    </label>
+                </div>
+
+                <p className="text-xs text-gray-500 font-mono">{family.description}</p>
+
+                {error ? (
+                    <div className="flex items-center gap-2 text-xs text-red-500">
+                        <AlertCircle size={14} />
+                        <span>{error}</span>
+                    </div>
+                ) : (
+                    <ol className="space-y-1">
+                        {variants.map((variant, index) => (
+                            <li key={variant.expression} className="flex items-center gap-2 border border-gray-200 rounded-lg px-3 py-2">
+                                <span className="text-xs font-semibold text-gray-500 w-6">{index + 1}.</span>
+                                <code className="flex-1 text-xs font-mono text-gray-600 truncate" title={variant.derivative}>
+                                    f({family.variable}) = {variant.expression}
+                                </code>
+                                <button onClick={() => onOpenTable(variant.tableData)} className="toolbar-btn" title="Open the table in the editor">
+                                    <Pencil size={14} />
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+
+                <div className="flex justify-end gap-2">
+                    <button onClick={downloadJson} disabled={variants.length === 0} className="toolbar-btn">
+                        <FileJson size={16} />
+                        Download JSON
+                    </button>
+                    <button
+                        onClick={() => onAddToWorksheet(variantsToWorksheetItems(variants))}
+                        disabled={variants.length === 0}
+                        className="toolbar-btn-primary"
+                        title="Use the worksheet's Student copy and Answer key versions for the blank tables and the solutions"
+                    >
+                        <ListPlus size={16} />
+                        Add {variants.length} to worksheet
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { Wand2, AlertCircle, Calculator } from 'lucide-react';
+import MathInput from './MathInput';
+import { buildSignTable } from '../utils/signTableBuilder';
+import { isApproximate } from '../utils/mathParser';
+
+/**
+ * ExpressionBuilder component
+ * Builds the sign table (points + factor rows) from a typed expression,
+ * and optionally fills the variation values of that expression
+ */
+export default function ExpressionBuilder({ variable, onBuild, onComputeValues, variationRowNames = [] }) {
+    const [latex, setLatex] = useState('');
+    const [targetRow, setTargetRow] = useState(0);
+    const [error, setError] = useState(null);
+    const [warnings, setWarnings] = useState([]);
+
+    const handleBuild = () => {
+        try {
+            const result = buildSignTable(latex, variable || 'x');
+            const approximate = result.points.filter(isApproximate);
+            setError(null);
+            setWarnings(approximate.length > 0
+                ? [`No exact form found for ${approximate.map(point => point.replace(/^\\approx\s*/, '')).join(', ')}: rounded to two decimals (≈)`]
+                : []);
+            onBuild(result);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // onComputeValues applies the values and returns any warnings
+    const handleComputeValues = () => {
+        try {
+            const rowIndex = targetRow < variationRowNames.length ? targetRow : 0;
+            setWarnings(onComputeValues(latex, rowIndex) || []);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center gap-2">
+                <div className="flex-1">
+                    <MathInput
+                        value={latex}
+                        onChange={(value) => {
+                            setLatex(value);
+                            setError(null);
+                            setWarnings([]);
+                        }}
+                        placeholder={`\\frac{(${variable || 'x'}+1)(${variable || 'x'}-4)}{${variable || 'x'}^2-9}`}
+                        size="sm"
+                    />
+                </div>
+                <button
+                    onClick={handleBuild}
+                    disabled={!latex}
+                    className="toolbar-btn-primary"
+                    title="Find roots and poles and build the sign rows"
+                >
+                    <Wand2 size={16} />
+                    <span className="hidden sm:inline">Build table</span>
+                </button>
+                {onComputeValues && variationRowNames.length > 1 && (
+                    <select
+                        value={targetRow < variationRowNames.length ? targetRow : 0}
+                        onChange={(e) => setTargetRow(Number(e.target.value))}
+                        className="input text-sm w-auto"
+                        title="Variation row to fill"
+                    >
+                        {variationRowNames.map((name, index) => (
+                            <option key={index} value={index}>{name}</option>
+                        ))}
+                    </select>
+                )}
+                {onComputeValues && (
+                    <button
+                        onClick={handleComputeValues}
+                        disabled={!latex}
+                        className="toolbar-btn"
+                        title="Compute extremum values and limits of this function"
+                    >
+                        <Calculator size={16} />
+                        <span className="hidden sm:inline">Fill values</span>
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="flex items-center gap-2 text-xs text-red-500">
+                    <AlertCircle size={14} />
+                    <span>{error}</span>
+                </div>
+            )}
+
+            {warnings.map((warning, index) => (
+                <div key={index} className="flex items-center gap-2 text-xs text-amber-600">
+                    <AlertCircle size={14} />
+                    <span>{warning}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
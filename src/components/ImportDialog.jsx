@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { X, FileInput, AlertCircle } from 'lucide-react';
+import { importTkzTab } from '../utils/latexImporter';
+
+/**
+ * ImportDialog component
+ * Paste tkz-tab code (a full .tex file or a tikzpicture) to load it into the editor
+ * Import warnings stay on screen so nothing is lost silently.
+ */
+export default function ImportDialog({ onImport, onClose }) {
+    const [source, setSource] = useState('');
+    const [error, setError] = useState(null);
+    const [warnings, setWarnings] = useState([]);
+
+    const handleImport = () => {
+        try {
+            const result = importTkzTab(source);
+            setError(null);
+            onImport(result.table);
+            if (result.warnings.length === 0) {
+                onClose();
+            } else {
+                setWarnings(result.warnings);
+            }
+        } catch (err) {
+            setWarnings([]);
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] bg-black/30 flex items-center justify-center p-6" onClick={onClose}>
+            <div className="card w-full max-w-2xl space-y-3" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-gray-800">Import tkz-tab code</h2>
+                    <button onClick={onClose} className="toolbar-btn" title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                <textarea
+                    value={source}
+                    onChange={(e) => {
+                        setSource(e.target.value);
+                        setError(null);
+                        setWarnings([]);
+                    }}
+                    rows={12}
+                    placeholder={'\\begin{tikzpicture}\n\\tkzTabInit{$x$ / 1 , $f(x)$ / 1.5}{$-\\infty$, $0$, $+\\infty$}\n\\tkzTabVar{+/ $+\\infty$, -/ $0$, +/ $+\\infty$}\n\\end{tikzpicture}'}
+                    className="w-full px-3 py-2 text-sm font-mono border border-gray-200 rounded-lg resize-y outline-none focus:border-primary-400 focus:ring-1 focus:ring-primary-200"
+                />
+
+                {error && (
+                    <div className="flex items-center gap-2 text-xs text-red-500">
+                        <AlertCircle size={14} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                {warnings.length > 0 && (
+                    <div className="space-y-1">
+                        <p className="text-xs text-gray-500">Imported with warnings:</p>
+                        {warnings.map((warning, index) => (
+                            <div key={index} className="flex items-center gap-2 text-xs text-amber-600">
+                                <AlertCircle size={14} />
+                                <span>{warning}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-2">
+                    <button onClick={onClose} className="toolbar-btn">
+                        {warnings.length > 0 ? 'Close' : 'Cancel'}
+                    </button>
+                    <button onClick={handleImport} disabled={!source.trim()} className="toolbar-btn-primary">
+                        <FileInput size={16} />
+                        Import
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,52 @@
+import { GraduationCap, CheckCheck, X } from 'lucide-react';
+
+/**
+ * PracticePanel component
+ * Starts practising the table in the editor (its hidden cells, or every cell, become
+ * blank), checks the answers and ends the practice, restoring the table.
+ * results: checkPracticeAnswers output once the answers have been checked, else null
+ */
+export default function PracticePanel({ active, results, onStart, onCheck, onStop }) {
+    if (!active) {
+        return (
+            <div className="flex items-center justify-between gap-2">
+                <span className="text-xs text-gray-500">
+                    Practice: fill in the hidden cells (or the whole table) yourself and check the answers.
+                </span>
+                <button onClick={onStart} className="toolbar-btn" title="Blank the hidden cells and fill them in">
+                    <GraduationCap size={16} />
+                    Practice
+                </button>
+            </div>
+        );
+    }
+
+    const allCorrect = results && results.correct === results.total;
+
+    return (
+        <div className="flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-amber-50 border border-amber-200">
+            <div className="flex items-center gap-2 text-sm">
+                <GraduationCap size={16} className="text-amber-600 shrink-0" />
+                {results ? (
+                    <span className={allCorrect ? 'text-emerald-700 font-medium' : 'text-gray-700'}>
+                        {allCorrect
+                            ? `All ${results.total} answers are correct`
+                            : `${results.correct} / ${results.total} correct. Red cells are wrong, amber ones are not filled in.`}
+                    </span>
+                ) : (
+                    <span className="text-gray-700">Fill in the outlined cells, then check your answers.</span>
+                )}
+            </div>
+            <div className="flex items-center gap-2">
+                <button onClick={onCheck} disabled={!!results} className="toolbar-btn-primary" title="Compare with the solution, cell by cell">
+                    <CheckCheck size={16} />
+                    Check
+                </button>
+                <button onClick={onStop} className="toolbar-btn" title="End the practice and restore the complete table">
+                    <X size={16} />
+                    Stop
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,324 @@
+import { useState } from 'react';
+import { X, Save, CopyPlus, Trash2, AlertCircle } from 'lucide-react';
+import { generatePreamble } from '../utils/latexGenerator';
+import {
+    DOCUMENT_CLASSES,
+    FONT_PACKAGES,
+    BABEL_LANGUAGES,
+    HATCH_PATTERNS,
+    ARROW_TIPS,
+    TABLE_STYLE_PRESETS,
+    createPreambleProfile
+} from '../utils/preambleProfiles';
+import { OUTPUT_LOCALES } from '../utils/outputLocale';
+
+// Suggestions for the colour fields (any xcolor expression is accepted)
+const COLOR_SUGGESTIONS = ['black', 'gray', 'gray!15', 'gray!60', 'blue', 'blue!10', 'blue!50!black', 'red', 'red!60', 'green!50!black', 'orange'];
+
+/**
+ * Text field for an xcolor colour, empty for the default
+ */
+function ColorField({ label, value, onChange }) {
+    return (
+        <label className="space-y-1">
+            <span className="text-xs text-gray-500">{label}</span>
+            <input
+                type="text"
+                list="preamble-color-suggestions"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                placeholder="default"
+                className="input text-sm"
+            />
+        </label>
+    );
+}
+
+/**
+ * PreambleDialog component
+ * Edit the named preamble profiles (document preamble and table style); saving makes
+ * the selected profile the active one for the preview and the downloads.
+ * Nothing is stored until Save.
+ */
+export default function PreambleDialog({ profiles, activeName, onSave, onClose }) {
+    const [list, setList] = useState(profiles);
+    const [index, setIndex] = useState(() => Math.max(0, profiles.findIndex(profile => profile.name === activeName)));
+    const [error, setError] = useState(null);
+
+    const profile = list[index];
+
+    const updateProfile = (updates) => {
+        setList(list.map((item, i) => (i === index ? { ...item, ...updates } : item)));
+        setError(null);
+    };
+
+    const style = profile.tableStyle;
+    const updateStyle = (updates) => updateProfile({ tableStyle: { ...style, ...updates } });
+
+    // New profile starting from the current settings
+    const addProfile = () => {
+        let number = list.length + 1;
+        while (list.some(item => item.name === `Profile ${number}`)) number++;
+        setList([...list, createPreambleProfile(`Profile ${number}`, profile)]);
+        setIndex(list.length);
+        setError(null);
+    };
+
+    const removeProfile = () => {
+        setList(list.filter((_, i) => i !== index));
+        setIndex(0);
+        setError(null);
+    };
+
+    const handleSave = () => {
+        const names = list.map(item => item.name.trim());
+        if (names.some(name => !name)) {
+            setError('Every profile needs a name');
+            return;
+        }
+        if (new Set(names).size !== names.length) {
+            setError('Two profiles have the same name');
+            return;
+        }
+        const saved = list.map((item, i) => ({ ...item, name: names[i] }));
+        onSave(saved, names[index]);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] bg-black/30 flex items-center justify-center p-6" onClick={onClose}>
+            <div className="card w-full max-w-2xl space-y-3 max-h-full overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-gray-800">Document preamble and table style</h2>
+                    <button onClick={onClose} className="toolbar-btn" title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                <div className="flex items-center gap-2">
+                    <select
+                        value={index}
+                        onChange={(e) => setIndex(Number(e.target.value))}
+                        className="input text-sm flex-1"
+                        title="Profile to edit"
+                    >
+                        {list.map((item, i) => (
+                            <option key={i} value={i}>{item.name || '(unnamed)'}</option>
+                        ))}
+                    </select>
+                    <button onClick={addProfile} className="toolbar-btn" title="New profile from these settings">
+                        <CopyPlus size={16} />
+                    </button>
+                    <button onClick={removeProfile} disabled={list.length <= 1} className="toolbar-btn" title="Delete this profile">
+                        <Trash2 size={16} />
+                    </button>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3 text-sm">
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Profile name</span>
+                        <input
+                            type="text"
+                            value={profile.name}
+                            onChange={(e) => updateProfile({ name: e.target.value })}
+                            className="input text-sm"
+                        />
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Document class</span>
+                        <select
+                            value={profile.documentClass}
+                            onChange={(e) => updateProfile({ documentClass: e.target.value })}
+                            className="input text-sm"
+                        >
+                            {DOCUMENT_CLASSES.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Font</span>
+                        <select
+                            value={profile.fontPackage}
+                            onChange={(e) => updateProfile({ fontPackage: e.target.value })}
+                            className="input text-sm"
+                        >
+                            {FONT_PACKAGES.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Language (babel)</span>
+                        <select
+                            value={profile.babelLanguage}
+                            onChange={(e) => updateProfile({ babelLanguage: e.target.value })}
+                            className="input text-sm"
+                        >
+                            {BABEL_LANGUAGES.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {profile.documentClass === 'standalone' && (
+                        <label className="space-y-1">
+                            <span className="text-xs text-gray-500">Border</span>
+                            <input
+                                type="text"
+                                value={profile.border}
+                                onChange={(e) => updateProfile({ border: e.target.value })}
+                                placeholder="5pt"
+                                className="input text-sm"
+                            />
+                        </label>
+                    )}
+                    <div className="flex items-end gap-4 pb-2">
+                        <label className="flex items-center gap-1.5 text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={profile.amsmath}
+                                onChange={(e) => updateProfile({ amsmath: e.target.checked })}
+                            />
+                            amsmath
+                        </label>
+                        <label className="flex items-center gap-1.5 text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={profile.amssymb}
+                                onChange={(e) => updateProfile({ amssymb: e.target.checked })}
+                            />
+                            amssymb
+                        </label>
+                    </div>
+                </div>
+
+                <label className="block space-y-1">
+                    <span className="text-xs text-gray-500">Macros (added at the end of the preamble, usable in cells)</span>
+                    <textarea
+                        value={profile.macros}
+                        onChange={(e) => updateProfile({ macros: e.target.value })}
+                        rows={4}
+                        placeholder={'\\newcommand{\\R}{\\mathbb{R}} % needs amssymb\n\\let\\frac\\dfrac'}
+                        className="w-full px-3 py-2 text-sm font-mono border border-gray-200 rounded-lg resize-y outline-none focus:border-primary-400 focus:ring-1 focus:ring-primary-200"
+                    />
+                </label>
+
+                <div className="grid grid-cols-2 gap-3 text-sm">
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Output conventions (decimals, labels)</span>
+                        <select
+                            value={profile.outputLocale}
+                            onChange={(e) => updateProfile({ outputLocale: e.target.value })}
+                            className="input text-sm"
+                        >
+                            {OUTPUT_LOCALES.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <div className="flex items-end pb-2">
+                        <label className="flex items-center gap-1.5 text-gray-700" title="Used for rows without a custom label">
+                            <input
+                                type="checkbox"
+                                checked={profile.describeRows}
+                                onChange={(e) => updateProfile({ describeRows: e.target.checked })}
+                            />
+                            Descriptive row labels (sign of f'(x), variations of f)
+                        </label>
+                    </div>
+                    <label className="col-span-2 flex items-center gap-1.5 text-gray-700" title="Intervals in the notation of the output conventions">
+                        <input
+                            type="checkbox"
+                            checked={profile.summarizeVariations}
+                            onChange={(e) => updateProfile({ summarizeVariations: e.target.checked })}
+                        />
+                        Summary under the table (f is increasing on [a, b], ...)
+                    </label>
+                </div>
+
+                <div className="space-y-2">
+                    <div className="flex items-center gap-2">
+                        <span className="text-xs font-semibold text-gray-600">Table style</span>
+                        {TABLE_STYLE_PRESETS.map(preset => (
+                            <button
+                                key={preset.name}
+                                onClick={() => updateProfile({ tableStyle: { ...preset.style } })}
+                                className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600 hover:bg-gray-200 transition-all duration-200"
+                                title="Replace the style below with this preset"
+                            >
+                                {preset.name}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-3 text-sm">
+                        <ColorField label="Lines and arrows" value={style.lineColor} onChange={(value) => updateStyle({ lineColor: value })} />
+                        <ColorField label="Variable row background" value={style.variableRowColor} onChange={(value) => updateStyle({ variableRowColor: value })} />
+                        <ColorField label="First column background" value={style.firstColumnColor} onChange={(value) => updateStyle({ firstColumnColor: value })} />
+                        <label className="space-y-1">
+                            <span className="text-xs text-gray-500">Arrow tip</span>
+                            <select
+                                value={style.arrowTip}
+                                onChange={(e) => updateStyle({ arrowTip: e.target.value })}
+                                className="input text-sm"
+                            >
+                                {ARROW_TIPS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="space-y-1">
+                            <span className="text-xs text-gray-500">Double bar spacing</span>
+                            <input
+                                type="text"
+                                value={style.doubleBarDistance}
+                                onChange={(e) => updateStyle({ doubleBarDistance: e.target.value })}
+                                placeholder="2pt"
+                                className="input text-sm"
+                            />
+                        </label>
+                        <label className="space-y-1">
+                            <span className="text-xs text-gray-500">Hatch pattern</span>
+                            <select
+                                value={style.hatchPattern}
+                                onChange={(e) => updateStyle({ hatchPattern: e.target.value })}
+                                className="input text-sm"
+                            >
+                                {HATCH_PATTERNS.map(pattern => (
+                                    <option key={pattern} value={pattern}>{pattern}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <ColorField label="Hatch colour" value={style.hatchColor} onChange={(value) => updateStyle({ hatchColor: value })} />
+                        <ColorField label="Positive signs" value={style.positiveColor} onChange={(value) => updateStyle({ positiveColor: value })} />
+                        <ColorField label="Negative signs" value={style.negativeColor} onChange={(value) => updateStyle({ negativeColor: value })} />
+                    </div>
+                    <datalist id="preamble-color-suggestions">
+                        {COLOR_SUGGESTIONS.map(color => <option key={color} value={color} />)}
+                    </datalist>
+                </div>
+
+                <pre className="text-xs font-mono bg-gray-50 border border-gray-200 rounded-lg p-3 overflow-x-auto text-gray-600">
+                    {generatePreamble(profile)}
+                </pre>
+
+                {error && (
+                    <div className="flex items-center gap-2 text-xs text-red-500">
+                        <AlertCircle size={14} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-2">
+                    <button onClick={onClose} className="toolbar-btn">
+                        Cancel
+                    </button>
+                    <button onClick={handleSave} className="toolbar-btn-primary">
+                        <Save size={16} />
+                        Save and use
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,30 +1,44 @@
 import { useMemo, useState, useEffect, useRef } from 'react';
 import { RefreshCw, AlertCircle, ExternalLink } from 'lucide-react';
 import { generateFullDocument } from '../utils/latexGenerator';
+import SvgTablePreview from './SvgTablePreview';
 
 // Use relative path in production, localhost in development
 const isDev = import.meta.env.DEV;
 const RENDER_ENDPOINT = isDev ? 'http://localhost:3001/api/render' : '/api/render';
 const useQuickLatexAPI = false;
+const PREVIEW_MODE_KEY = 'mathtable.previewMode';
+
+const PREVIEW_MODES = [
+    { value: 'latex', label: 'LaTeX', title: 'Compile with the LaTeX server (exact output, needed for PNG export)' },
+    { value: 'svg', label: 'Instant', title: 'Draw in the browser as you type (no server needed)' }
+];
 
 /**
  * PreviewPanel component
- * Renders a visual representation of the table using MiKTeX (dev) or QuickLaTeX (prod)
+ * Renders a visual representation of the table using MiKTeX (dev) or QuickLaTeX (prod),
+ * or instantly in the browser as SVG (the server is then only used on Refresh, for export)
  */
-export default function PreviewPanel({ tableData, onImageRendered, onRenderingChange, refreshTriggerRef }) {
+export default function PreviewPanel({ tableData, preamble, onImageRendered, onRenderingChange, refreshTriggerRef }) {
     const [renderedImage, setRenderedImage] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [useQuickLatex] = useState(useQuickLatexAPI);
+    const [previewMode, setPreviewMode] = useState(() => localStorage.getItem(PREVIEW_MODE_KEY) || 'latex');
     const renderTimeoutRef = useRef(null);
 
+    const changePreviewMode = (mode) => {
+        setPreviewMode(mode);
+        localStorage.setItem(PREVIEW_MODE_KEY, mode);
+    };
+
     // Generate LaTeX code - for QuickLaTeX, we only need the tikzpicture body
     const latexCode = useMemo(() => {
         if (useQuickLatex) {
             return generateQuickLatexCode(tableData);
         }
-        return generateFullDocument(tableData);
-    }, [tableData, useQuickLatex]);
+        return generateFullDocument(tableData, preamble);
+    }, [tableData, preamble, useQuickLatex]);
 
     // Generate code suitable for QuickLaTeX (without document wrapper)
     function generateQuickLatexCode(tableData) {
@@ -47,6 +61,9 @@ export default function PreviewPanel({ tableData, onImageRendered, onRenderingCh
             clearTimeout(renderTimeoutRef.current);
         }
 
+        // The SVG preview needs no server round-trip
+        if (previewMode === 'svg') return;
+
         // Debounce rendering by 500ms to avoid too many requests
         renderTimeoutRef.current = setTimeout(() => {
             renderLatex();
@@ -57,7 +74,7 @@ export default function PreviewPanel({ tableData, onImageRendered, onRenderingCh
                 clearTimeout(renderTimeoutRef.current);
             }
         };
-    }, [latexCode]);
+    }, [latexCode, previewMode]);
 
     // Expose renderLatex function to parent via ref
     useEffect(() => {
@@ -155,50 +172,82 @@ export default function PreviewPanel({ tableData, onImageRendered, onRenderingCh
 
     return (
         <div className="h-full flex flex-col">
+            {/* Preview mode toggle */}
+            <div className="flex justify-end mb-2">
+                <div className="flex rounded-xl bg-gray-100/80 p-0.5 gap-0.5">
+                    {PREVIEW_MODES.map((mode) => (
+                        <button
+                            key={mode.value}
+                            onClick={() => changePreviewMode(mode.value)}
+                            title={mode.title}
+                            className={`px-3 py-1 text-xs font-medium rounded-lg transition-all duration-200 ${previewMode === mode.value
+                                ? 'bg-white text-gray-800 shadow-sm'
+                                : 'text-gray-500 hover:text-gray-700'
+                                }`}
+                        >
+                            {mode.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {previewMode === 'svg' && (
+                <div className="flex-1 bg-white rounded-xl border border-gray-100 overflow-auto flex items-center justify-center min-h-[200px] p-4">
+                    <SvgTablePreview tableData={tableData} />
+                </div>
+            )}
+            {previewMode === 'svg' && (
+                <p className="mt-2 text-center text-xs text-gray-400">
+                    Instant preview - click Refresh to compile the PNG for export
+                </p>
+            )}
+
             {/* Rendered Image Preview */}
-            <div className="flex-1 bg-white rounded-xl border border-gray-100 overflow-hidden flex items-center justify-center min-h-[200px]">
-                {loading && (
-                    <div className="flex flex-col items-center gap-3 py-8 text-gray-400">
-                        <RefreshCw size={32} className="animate-spin text-primary-500" />
-                        <span className="text-sm">
-                            {useQuickLatex ? 'Rendering with QuickLaTeX...' : 'Rendering with MiKTeX...'}
-                        </span>
-                    </div>
-                )}
-
-                {error && !loading && (
-                    <div className="flex flex-col items-center gap-3 py-8 text-red-500 px-4">
-                        <AlertCircle size={32} />
-                        <div className="text-center">
-                            <p className="font-medium">Render Failed</p>
-                            <p className="text-sm text-red-400 mt-1 max-w-md">{error}</p>
-                            {isDev && (
-                                <p className="text-xs text-gray-400 mt-2">
-                                    Make sure the render server is running: <code className="bg-gray-100 px-1 rounded">npm run server</code>
-                                </p>
-                            )}
+            {previewMode === 'latex' && (
+                <div className="flex-1 bg-white rounded-xl border border-gray-100 overflow-hidden flex items-center justify-center min-h-[200px]">
+                    {loading && (
+                        <div className="flex flex-col items-center gap-3 py-8 text-gray-400">
+                            <RefreshCw size={32} className="animate-spin text-primary-500" />
+                            <span className="text-sm">
+                                {useQuickLatex ? 'Rendering with QuickLaTeX...' : 'Rendering with MiKTeX...'}
+                            </span>
                         </div>
-                    </div>
-                )}
-
-                {renderedImage && !loading && !error && (
-                    <div className="p-4">
-                        <img
-                            src={renderedImage}
-                            alt="Rendered LaTeX table"
-                            className="max-w-full h-auto mx-auto"
-                            style={{ imageRendering: 'auto' }}
-                        />
-                    </div>
-                )}
-
-                {!renderedImage && !loading && !error && (
-                    <div className="flex flex-col items-center gap-3 py-8 text-gray-400">
-                        <RefreshCw size={24} />
-                        <span className="text-sm">Click Refresh to render the preview</span>
-                    </div>
-                )}
-            </div>
+                    )}
+
+                    {error && !loading && (
+                        <div className="flex flex-col items-center gap-3 py-8 text-red-500 px-4">
+                            <AlertCircle size={32} />
+                            <div className="text-center">
+                                <p className="font-medium">Render Failed</p>
+                                <p className="text-sm text-red-400 mt-1 max-w-md">{error}</p>
+                                {isDev && (
+                                    <p className="text-xs text-gray-400 mt-2">
+                                        Make sure the render server is running: <code className="bg-gray-100 px-1 rounded">npm run server</code>
+                                    </p>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    {renderedImage && !loading && !error && (
+                        <div className="p-4">
+                            <img
+                                src={renderedImage}
+                                alt="Rendered LaTeX table"
+                                className="max-w-full h-auto mx-auto"
+                                style={{ imageRendering: 'auto' }}
+                            />
+                        </div>
+                    )}
+
+                    {!renderedImage && !loading && !error && (
+                        <div className="flex flex-col items-center gap-3 py-8 text-gray-400">
+                            <RefreshCw size={24} />
+                            <span className="text-sm">Click Refresh to render the preview</span>
+                        </div>
+                    )}
+                </div>
+            )}
 
             {/* QuickLaTeX attribution (required by their terms) */}
             {useQuickLatex && renderedImage && (
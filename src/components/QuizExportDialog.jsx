@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import { X, FileDown, RefreshCw, AlertCircle } from 'lucide-react';
+import { QUIZ_FORMATS, collectGaps, generateQuiz, generateQuizImageDocument } from '../utils/quizExport';
+import { quizStrings } from '../utils/outputLocale';
+
+// Use relative path in production, localhost in development
+const RENDER_ENDPOINT = import.meta.env.DEV ? 'http://localhost:3001/api/render' : '/api/render';
+
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * A picture URL as a data: URL, the only form embedded in the exported file
+ */
+async function toPngDataUrl(url) {
+    const response = await fetch(url);
+    const blob = response.ok ? await response.blob() : null;
+    if (blob?.type !== 'image/png') throw new Error('Not a PNG picture');
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * QuizExportDialog component
+ * Export the table as a Moodle XML or QTI question: the student copy rendered by the
+ * LaTeX server as the picture, and a gap for each hidden cell (every cell when none is
+ * hidden) with the answers taken from the table.
+ */
+export default function QuizExportDialog({ tableData, preamble, onClose }) {
+    const locale = preamble.outputLocale || '';
+    const [format, setFormat] = useState('moodle');
+    const [name, setName] = useState('Table of variations');
+    const [text, setText] = useState(() => quizStrings(locale).instruction);
+    const [withImage, setWithImage] = useState(true);
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const gapCount = collectGaps(tableData, locale).length;
+    const selected = QUIZ_FORMATS.find(option => option.value === format);
+
+    const renderImage = async () => {
+        const response = await fetch(RENDER_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ latex: generateQuizImageDocument(tableData, preamble) })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            throw new Error(data.details || data.error || 'Failed to render the table');
+        }
+        if (data.image?.startsWith('data:image/png;base64,')) return data.image;
+        // The online renderer answers with a link to the picture: it is downloaded so that
+        // the question does not depend on that link
+        if (data.imageUrl) {
+            try {
+                return await toPngDataUrl(data.imageUrl);
+            } catch {
+                throw new Error('The picture could not be downloaded from the renderer. Export without the picture, or use the LaTeX server.');
+            }
+        }
+        throw new Error('The renderer did not return a picture. Export without the picture instead.');
+    };
+
+    const handleExport = async () => {
+        setExporting(true);
+        setError(null);
+        try {
+            const image = withImage ? await renderImage() : null;
+            const xml = generateQuiz(format, tableData, { name: name.trim() || 'Table', text, image }, locale);
+            saveBlob(new Blob([xml], { type: 'application/xml' }), `math_table${selected.fileSuffix}.${selected.extension}`);
+        } catch (err) {
+            console.error('Quiz export error:', err);
+            setError(err.message.includes('Failed to fetch')
+                ? 'Network error. Is the LaTeX server running? Export without the picture instead.'
+                : err.message);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] bg-black/30 flex items-center justify-center p-6" onClick={onClose}>
+            <div className="card w-full max-w-lg space-y-3" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-gray-800">Quiz question</h2>
+                    <button onClick={onClose} className="toolbar-btn" title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3 text-sm">
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Format</span>
+                        <select
+                            value={format}
+                            onChange={(e) => setFormat(e.target.value)}
+                            className="input text-sm"
+                        >
+                            {QUIZ_FORMATS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Question name</span>
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            className="input text-sm"
+                        />
+                    </label>
+                </div>
+
+                <label className="block space-y-1">
+                    <span className="text-xs text-gray-500">Question text</span>
+                    <textarea
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        rows={2}
+                        className="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg resize-y outline-none focus:border-primary-400 focus:ring-1 focus:ring-primary-200"
+                    />
+                </label>
+
+                <label className="flex items-center gap-1.5 text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={withImage}
+                        onChange={(e) => setWithImage(e.target.checked)}
+                    />
+                    Include the picture of the table (rendered by the LaTeX server)
+                </label>
+
+                <p className="text-xs text-gray-500">
+                    {gapCount} {gapCount === 1 ? 'gap' : 'gaps'}: one per cell marked for the student copy, or every cell when none is marked.
+                </p>
+
+                {error && (
+                    <div className="flex items-center gap-2 text-xs text-red-500">
+                        <AlertCircle size={14} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                <div className="flex justify-end">
+                    <button onClick={handleExport} disabled={gapCount === 0 || exporting} className="toolbar-btn-primary">
+                        {exporting ? <RefreshCw size={16} className="animate-spin" /> : <FileDown size={16} />}
+                        {exporting ? 'Rendering...' : `Download ${selected.label}`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
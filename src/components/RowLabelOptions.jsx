@@ -0,0 +1,48 @@
+import { Type } from 'lucide-react';
+
+/**
+ * RowLabelOptions component
+ * Height and custom (multi-line) label of a table row, shown under the row name
+ * A row without its own height uses the default; a row without a label shows its name.
+ */
+export default function RowLabelOptions({ label, height, defaultHeight, onChange }) {
+    const hasLabel = label !== undefined && label !== null;
+
+    return (
+        <div className="mt-1 space-y-1">
+            <div className="flex items-center gap-1">
+                <input
+                    type="number"
+                    value={height ?? ''}
+                    onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        onChange({ height: value > 0 ? value : undefined });
+                    }}
+                    step="0.25"
+                    min="0.5"
+                    max="10"
+                    placeholder={String(defaultHeight)}
+                    className="w-12 px-1 py-0.5 text-[10px] border border-gray-200 rounded text-center outline-none focus:border-primary-400"
+                    title={`Row height in cm (default ${defaultHeight})`}
+                />
+                <button
+                    onClick={() => onChange({ label: hasLabel ? undefined : '' })}
+                    className={`px-1.5 py-0.5 rounded transition-all duration-200 ${hasLabel ? 'bg-primary-100 text-primary-600 hover:bg-primary-200' : 'bg-gray-100 text-gray-400 hover:bg-gray-200'}`}
+                    title={hasLabel ? 'Use the row name as label' : 'Write a custom label (several lines, any LaTeX)'}
+                >
+                    <Type size={10} strokeWidth={3} />
+                </button>
+            </div>
+            {hasLabel && (
+                <textarea
+                    value={label}
+                    onChange={(e) => onChange({ label: e.target.value })}
+                    rows={2}
+                    placeholder={'Signe de\n$f\'(x)$'}
+                    className="w-full px-1.5 py-1 text-[11px] font-mono border border-gray-200 rounded resize-y outline-none focus:border-primary-400"
+                    title="One line per label line; use $...$ for math"
+                />
+            )}
+        </div>
+    );
+}
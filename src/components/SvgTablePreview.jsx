@@ -0,0 +1,109 @@
+import { useMemo } from 'react';
+import { convertLatexToMarkup } from 'mathlive';
+import 'mathlive/fonts.css';
+import 'mathlive/static.css';
+import { computeTableLayout } from '../utils/svgLayout';
+
+// Room given to each typeset math cell around its anchor point
+const MATH_BOX_WIDTH = 160;
+const MATH_BOX_HEIGHT = 60;
+const PADDING = 4;
+
+const JUSTIFY = { start: 'flex-start', middle: 'center', end: 'flex-end' };
+
+/**
+ * Typeset LaTeX with MathLive, falling back to the source on errors
+ */
+function toMarkup(latex) {
+    try {
+        return convertLatexToMarkup(latex);
+    } catch {
+        return latex;
+    }
+}
+
+/**
+ * One math cell, centered vertically on (x, y) and aligned on x by its anchor
+ */
+function MathCell({ shape }) {
+    const left = shape.anchor === 'start' ? shape.x
+        : shape.anchor === 'end' ? shape.x - MATH_BOX_WIDTH
+            : shape.x - MATH_BOX_WIDTH / 2;
+
+    return (
+        <foreignObject x={left} y={shape.y - MATH_BOX_HEIGHT / 2} width={MATH_BOX_WIDTH} height={MATH_BOX_HEIGHT} style={{ overflow: 'visible' }}>
+            <div
+                style={{ width: '100%', height: '100%', display: 'flex', alignItems: 'center', justifyContent: JUSTIFY[shape.anchor], fontSize: 14, pointerEvents: 'none' }}
+            >
+                <span
+                    style={shape.opaque ? { background: 'white', padding: '0 2px' } : undefined}
+                    dangerouslySetInnerHTML={{ __html: toMarkup(shape.latex) }}
+                />
+            </div>
+        </foreignObject>
+    );
+}
+
+/**
+ * SvgTablePreview component
+ * Draws the table in the browser from tableData, with no LaTeX server
+ */
+export default function SvgTablePreview({ tableData }) {
+    const layout = useMemo(() => computeTableLayout(tableData), [tableData]);
+
+    return (
+        <svg
+            width={layout.width + 2 * PADDING}
+            height={layout.height + 2 * PADDING}
+            viewBox={`${-PADDING} ${-PADDING} ${layout.width + 2 * PADDING} ${layout.height + 2 * PADDING}`}
+            className="max-w-full h-auto mx-auto"
+        >
+            <defs>
+                <pattern id="svg-preview-hatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                    <line x1="0" y1="0" x2="0" y2="6" stroke="#475569" strokeWidth="0.8" />
+                </pattern>
+                <marker id="svg-preview-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                    <path d="M 0 1 L 9 5 L 0 9" fill="none" stroke="#111827" strokeWidth="1.5" />
+                </marker>
+            </defs>
+
+            {layout.shapes.map((shape, index) => {
+                switch (shape.type) {
+                    case 'hatch':
+                        return <rect key={index} x={shape.x} y={shape.y} width={shape.width} height={shape.height} fill="url(#svg-preview-hatch)" />;
+                    case 'line':
+                        return (
+                            <line
+                                key={index}
+                                x1={shape.x1} y1={shape.y1} x2={shape.x2} y2={shape.y2}
+                                stroke="#111827"
+                                strokeWidth="0.8"
+                                strokeDasharray={shape.dashed ? '3 3' : undefined}
+                            />
+                        );
+                    case 'double':
+                        return (
+                            <g key={index} stroke="#111827" strokeWidth="0.8">
+                                <line x1={shape.x - shape.gap} y1={shape.y1} x2={shape.x - shape.gap} y2={shape.y2} />
+                                <line x1={shape.x + shape.gap} y1={shape.y1} x2={shape.x + shape.gap} y2={shape.y2} />
+                            </g>
+                        );
+                    case 'arrow':
+                        return (
+                            <line
+                                key={index}
+                                x1={shape.x1} y1={shape.y1} x2={shape.x2} y2={shape.y2}
+                                stroke="#111827"
+                                strokeWidth="0.8"
+                                markerEnd="url(#svg-preview-arrow)"
+                            />
+                        );
+                    case 'math':
+                        return <MathCell key={index} shape={shape} />;
+                    default:
+                        return null;
+                }
+            })}
+        </svg>
+    );
+}
@@ -1,7 +1,22 @@
 import { useState, useEffect, useMemo } from 'react';
 import { Settings, ChevronDown, ChevronUp } from 'lucide-react';
 import VisualTableEditor from './VisualTableEditor';
+import ExpressionBuilder from './ExpressionBuilder';
+import { applyComputedRows } from '../utils/computedRows';
+import { computeVariationValues } from '../utils/variationValues';
+import { createVariationRow, resizeVariationRow } from '../utils/variationRows';
+import { lintTable } from '../utils/tableLinter';
+import { sortedPointOrder, remapExpression, remapVariationRow } from '../utils/pointColumns';
+import {
+    syncVariationFromDerivative,
+    syncDerivativeFromVariation,
+    findLinkConflicts,
+    describeLinkConflicts
+} from '../utils/variationLink';
+import { createPractice, practicePreview, checkPracticeAnswers } from '../utils/practice';
 import PreviewPanel from './PreviewPanel';
+import CodeView from './CodeView';
+import PracticePanel from './PracticePanel';
 
 // Default configurations for each table type
 const DEFAULT_CONFIGS = {
@@ -9,11 +24,17 @@ const DEFAULT_CONFIGS = {
     sign: {
         variable: 't',
         points: ['-\\infty', '-1', '4', '+\\infty'],
-        arrows: ['up', 'down', 'up'],
-        values: ['', '', '', ''],
-        variationLeftValues: ['', '', '', ''],
-        variationPointTypes: ['n', 'n', 'n', 'n'],
-        variationFunctionName: 'f(t)',
+        variationRows: [
+            {
+                name: 'f(t)',
+                arrows: ['up', 'down', 'up'],
+                values: ['', '', '', ''],
+                leftValues: ['', '', '', ''],
+                pointTypes: ['n', 'n', 'n', 'n'],
+                intervalValues: [null, null, null],
+                slopes: null
+            }
+        ],
         expressions: [
             {
                 name: '(t+1)',
@@ -28,7 +49,8 @@ const DEFAULT_CONFIGS = {
             {
                 name: '(t+1)(t-4)',
                 signs: ['+', '-', '+'],
-                pointTypes: ['n', 'z', 'z', 'n']
+                pointTypes: ['n', 'z', 'z', 'n'],
+                computed: { numerator: [0, 1], denominator: [] }
             }
         ],
         layoutConfig: { lgt: 2.5, espcl: 2, deltacl: 0.5 }
@@ -37,11 +59,17 @@ const DEFAULT_CONFIGS = {
     variation: {
         variable: 'x',
         points: ['-\\infty', '0', '1', '+\\infty'],
-        arrows: ['up', 'down', 'up'],
-        values: ['-\\infty', '+\\infty', '1', '+\\infty'],
-        variationLeftValues: ['', '+\\infty', '', ''],
-        variationPointTypes: ['n', 'd', 'n', 'n'],
-        variationFunctionName: 'f(x)',
+        variationRows: [
+            {
+                name: 'f(x)',
+                arrows: ['up', 'down', 'up'],
+                values: ['-\\infty', '+\\infty', '1', '+\\infty'],
+                leftValues: ['', '+\\infty', '', ''],
+                pointTypes: ['n', 'd', 'n', 'n'],
+                intervalValues: [null, null, null],
+                slopes: null
+            }
+        ],
         expressions: [
             {
                 name: 'f(x)',
@@ -55,11 +83,17 @@ const DEFAULT_CONFIGS = {
     both: {
         variable: 'x',
         points: ['-\\infty', '\\frac{1}{2}', '1', '\\frac{3}{2}', '+\\infty'],
-        arrows: ['up', 'down', 'down', 'up'],
-        values: ['-\\infty', '1', '+\\infty', '3', '+\\infty'],
-        variationLeftValues: ['', '', '-\\infty', '', ''],
-        variationPointTypes: ['n', 'n', 'd', 'n', 'n'],
-        variationFunctionName: 'f(x)',
+        variationRows: [
+            {
+                name: 'f(x)',
+                arrows: ['up', 'down', 'down', 'up'],
+                values: ['-\\infty', '1', '+\\infty', '3', '+\\infty'],
+                leftValues: ['', '', '-\\infty', '', ''],
+                pointTypes: ['n', 'n', 'd', 'n', 'n'],
+                intervalValues: [null, null, null, null],
+                slopes: null
+            }
+        ],
         expressions: [
             {
                 name: "f'(x)",
@@ -76,7 +110,7 @@ const DEFAULT_CONFIGS = {
  * Main component with side-by-side visual table editor and preview
  * Each table type (sign, variation, both) has independent state
  */
-export default function TableGenerator({ tableType, onTableDataChange, onImageRendered, onRenderingChange, refreshTriggerRef }) {
+export default function TableGenerator({ tableType, onTableDataChange, onImageRendered, onRenderingChange, refreshTriggerRef, importTableRef, preamble }) {
     // Store separate configurations for each table type
     const [configs, setConfigs] = useState(() => ({
         sign: { ...DEFAULT_CONFIGS.sign },
@@ -86,6 +120,15 @@ export default function TableGenerator({ tableType, onTableDataChange, onImageRe
 
     const [showLayoutConfig, setShowLayoutConfig] = useState(false);
 
+    // Practice of one table type: { tableType, reference, original, checked }
+    // The table being filled in is that type's config; original is the whole config before
+    // the practice (points, variable, layout and rows), restored afterwards
+    const [practice, setPractice] = useState(null);
+    const practicing = practice?.tableType === tableType;
+
+    // Configs with the practised table restored, when a practice is running
+    const withPracticeEnded = (prev) => (practice ? { ...prev, [practice.tableType]: practice.original } : prev);
+
     // Get current config based on table type
     const currentConfig = configs[tableType] || configs.sign;
 
@@ -103,25 +146,24 @@ export default function TableGenerator({ tableType, onTableDataChange, onImageRe
     // Getters for current config
     const variable = currentConfig.variable;
     const points = currentConfig.points;
-    const arrows = currentConfig.arrows;
-    const values = currentConfig.values;
-    const variationLeftValues = currentConfig.variationLeftValues;
-    const variationPointTypes = currentConfig.variationPointTypes;
-    const variationFunctionName = currentConfig.variationFunctionName;
+    const variationRows = currentConfig.variationRows;
     const expressions = currentConfig.expressions;
     const layoutConfig = currentConfig.layoutConfig;
 
+    // The first variation row is the one linked to the derivative and filled from expressions
+    const primaryRow = variationRows[0];
+
     // Setters that update the current table type's config
     const setVariable = (v) => updateConfig({ variable: v });
-    const setPoints = (p) => updateConfig({ points: p });
-    const setArrows = (a) => updateConfig({ arrows: a });
-    const setValues = (v) => updateConfig({ values: v });
-    const setVariationLeftValues = (v) => updateConfig({ variationLeftValues: v });
-    const setVariationPointTypes = (v) => updateConfig({ variationPointTypes: v });
-    const setVariationFunctionName = (v) => updateConfig({ variationFunctionName: v });
+    const setVariationRows = (rows) => updateConfig({ variationRows: rows });
     const setExpressions = (e) => updateConfig({ expressions: e });
     const setLayoutConfig = (l) => updateConfig({ layoutConfig: l });
 
+    // Rows list with one variation row replaced by an updated copy
+    const withVariationRow = (index, updates) => variationRows.map((row, i) => (
+        i === index ? { ...row, ...updates } : row
+    ));
+
     // Build table data object for generators
     const tableData = useMemo(() => ({
         variable,
@@ -129,22 +171,46 @@ export default function TableGenerator({ tableType, onTableDataChange, onImageRe
         points,
         signs: expressions[0]?.signs || [],
         pointSigns: expressions[0]?.pointTypes?.slice(1, -1) || [],
-        arrows,
-        values,
-        variationLeftValues,
-        variationPointTypes,
-        variationFunctionName,
+        variationRows,
         expressions,
         tableType,
         layoutConfig,
-    }), [variable, points, arrows, values, variationLeftValues, variationPointTypes, variationFunctionName, expressions, tableType, layoutConfig]);
+    }), [variable, points, variationRows, expressions, tableType, layoutConfig]);
+
+    // What the preview, the code and the downloads show: arrows not chosen yet are left out while practising
+    const outputData = useMemo(() => (practicing ? practicePreview(tableData) : tableData), [practicing, tableData]);
 
     // Notify parent of table data changes
     useEffect(() => {
         if (onTableDataChange) {
-            onTableDataChange(tableData);
+            onTableDataChange(outputData);
+        }
+    }, [outputData, onTableDataChange]);
+
+    // Practice results once checked, then kept up to date with the answers
+    const practiceResults = useMemo(() => (
+        practicing && practice.checked ? checkPracticeAnswers(practice.reference, tableData) : null
+    ), [practicing, practice, tableData]);
+
+    // Consistency checks shown on the offending cells; while practising, the results only
+    // (the checks would give answers away)
+    const lintIssues = useMemo(() => lintTable(tableData), [tableData]);
+    const issues = practicing ? practiceResults?.issues || [] : lintIssues;
+
+    // Expose the import handler to the parent: an imported table replaces its table type's config
+    useEffect(() => {
+        if (importTableRef) {
+            // A running practice ends first, so that its table is not left half filled in
+            importTableRef.current = ({ tableType: importedType, ...config }) => {
+                setConfigs(prev => ({
+                    ...prev,
+                    ...(practice && { [practice.tableType]: practice.original }),
+                    [importedType]: config
+                }));
+                setPractice(null);
+            };
         }
-    }, [tableData, onTableDataChange]);
+    }, [importTableRef, practice]);
 
     // Handle layout config change
     const handleLayoutChange = (key, value) => {
@@ -155,32 +221,31 @@ export default function TableGenerator({ tableType, onTableDataChange, onImageRe
         });
     };
 
+    // Handle the height of one sign or variation row (empty = default height)
+    const handleRowHeightChange = (kind, index, value) => {
+        const parsed = parseFloat(value);
+        const height = parsed > 0 ? parsed : undefined;
+        if (kind === 'sign') {
+            setExpressions(expressions.map((expr, i) => (i === index ? { ...expr, height } : expr)));
+        } else {
+            setVariationRows(withVariationRow(index, { height }));
+        }
+    };
+
     // Handle points change - adjust expression arrays
-    const handlePointsChange = (newPoints) => {
+    // order (optional): for each new point, the index of the old point it comes from, null for a new one
+    const handlePointsChange = (newPoints, order = null) => {
         const newIntervalCount = Math.max(0, newPoints.length - 1);
 
-        // Adjust arrows
-        const newArrows = [...arrows];
-        while (newArrows.length < newIntervalCount) newArrows.push('up');
-        while (newArrows.length > newIntervalCount) newArrows.pop();
-
-        // Adjust values (right values for double bar)
-        const newValues = [...values];
-        while (newValues.length < newPoints.length) newValues.push('');
-        while (newValues.length > newPoints.length) newValues.pop();
-
-        // Adjust left values (for double bar points)
-        const newLeftValues = [...variationLeftValues];
-        while (newLeftValues.length < newPoints.length) newLeftValues.push('');
-        while (newLeftValues.length > newPoints.length) newLeftValues.pop();
-
-        // Adjust variation point types
-        const newVariationTypes = [...variationPointTypes];
-        while (newVariationTypes.length < newPoints.length) newVariationTypes.push('n');
-        while (newVariationTypes.length > newPoints.length) newVariationTypes.pop();
+        // Adjust every variation row's per-point and per-interval arrays
+        const newVariationRows = variationRows.map(row => (order
+            ? remapVariationRow(row, order, points.length)
+            : resizeVariationRow(row, newPoints.length)));
 
         // Adjust each expression's signs and pointTypes
         const newExpressions = expressions.map(expr => {
+            if (order) return remapExpression(expr, order, points.length);
+
             const newSigns = [...expr.signs];
             while (newSigns.length < newIntervalCount) newSigns.push('+');
             while (newSigns.length > newIntervalCount) newSigns.pop();
@@ -191,18 +256,27 @@ export default function TableGenerator({ tableType, onTableDataChange, onImageRe
 
             return { ...expr, signs: newSigns, pointTypes: newPointTypes };
         });
+        const syncedExpressions = applyComputedRows(newExpressions, newPoints.length);
+
+        // Arrows follow the linked derivative row
+        const linkedRow = tableType === 'both' ? syncedExpressions.find(expr => expr.variationLink) : null;
 
         // Update all at once
         updateConfig({
             points: newPoints,
-            arrows: newArrows,
-            values: newValues,
-            variationLeftValues: newLeftValues,
-            variationPointTypes: newVariationTypes,
-            expressions: newExpressions
+            variationRows: linkedRow
+                ? newVariationRows.map((row, i) => (i === 0 ? { ...row, ...syncVariationFromDerivative(linkedRow, row.pointTypes) } : row))
+                : newVariationRows,
+            expressions: syncedExpressions
         });
     };
 
+    // Sort the points numerically and drop repeated ones, moving every column with its point
+    const handleSortPoints = () => {
+        const order = sortedPointOrder(points, variable);
+        if (order) handlePointsChange(order.map(index => points[index]), order);
+    };
+
     // Handle expressions change - ensure proper array sizes
     const handleExpressionsChange = (newExpressions) => {
         const intervalCount = Math.max(0, points.length - 1);
@@ -219,32 +293,154 @@ export default function TableGenerator({ tableType, onTableDataChange, onImageRe
             return { ...expr, signs, pointTypes };
         });
 
-        setExpressions(normalized);
+        // Keep product/quotient rows in sync with their factor rows
+        const synced = applyComputedRows(normalized, points.length);
+
+        // Arrows follow the linked derivative row
+        const linkedRow = tableType === 'both' ? synced.find(expr => expr.variationLink) : null;
+        if (linkedRow) {
+            updateConfig({
+                expressions: synced,
+                variationRows: withVariationRow(0, syncVariationFromDerivative(linkedRow, primaryRow.pointTypes))
+            });
+        } else {
+            setExpressions(synced);
+        }
+    };
+
+    // Index of the sign row driving the arrows ('both' tables only)
+    const linkedRowIndex = tableType === 'both' ? expressions.findIndex(expr => expr.variationLink) : -1;
+
+    // Handle an edit of one variation row; arrow/double bar edits of the
+    // first row are pushed back to the linked derivative row
+    const handleVariationRowChange = (index, updates) => {
+        const touchesLink = index === 0 && (updates.arrows || updates.pointTypes);
+        if (linkedRowIndex < 0 || !touchesLink) {
+            setVariationRows(withVariationRow(index, updates));
+            return;
+        }
+
+        const linkedRow = expressions[linkedRowIndex];
+        if (linkedRow.computed) {
+            window.alert(`The arrows follow ${linkedRow.name}, which is computed from other rows.\nEdit its factor rows instead, or unlink it.`);
+            return;
+        }
+
+        const updatedRow = { ...primaryRow, ...updates };
+        const newExpressions = [...expressions];
+        newExpressions[linkedRowIndex] = syncDerivativeFromVariation(linkedRow, updatedRow.arrows, updatedRow.pointTypes);
+        updateConfig({
+            variationRows: withVariationRow(0, updates),
+            expressions: applyComputedRows(newExpressions, points.length)
+        });
+    };
+
+    // Link/unlink a sign row to the arrows, asking how to resolve disagreements
+    const handleToggleVariationLink = (index) => {
+        const row = expressions[index];
+        const unlinked = expressions.map(expr => (expr.variationLink ? { ...expr, variationLink: undefined } : expr));
+
+        if (row.variationLink) {
+            setExpressions(unlinked);
+            return;
+        }
+
+        const linked = [...unlinked];
+        linked[index] = { ...row, variationLink: true };
+
+        const conflicts = findLinkConflicts(row, primaryRow.arrows, primaryRow.pointTypes);
+        if (conflicts.length === 0) {
+            setExpressions(linked);
+            return;
+        }
+
+        const summary = describeLinkConflicts(conflicts, points);
+        if (window.confirm(`${row.name} and the variation row ${primaryRow.name} disagree on: ${summary}.\n\nUpdate the arrows from the signs of ${row.name}?`)) {
+            updateConfig({
+                expressions: linked,
+                variationRows: withVariationRow(0, syncVariationFromDerivative(row, primaryRow.pointTypes))
+            });
+            return;
+        }
+
+        if (row.computed) {
+            window.alert(`${row.name} is computed from other rows, so it cannot follow the arrows. The link was not created.`);
+            return;
+        }
+
+        if (window.confirm(`Update the signs of ${row.name} from the arrows instead?`)) {
+            linked[index] = syncDerivativeFromVariation(linked[index], primaryRow.arrows, primaryRow.pointTypes);
+            setExpressions(applyComputedRows(linked, points.length));
+        }
+    };
+
+    // A practice already running on another table type ends with its table restored
+    const startPractice = () => {
+        const { reference, table } = createPractice(tableData);
+        setConfigs(prev => ({
+            ...withPracticeEnded(prev),
+            [tableType]: { ...prev[tableType], expressions: table.expressions, variationRows: table.variationRows }
+        }));
+        setPractice({ tableType, reference, original: currentConfig, checked: false });
+    };
+
+    const stopPractice = () => {
+        setConfigs(withPracticeEnded);
+        setPractice(null);
+    };
+
+    // Handle a sign table built from an expression - replaces points and rows
+    const handleBuildFromExpression = ({ points: newPoints, expressions: newExpressions }) => {
+        updateConfig({
+            points: newPoints,
+            variationRows: variationRows.map(row => createVariationRow(newPoints.length, row.name, !!row.slopes)),
+            expressions: newExpressions
+        });
+    };
+
+    // Fill a variation row's values from a function expression - returns warnings
+    const handleComputeValues = (latex, rowIndex = 0) => {
+        const result = computeVariationValues(latex, variable || 'x', points, variationRows[rowIndex]);
+        setVariationRows(withVariationRow(rowIndex, { values: result.values, leftValues: result.leftValues }));
+        return result.warnings;
     };
 
     return (
         <div className="grid grid-cols-1 lg:grid-cols-5 gap-4 h-full">
             {/* Editor Panel - Takes 3 columns (60%) */}
             <div className="lg:col-span-3 overflow-y-auto">
-                <div className="card h-full">
+                <div className="card h-full space-y-5">
+                    <PracticePanel
+                        active={practicing}
+                        results={practiceResults}
+                        onStart={startPractice}
+                        onCheck={() => setPractice({ ...practice, checked: true })}
+                        onStop={stopPractice}
+                    />
+
+                    {!practicing && (
+                        <ExpressionBuilder
+                            variable={variable}
+                            onBuild={handleBuildFromExpression}
+                            onComputeValues={tableType !== 'sign' ? handleComputeValues : null}
+                            variationRowNames={variationRows.map(row => row.name)}
+                        />
+                    )}
+
                     <VisualTableEditor
                         variable={variable}
                         onVariableChange={setVariable}
                         points={points}
                         onPointsChange={handlePointsChange}
+                        onSortPoints={sortedPointOrder(points, variable) ? handleSortPoints : null}
                         expressions={expressions}
                         onExpressionsChange={handleExpressionsChange}
-                        arrows={arrows}
-                        onArrowsChange={setArrows}
-                        values={values}
-                        onValuesChange={setValues}
-                        variationLeftValues={variationLeftValues}
-                        onVariationLeftValuesChange={setVariationLeftValues}
-                        variationPointTypes={variationPointTypes}
-                        onVariationPointTypesChange={setVariationPointTypes}
-                        variationFunctionName={variationFunctionName}
-                        onVariationFunctionNameChange={setVariationFunctionName}
+                        variationRows={variationRows}
+                        onVariationRowChange={handleVariationRowChange}
+                        onVariationRowsChange={setVariationRows}
+                        onToggleVariationLink={handleToggleVariationLink}
                         tableType={tableType}
+                        issues={issues}
                     />
                 </div>
             </div>
@@ -253,7 +449,8 @@ export default function TableGenerator({ tableType, onTableDataChange, onImageRe
             <div className="lg:col-span-2 overflow-y-auto space-y-4">
                 <div className="card h-auto">
                     <PreviewPanel
-                        tableData={tableData}
+                        tableData={outputData}
+                        preamble={preamble}
                         onImageRendered={onImageRendered}
                         onRenderingChange={onRenderingChange}
                         refreshTriggerRef={refreshTriggerRef}
@@ -339,12 +536,80 @@ export default function TableGenerator({ tableType, onTableDataChange, onImageRe
                                 </div>
                             </div>
 
+                            {/* Row heights - one per row of the table */}
+                            <div className="pt-2 border-t border-gray-100 space-y-2">
+                                <span className="text-sm text-gray-600">Row heights</span>
+                                <div className="flex items-center justify-between">
+                                    <label className="text-sm text-gray-500">
+                                        <code className="bg-gray-100 px-1.5 py-0.5 rounded text-xs font-mono text-primary-600">{variable || 'x'}</code>
+                                    </label>
+                                    <div className="flex items-center gap-1">
+                                        <input
+                                            type="number"
+                                            value={layoutConfig.variableHeight || ''}
+                                            onChange={(e) => handleLayoutChange('variableHeight', e.target.value)}
+                                            step="0.25"
+                                            min="0.5"
+                                            max="10"
+                                            placeholder="1"
+                                            className="w-16 px-2 py-1 text-sm border border-gray-200 rounded-lg text-center focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-none"
+                                        />
+                                        <span className="text-xs text-gray-400">cm</span>
+                                    </div>
+                                </div>
+                                {tableType !== 'variation' && expressions.map((expr, index) => (
+                                    <div key={`sign-${index}`} className="flex items-center justify-between">
+                                        <label className="text-sm text-gray-500">
+                                            <code className="bg-gray-100 px-1.5 py-0.5 rounded text-xs font-mono text-primary-600">{expr.name || 'f(x)'}</code>
+                                        </label>
+                                        <div className="flex items-center gap-1">
+                                            <input
+                                                type="number"
+                                                value={expr.height || ''}
+                                                onChange={(e) => handleRowHeightChange('sign', index, e.target.value)}
+                                                step="0.25"
+                                                min="0.5"
+                                                max="10"
+                                                placeholder="1"
+                                                className="w-16 px-2 py-1 text-sm border border-gray-200 rounded-lg text-center focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-none"
+                                            />
+                                            <span className="text-xs text-gray-400">cm</span>
+                                        </div>
+                                    </div>
+                                ))}
+                                {tableType !== 'sign' && variationRows.map((row, index) => (
+                                    <div key={`variation-${index}`} className="flex items-center justify-between">
+                                        <label className="text-sm text-gray-500">
+                                            <code className="bg-gray-100 px-1.5 py-0.5 rounded text-xs font-mono text-primary-600">{row.name || 'f(x)'}</code>
+                                        </label>
+                                        <div className="flex items-center gap-1">
+                                            <input
+                                                type="number"
+                                                value={row.height || ''}
+                                                onChange={(e) => handleRowHeightChange('variation', index, e.target.value)}
+                                                step="0.25"
+                                                min="0.5"
+                                                max="10"
+                                                placeholder="1.5"
+                                                className="w-16 px-2 py-1 text-sm border border-gray-200 rounded-lg text-center focus:border-primary-400 focus:ring-1 focus:ring-primary-200 outline-none"
+                                            />
+                                            <span className="text-xs text-gray-400">cm</span>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+
                             <p className="text-xs text-gray-400 pt-1">
                                 These values control the TikZ table layout dimensions.
                             </p>
                         </div>
                     )}
                 </div>
+
+                {/* LaTeX code in the chosen embed profile */}
+                <div className="card">
+                    <CodeView tableData={outputData} preamble={preamble} />
+                </div>
             </div>
         </div>
     );
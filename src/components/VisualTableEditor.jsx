@@ -1,5 +1,32 @@
-import { Plus, X, GripVertical } from 'lucide-react';
+import { Fragment, useState } from 'react';
+import { Plus, X, GripVertical, Link2, AlertCircle, ArrowUpDown, EyeOff } from 'lucide-react';
 import MathTableCell from './MathTableCell';
+import RowLabelOptions from './RowLabelOptions';
+import { removeExpressionAt, cycleFactorRole, getFactorRole } from '../utils/computedRows';
+import { createVariationRow } from '../utils/variationRows';
+import { issuesAt } from '../utils/tableLinter';
+import { isRowHidden, setRowHidden } from '../utils/studentCopy';
+
+// Marker of cells hidden in the student version, outside the marking mode
+const HIDDEN_CELL_CLASSES = 'outline-dashed outline-2 -outline-offset-2 outline-amber-300';
+
+/**
+ * Overlay of a cell in the marking mode: click to hide/show it in the student version
+ */
+function HiddenCellToggle({ hidden, onClick }) {
+    return (
+        <button
+            onClick={onClick}
+            className={`absolute inset-0 z-10 flex items-center justify-center transition-all duration-200 ${hidden
+                ? 'bg-amber-100/80 text-amber-600'
+                : 'text-transparent hover:bg-amber-50/60 hover:text-amber-300'
+                }`}
+            title={hidden ? 'Hidden in the student version - click to show' : 'Click to hide in the student version'}
+        >
+            <EyeOff size={16} />
+        </button>
+    );
+}
 
 /**
  * VisualTableEditor component
@@ -11,23 +38,79 @@ export default function VisualTableEditor({
     onVariableChange,
     points,
     onPointsChange,
+    onSortPoints,
     expressions,
     onExpressionsChange,
-    arrows,
-    onArrowsChange,
-    values,
-    onValuesChange,
-    variationLeftValues,
-    onVariationLeftValuesChange,
-    variationPointTypes,
-    onVariationPointTypesChange,
-    variationFunctionName,
-    onVariationFunctionNameChange,
-    tableType
+    variationRows = [],
+    onVariationRowChange,
+    onVariationRowsChange,
+    onToggleVariationLink,
+    tableType,
+    issues = []
 }) {
     const intervalCount = Math.max(0, points.length - 1);
     const includeSign = tableType === 'sign' || tableType === 'both';
     const includeVariation = tableType === 'variation' || tableType === 'both';
+    // Marking mode: clicking a cell hides/shows it in the student version
+    const [hideMode, setHideMode] = useState(false);
+
+    // Consistency issues on one cell: ring color and tooltip lines
+    // (practice results add the 'ok' severity for correct answers)
+    const cellIssues = (area, row, key, index) => issuesAt(issues, area, row, key, index);
+    const getIssueClasses = (found) => {
+        if (found.length === 0) return '';
+        if (found.some(issue => issue.severity === 'error')) return 'ring-2 ring-inset ring-red-400';
+        return found.every(issue => issue.severity === 'ok') ? 'ring-2 ring-inset ring-emerald-400' : 'ring-2 ring-inset ring-amber-400';
+    };
+    const issueLines = (found) => found.map(issue => `${issue.severity === 'ok' ? '✓' : '⚠'} ${issue.message}`);
+    const withIssues = (title, found) => [...issueLines(found), title].join('\n');
+    const listedIssues = issues.filter(issue => issue.severity !== 'ok');
+
+    // Student version flags: flip one cell of a per-point or per-interval flag array
+    const toggleFlag = (flags, index, count) => {
+        const result = Array.from({ length: count }, (_, i) => !!flags?.[i]);
+        result[index] = !result[index];
+        return result;
+    };
+
+    const toggleHiddenSignCell = (exprIndex, key, index) => {
+        const count = key === 'hiddenSigns' ? intervalCount : points.length;
+        const newExpressions = [...expressions];
+        newExpressions[exprIndex] = { ...newExpressions[exprIndex], [key]: toggleFlag(newExpressions[exprIndex][key], index, count) };
+        onExpressionsChange(newExpressions);
+    };
+
+    const toggleHiddenVariationCell = (rowIndex, key, index) => {
+        const count = key === 'hiddenArrows' ? intervalCount : points.length;
+        onVariationRowChange(rowIndex, { [key]: toggleFlag(variationRows[rowIndex][key], index, count) });
+    };
+
+    const toggleHiddenExpression = (exprIndex) => {
+        const newExpressions = [...expressions];
+        const expr = newExpressions[exprIndex];
+        newExpressions[exprIndex] = setRowHidden(expr, points.length, !isRowHidden(expr, points.length));
+        onExpressionsChange(newExpressions);
+    };
+
+    const toggleHiddenVariationRow = (rowIndex) => {
+        const row = variationRows[rowIndex];
+        const { hiddenArrows, hiddenValues } = setRowHidden(row, points.length, !isRowHidden(row, points.length));
+        onVariationRowChange(rowIndex, { hiddenArrows, hiddenValues });
+    };
+
+    const hiddenClasses = (hidden) => (hidden && !hideMode ? HIDDEN_CELL_CLASSES : '');
+
+    // Button of a row label in the marking mode
+    const renderHideRowButton = (hidden, onClick) => (
+        <button
+            onClick={onClick}
+            className={`mt-1 w-full flex items-center justify-center gap-1 py-0.5 rounded text-[10px] font-medium transition-all duration-200 ${hidden ? 'bg-amber-100 text-amber-700' : 'bg-gray-100 text-gray-500 hover:bg-amber-50'}`}
+            title="Hide or show the whole row in the student version"
+        >
+            <EyeOff size={10} />
+            {hidden ? 'Show row' : 'Hide row'}
+        </button>
+    );
 
     // Format point for display
     const formatPoint = (point) => {
@@ -49,9 +132,26 @@ export default function VisualTableEditor({
         onExpressionsChange([...expressions, newExpr]);
     };
 
-    // Remove an expression line
+    // Remove an expression line (computed rows drop it from their factors)
     const removeExpression = (index) => {
-        const newExpressions = expressions.filter((_, i) => i !== index);
+        onExpressionsChange(removeExpressionAt(expressions, index));
+    };
+
+    // Toggle whether a row is computed as a product/quotient of other rows
+    const toggleComputed = (index) => {
+        const newExpressions = [...expressions];
+        const expr = newExpressions[index];
+        newExpressions[index] = expr.computed
+            ? { ...expr, computed: undefined }
+            : { ...expr, computed: { numerator: [], denominator: [] } };
+        onExpressionsChange(newExpressions);
+    };
+
+    // Cycle a factor row in a computed row: unused -> × -> ÷
+    const cycleRowFactor = (index, factorIndex) => {
+        const newExpressions = [...expressions];
+        const computed = cycleFactorRole(newExpressions[index].computed, factorIndex);
+        newExpressions[index] = { ...newExpressions[index], computed };
         onExpressionsChange(newExpressions);
     };
 
@@ -62,8 +162,16 @@ export default function VisualTableEditor({
         onExpressionsChange(newExpressions);
     };
 
+    // Update expression label options (height, custom label)
+    const updateExpressionLabel = (index, updates) => {
+        const newExpressions = [...expressions];
+        newExpressions[index] = { ...newExpressions[index], ...updates };
+        onExpressionsChange(newExpressions);
+    };
+
     // Toggle sign in expression (+ -> - -> h -> +)
     const toggleSign = (exprIndex, signIndex) => {
+        if (expressions[exprIndex].computed) return;
         const newExpressions = [...expressions];
         const signs = [...newExpressions[exprIndex].signs];
         const cycle = ['+', '-', 'h'];
@@ -75,6 +183,7 @@ export default function VisualTableEditor({
 
     // Toggle point type (z=zero, d=undefined, t=forbidden, n=no line)
     const togglePointType = (exprIndex, pointIndex) => {
+        if (expressions[exprIndex].computed) return;
         const newExpressions = [...expressions];
         const pointTypes = [...(newExpressions[exprIndex].pointTypes || Array(points.length).fill('n'))];
         const cycle = ['n', 'z', 'd', 't'];
@@ -84,13 +193,13 @@ export default function VisualTableEditor({
         onExpressionsChange(newExpressions);
     };
 
-    // Toggle arrow direction (up -> down -> h -> up)
-    const toggleArrow = (index) => {
-        const newArrows = [...arrows];
+    // Toggle arrow direction of a variation row (up -> down -> h -> up)
+    const toggleArrow = (rowIndex, index) => {
+        const newArrows = [...variationRows[rowIndex].arrows];
         const cycle = ['up', 'down', 'h'];
         const current = cycle.indexOf(newArrows[index]);
         newArrows[index] = cycle[(current + 1) % cycle.length];
-        onArrowsChange(newArrows);
+        onVariationRowChange(rowIndex, { arrows: newArrows });
     };
 
     // Update point value
@@ -101,40 +210,96 @@ export default function VisualTableEditor({
     };
 
     // Update variation value at point (right value for double bar)
-    const updateValue = (index, value) => {
-        const newValues = [...values];
+    const updateValue = (rowIndex, index, value) => {
+        const newValues = [...variationRows[rowIndex].values];
         newValues[index] = value;
-        onValuesChange(newValues);
+        onVariationRowChange(rowIndex, { values: newValues });
     };
 
     // Update left value at point (for double bar points)
-    const updateLeftValue = (index, value) => {
-        if (!onVariationLeftValuesChange || !variationLeftValues) return;
-        const newLeftValues = [...variationLeftValues];
+    const updateLeftValue = (rowIndex, index, value) => {
+        const newLeftValues = [...variationRows[rowIndex].leftValues];
         newLeftValues[index] = value;
-        onVariationLeftValuesChange(newLeftValues);
+        onVariationRowChange(rowIndex, { leftValues: newLeftValues });
     };
 
-    // Toggle variation point type (n=normal, d=double bar)
-    const toggleVariationPointType = (index) => {
-        if (!onVariationPointTypesChange || !variationPointTypes) return;
-        const newTypes = [...variationPointTypes];
-        newTypes[index] = newTypes[index] === 'n' ? 'd' : 'n';
-        onVariationPointTypesChange(newTypes);
+    // Toggle variation point type (n=normal, d=double bar, i=image on arrow)
+    const toggleVariationPointType = (rowIndex, index) => {
+        const newTypes = [...variationRows[rowIndex].pointTypes];
+        const cycle = ['n', 'd', 'i'];
+        const current = cycle.indexOf(newTypes[index]);
+        newTypes[index] = cycle[(current + 1) % cycle.length];
+        onVariationRowChange(rowIndex, { pointTypes: newTypes });
+    };
+
+    // Get display for variation point type
+    const getVariationPointTypeDisplay = (type) => {
+        switch (type) {
+            case 'd': return '∥';
+            case 'i': return '•';
+            default: return '—';
+        }
+    };
+
+    // Get color classes for variation point type
+    const getVariationPointTypeClasses = (type) => {
+        switch (type) {
+            case 'd': return 'bg-purple-100 text-purple-600 hover:bg-purple-200';
+            case 'i': return 'bg-amber-100 text-amber-600 hover:bg-amber-200';
+            default: return 'bg-gray-100 text-gray-400 hover:bg-gray-200';
+        }
+    };
+
+    // Update the value placed partway along an arrow (tkzTabVal)
+    const setIntervalValue = (rowIndex, index, annotation) => {
+        const intervalValues = variationRows[rowIndex].intervalValues || [];
+        const newIntervalValues = Array.from({ length: intervalCount }, (_, i) => intervalValues[i] || null);
+        newIntervalValues[index] = annotation;
+        onVariationRowChange(rowIndex, { intervalValues: newIntervalValues });
+    };
+
+    const addIntervalValue = (rowIndex, index) => {
+        setIntervalValue(rowIndex, index, { antecedent: '\\alpha', value: '0', position: 0.5, dashed: true });
+    };
+
+    const updateIntervalValue = (rowIndex, index, updates) => {
+        setIntervalValue(rowIndex, index, { ...variationRows[rowIndex].intervalValues[index], ...updates });
+    };
+
+    // Update the tangent slope at a point (tkzTabSlope)
+    const updateSlope = (rowIndex, index, value) => {
+        const slopes = variationRows[rowIndex].slopes || [];
+        const newSlopes = Array.from({ length: points.length }, (_, i) => slopes[i] || '');
+        newSlopes[index] = value;
+        onVariationRowChange(rowIndex, { slopes: newSlopes });
+    };
+
+    // Add a variation row below the others (e.g. g(x) next to f(x))
+    const addVariationRow = () => {
+        const name = `f_${variationRows.length + 1}(${variable || 'x'})`;
+        onVariationRowsChange([...variationRows, createVariationRow(points.length, name)]);
+    };
+
+    // Remove a variation row; the first one always stays
+    const removeVariationRow = (rowIndex) => {
+        if (rowIndex === 0) return;
+        onVariationRowsChange(variationRows.filter((_, i) => i !== rowIndex));
     };
 
     // Add a new column (point)
     const addColumn = () => {
         const newPoints = [...points];
         newPoints.splice(points.length - 1, 0, '');
-        onPointsChange(newPoints);
+        const order = points.map((_, i) => i);
+        order.splice(points.length - 1, 0, null);
+        onPointsChange(newPoints, order);
     };
 
     // Remove a column (point)
     const removeColumn = (index) => {
         if (points.length <= 2) return;
-        const newPoints = points.filter((_, i) => i !== index);
-        onPointsChange(newPoints);
+        const order = points.map((_, i) => i).filter(i => i !== index);
+        onPointsChange(order.map(i => points[i]), order);
     };
 
     // Get display for point type
@@ -175,6 +340,18 @@ export default function VisualTableEditor({
 
     return (
         <div className="space-y-5">
+            {/* Student version marking mode */}
+            <div className="flex items-center justify-end -mb-3">
+                <button
+                    onClick={() => setHideMode(!hideMode)}
+                    className={`flex items-center gap-1.5 px-3 py-1 text-xs font-medium rounded-lg transition-all duration-200 ${hideMode ? 'bg-amber-100 text-amber-700' : 'bg-gray-100 text-gray-500 hover:bg-gray-200'}`}
+                    title="Choose the cells left blank in the student copy (download format: student copy / answer key)"
+                >
+                    <EyeOff size={14} />
+                    {hideMode ? 'Done marking' : 'Mark cells for the student copy'}
+                </button>
+            </div>
+
             {/* The Visual Table - Modern Design */}
             <div className="overflow-x-auto rounded-xl border border-gray-200 bg-white shadow-sm">
                 <table className="w-full border-collapse text-sm">
@@ -188,33 +365,37 @@ export default function VisualTableEditor({
                                     placeholder="x"
                                 />
                             </th>
-                            {columns.map((col, idx) => (
-                                <th
-                                    key={idx}
-                                    className={`border-b border-r border-gray-200 p-2 ${col.type === 'point' ? 'min-w-[70px]' : 'min-w-[55px] bg-gray-50/50'} relative group`}
-                                >
-                                    {col.type === 'point' ? (
-                                        <>
-                                            <MathTableCell
-                                                value={points[col.index]}
-                                                onChange={(val) => updatePoint(col.index, val)}
-                                                placeholder="val"
-                                            />
-                                            {points.length > 2 && (
-                                                <button
-                                                    onClick={() => removeColumn(col.index)}
-                                                    className="absolute -top-2 -right-2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center text-xs shadow-md hover:bg-red-600 hover:scale-110 transition-all duration-200 border-2 border-white"
-                                                    title="Remove column"
-                                                >
-                                                    <X size={14} strokeWidth={3} />
-                                                </button>
-                                            )}
-                                        </>
-                                    ) : (
-                                        <span className="text-gray-300 text-xs font-light">—</span>
-                                    )}
-                                </th>
-                            ))}
+                            {columns.map((col, idx) => {
+                                const found = col.type === 'point' ? cellIssues('points', undefined, 'point', col.index) : [];
+                                return (
+                                    <th
+                                        key={idx}
+                                        className={`border-b border-r border-gray-200 p-2 ${col.type === 'point' ? 'min-w-[70px]' : 'min-w-[55px] bg-gray-50/50'} relative group ${getIssueClasses(found)}`}
+                                        title={found.length > 0 ? found.map(issue => `⚠ ${issue.message}`).join('\n') : undefined}
+                                    >
+                                        {col.type === 'point' ? (
+                                            <>
+                                                <MathTableCell
+                                                    value={points[col.index]}
+                                                    onChange={(val) => updatePoint(col.index, val)}
+                                                    placeholder="val"
+                                                />
+                                                {points.length > 2 && (
+                                                    <button
+                                                        onClick={() => removeColumn(col.index)}
+                                                        className="absolute -top-2 -right-2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center text-xs shadow-md hover:bg-red-600 hover:scale-110 transition-all duration-200 border-2 border-white"
+                                                        title="Remove column"
+                                                    >
+                                                        <X size={14} strokeWidth={3} />
+                                                    </button>
+                                                )}
+                                            </>
+                                        ) : (
+                                            <span className="text-gray-300 text-xs font-light">—</span>
+                                        )}
+                                    </th>
+                                );
+                            })}
                             <th className="border-b border-gray-200 p-2 w-10">
                                 <button
                                     onClick={addColumn}
@@ -237,6 +418,49 @@ export default function VisualTableEditor({
                                         onChange={(value) => updateExpressionName(exprIndex, value)}
                                         placeholder="f(x)"
                                     />
+                                    {(expressions.length > 1 || includeVariation) && (
+                                        <div className="flex flex-wrap items-center gap-1 mt-1">
+                                            {includeVariation && onToggleVariationLink && (
+                                                <button
+                                                    onClick={() => onToggleVariationLink(exprIndex)}
+                                                    className={`px-1.5 py-0.5 rounded transition-all duration-200 ${expr.variationLink ? 'bg-emerald-100 text-emerald-600 hover:bg-emerald-200' : 'bg-gray-100 text-gray-400 hover:bg-gray-200'}`}
+                                                    title={expr.variationLink ? 'Arrows follow this row - click to unlink' : 'Link the variation arrows to the signs of this row'}
+                                                >
+                                                    <Link2 size={10} strokeWidth={3} />
+                                                </button>
+                                            )}
+                                            {expressions.length > 1 && (
+                                                <button
+                                                    onClick={() => toggleComputed(exprIndex)}
+                                                    className={`px-1.5 py-0.5 rounded text-[10px] font-bold transition-all duration-200 ${expr.computed ? 'bg-indigo-100 text-indigo-600 hover:bg-indigo-200' : 'bg-gray-100 text-gray-400 hover:bg-gray-200'}`}
+                                                    title="Compute this row as a product/quotient of other rows"
+                                                >
+                                                    =
+                                                </button>
+                                            )}
+                                            {expr.computed && expressions.map((factor, factorIndex) => {
+                                                if (factorIndex === exprIndex || factor.computed) return null;
+                                                const role = getFactorRole(expr.computed, factorIndex);
+                                                return (
+                                                    <button
+                                                        key={factorIndex}
+                                                        onClick={() => cycleRowFactor(exprIndex, factorIndex)}
+                                                        className={`px-1.5 py-0.5 rounded text-[10px] font-bold transition-all duration-200 ${role ? 'bg-indigo-50 text-indigo-600 hover:bg-indigo-100' : 'bg-gray-50 text-gray-300 hover:bg-gray-100'}`}
+                                                        title={`Row ${factorIndex + 1} (${factor.name}): click to toggle ×/÷/unused`}
+                                                    >
+                                                        {role === 'denominator' ? '÷' : role === 'numerator' ? '×' : '·'}{factorIndex + 1}
+                                                    </button>
+                                                );
+                                            })}
+                                        </div>
+                                    )}
+                                    <RowLabelOptions
+                                        label={expr.label}
+                                        height={expr.height}
+                                        defaultHeight={1}
+                                        onChange={(updates) => updateExpressionLabel(exprIndex, updates)}
+                                    />
+                                    {hideMode && renderHideRowButton(isRowHidden(expr, points.length), () => toggleHiddenExpression(exprIndex))}
                                     {expressions.length > 1 && (
                                         <button
                                             onClick={() => removeExpression(exprIndex)}
@@ -252,12 +476,16 @@ export default function VisualTableEditor({
 
                                     if (col.type === 'point') {
                                         // Point column - show point type (z, d, t, n)
+                                        const found = cellIssues('sign', exprIndex, 'point', col.index);
+                                        const hidden = !!expr.hiddenPoints?.[col.index];
                                         return (
-                                            <td key={idx} className="border-b border-r border-gray-200 p-0">
+                                            <td key={idx} className={`border-b border-r border-gray-200 p-0 relative ${getIssueClasses(found)} ${hiddenClasses(hidden)}`}>
+                                                {hideMode && <HiddenCellToggle hidden={hidden} onClick={() => toggleHiddenSignCell(exprIndex, 'hiddenPoints', col.index)} />}
                                                 <button
                                                     onClick={() => togglePointType(exprIndex, col.index)}
-                                                    className={`w-full h-full py-3 font-bold text-lg transition-all duration-200 ${getPointTypeClasses(pointTypes[col.index])}`}
-                                                    title="Click: n=none, z=zero, d=undefined, t=forbidden"
+                                                    disabled={!!expr.computed}
+                                                    className={`w-full h-full py-3 font-bold text-lg transition-all duration-200 disabled:cursor-not-allowed ${getPointTypeClasses(pointTypes[col.index])}`}
+                                                    title={withIssues(expr.computed ? 'Computed from the factor rows' : 'Click: n=none, z=zero, d=undefined, t=forbidden', found)}
                                                 >
                                                     {getPointTypeDisplay(pointTypes[col.index])}
                                                 </button>
@@ -267,22 +495,28 @@ export default function VisualTableEditor({
                                         // Interval column - show sign (+/-/h)
                                         const sign = expr.signs[col.index];
                                         const isHatched = sign === 'h';
+                                        const found = cellIssues('sign', exprIndex, 'interval', col.index);
+                                        const hidden = !!expr.hiddenSigns?.[col.index];
                                         return (
-                                            <td key={idx} className={`border-b border-r border-gray-200 p-0 ${isHatched ? '' : 'bg-gray-50/30'}`}>
+                                            <td key={idx} className={`border-b border-r border-gray-200 p-0 relative ${isHatched ? '' : 'bg-gray-50/30'} ${getIssueClasses(found)} ${hiddenClasses(hidden)}`}>
+                                                {hideMode && <HiddenCellToggle hidden={hidden} onClick={() => toggleHiddenSignCell(exprIndex, 'hiddenSigns', col.index)} />}
                                                 <button
                                                     onClick={() => toggleSign(exprIndex, col.index)}
-                                                    className={`w-full h-full py-3 font-bold text-xl transition-all duration-200 ${isHatched
+                                                    disabled={!!expr.computed}
+                                                    className={`w-full h-full py-3 font-bold text-xl transition-all duration-200 disabled:cursor-not-allowed ${isHatched
                                                         ? 'text-gray-400'
                                                         : sign === '+'
                                                             ? 'text-emerald-600 hover:bg-emerald-50'
-                                                            : 'text-red-500 hover:bg-red-50'
+                                                            : sign === '-'
+                                                                ? 'text-red-500 hover:bg-red-50'
+                                                                : 'hover:bg-gray-100'
                                                         }`}
-                                                    title="Click to toggle +/−/h(hatched)"
+                                                    title={withIssues(expr.computed ? 'Computed from the factor rows' : 'Click to toggle +/−/h(hatched)', found)}
                                                     style={isHatched ? {
                                                         background: 'repeating-linear-gradient(45deg, transparent, transparent 3px, #f1f5f9 3px, #f1f5f9 6px)'
                                                     } : {}}
                                                 >
-                                                    {isHatched ? '▧' : sign === '+' ? '+' : '−'}
+                                                    {isHatched ? '▧' : sign === '+' ? '+' : sign === '-' ? '−' : ''}
                                                 </button>
                                             </td>
                                         );
@@ -307,112 +541,277 @@ export default function VisualTableEditor({
                             </tr>
                         )}
 
-                        {/* Variation Row */}
-                        {includeVariation && (
-                            <tr className="bg-gradient-to-r from-blue-50/30 to-indigo-50/30">
-                                <td className="border-b border-r border-gray-200 p-2 bg-white/50">
-                                    <MathTableCell
-                                        value={variationFunctionName || 'f(x)'}
-                                        onChange={onVariationFunctionNameChange}
-                                        placeholder="f(x)"
-                                    />
-                                </td>
-                                {columns.map((col, idx) => {
-                                    if (col.type === 'point') {
-                                        // Point column - show value input AND type toggle
-                                        const type = variationPointTypes ? variationPointTypes[col.index] : 'n';
+                        {/* Variation Rows */}
+                        {includeVariation && variationRows.map((row, rowIndex) => {
+                            const { arrows, values, leftValues, pointTypes, intervalValues = [], slopes } = row;
+                            return (
+                                <Fragment key={rowIndex}>
+                                    {/* Variation Row */}
+                                    <tr className="bg-gradient-to-r from-blue-50/30 to-indigo-50/30">
+                                        <td className="border-b border-r border-gray-200 p-2 relative group bg-white/50">
+                                            {rowIndex > 0 && (
+                                                <button
+                                                    onClick={() => removeVariationRow(rowIndex)}
+                                                    className="absolute -left-2 top-1/2 -translate-y-1/2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center shadow-md hover:bg-red-600 hover:scale-110 transition-all duration-200 border-2 border-white"
+                                                    title="Remove variation row"
+                                                >
+                                                    <X size={14} strokeWidth={3} />
+                                                </button>
+                                            )}
+                                            <MathTableCell
+                                                value={row.name || ''}
+                                                onChange={(val) => onVariationRowChange(rowIndex, { name: val })}
+                                                placeholder="f(x)"
+                                            />
+                                            <RowLabelOptions
+                                                label={row.label}
+                                                height={row.height}
+                                                defaultHeight={1.5}
+                                                onChange={(updates) => onVariationRowChange(rowIndex, updates)}
+                                            />
+                                            {hideMode && renderHideRowButton(isRowHidden(row, points.length), () => toggleHiddenVariationRow(rowIndex))}
+                                        </td>
+                                        {columns.map((col, idx) => {
+                                            if (col.type === 'point') {
+                                                // Point column - show value input AND type toggle
+                                                const type = pointTypes[col.index] || 'n';
+                                                const found = cellIssues('variation', rowIndex, 'point', col.index);
+                                                const hidden = !!row.hiddenValues?.[col.index];
 
-                                        return (
-                                            <td key={idx} className={`border-b border-r border-gray-200 p-1.5 relative group ${type === 'd' ? 'bg-purple-50/50' : ''}`}>
-                                                <div className="flex flex-col items-center gap-1">
-                                                    {type === 'd' ? (
-                                                        // Double bar mode
-                                                        col.index === points.length - 1 ? (
-                                                            // End point: only one input (value before the bar)
-                                                            <>
-                                                                <MathTableCell
-                                                                    value={variationLeftValues ? variationLeftValues[col.index] || '' : ''}
-                                                                    onChange={(val) => updateLeftValue(col.index, val)}
-                                                                    placeholder="val"
-                                                                />
-                                                                <div className="w-full h-0.5 bg-purple-400 rounded-full my-0.5"></div>
-                                                            </>
-                                                        ) : col.index === 0 ? (
-                                                            // Start point: only one input (value after the bar)
-                                                            <>
-                                                                <div className="w-full h-0.5 bg-purple-400 rounded-full my-0.5"></div>
+                                                return (
+                                                    <td
+                                                        key={idx}
+                                                        className={`border-b border-r border-gray-200 p-1.5 relative group ${type === 'd' ? 'bg-purple-50/50' : ''} ${getIssueClasses(found)} ${hiddenClasses(hidden)}`}
+                                                        title={found.length > 0 ? issueLines(found).join('\n') : undefined}
+                                                    >
+                                                        {hideMode && <HiddenCellToggle hidden={hidden} onClick={() => toggleHiddenVariationCell(rowIndex, 'hiddenValues', col.index)} />}
+                                                        <div className="flex flex-col items-center gap-1">
+                                                            {type === 'd' ? (
+                                                                // Double bar mode
+                                                                col.index === points.length - 1 ? (
+                                                                    // End point: only one input (value before the bar)
+                                                                    <>
+                                                                        <MathTableCell
+                                                                            value={leftValues[col.index] || ''}
+                                                                            onChange={(val) => updateLeftValue(rowIndex, col.index, val)}
+                                                                            placeholder="val"
+                                                                        />
+                                                                        <div className="w-full h-0.5 bg-purple-400 rounded-full my-0.5"></div>
+                                                                    </>
+                                                                ) : col.index === 0 ? (
+                                                                    // Start point: only one input (value after the bar)
+                                                                    <>
+                                                                        <div className="w-full h-0.5 bg-purple-400 rounded-full my-0.5"></div>
+                                                                        <MathTableCell
+                                                                            value={values[col.index] || ''}
+                                                                            onChange={(val) => updateValue(rowIndex, col.index, val)}
+                                                                            placeholder="val"
+                                                                        />
+                                                                    </>
+                                                                ) : (
+                                                                    // Middle point: two inputs (left value / right value)
+                                                                    <>
+                                                                        <MathTableCell
+                                                                            value={leftValues[col.index] || ''}
+                                                                            onChange={(val) => updateLeftValue(rowIndex, col.index, val)}
+                                                                            placeholder="left"
+                                                                        />
+                                                                        <div className="w-full h-0.5 bg-purple-400 rounded-full my-0.5"></div>
+                                                                        <MathTableCell
+                                                                            value={values[col.index] || ''}
+                                                                            onChange={(val) => updateValue(rowIndex, col.index, val)}
+                                                                            placeholder="right"
+                                                                        />
+                                                                    </>
+                                                                )
+                                                            ) : (
+                                                                // Normal point: single input
                                                                 <MathTableCell
                                                                     value={values[col.index] || ''}
-                                                                    onChange={(val) => updateValue(col.index, val)}
+                                                                    onChange={(val) => updateValue(rowIndex, col.index, val)}
                                                                     placeholder="val"
                                                                 />
-                                                            </>
-                                                        ) : (
-                                                            // Middle point: two inputs (left value / right value)
-                                                            <>
+                                                            )}
+                                                            <button
+                                                                onClick={() => toggleVariationPointType(rowIndex, col.index)}
+                                                                className={`w-full py-0.5 rounded text-[9px] flex items-center justify-center font-bold transition-all duration-200 ${getVariationPointTypeClasses(type)}`}
+                                                                title="Click: —=normal, ∥=double bar, •=image on the arrow (non-extremum)"
+                                                            >
+                                                                {getVariationPointTypeDisplay(type)}
+                                                            </button>
+                                                        </div>
+                                                    </td>
+                                                );
+                                            } else {
+                                                // Interval column - show arrow (up/down/h) and optional value along it
+                                                const arrow = arrows[col.index];
+                                                const isHatched = arrow === 'h';
+                                                const annotation = intervalValues[col.index];
+                                                const found = cellIssues('variation', rowIndex, 'interval', col.index);
+                                                const hidden = !!row.hiddenArrows?.[col.index];
+                                                return (
+                                                    <td key={idx} className={`border-b border-r border-gray-200 p-0 relative bg-white/30 align-top ${getIssueClasses(found)} ${hiddenClasses(hidden)}`}>
+                                                        {hideMode && <HiddenCellToggle hidden={hidden} onClick={() => toggleHiddenVariationCell(rowIndex, 'hiddenArrows', col.index)} />}
+                                                        <button
+                                                            onClick={() => toggleArrow(rowIndex, col.index)}
+                                                            className={`w-full h-full py-3 font-bold text-2xl transition-all duration-200 ${isHatched
+                                                                ? 'text-gray-400'
+                                                                : arrow === 'up'
+                                                                    ? 'text-emerald-600 hover:bg-emerald-50'
+                                                                    : arrow === 'down'
+                                                                        ? 'text-red-500 hover:bg-red-50'
+                                                                        : 'hover:bg-gray-100'
+                                                                }`}
+                                                            title={withIssues('Click to toggle ↗/↘/▧(forbidden)', found)}
+                                                            style={isHatched ? {
+                                                                background: 'repeating-linear-gradient(45deg, transparent, transparent 3px, #f1f5f9 3px, #f1f5f9 6px)'
+                                                            } : {}}
+                                                        >
+                                                            {isHatched ? '▧' : arrow === 'up' ? '↗' : arrow === 'down' ? '↘' : ''}
+                                                        </button>
+                                                        {!isHatched && (annotation ? (
+                                                            <div className="flex flex-col items-center gap-1 p-1 border-t border-gray-100">
                                                                 <MathTableCell
-                                                                    value={variationLeftValues ? variationLeftValues[col.index] || '' : ''}
-                                                                    onChange={(val) => updateLeftValue(col.index, val)}
-                                                                    placeholder="left"
+                                                                    value={annotation.antecedent || ''}
+                                                                    onChange={(val) => updateIntervalValue(rowIndex, col.index, { antecedent: val })}
+                                                                    placeholder="α"
                                                                 />
-                                                                <div className="w-full h-0.5 bg-purple-400 rounded-full my-0.5"></div>
                                                                 <MathTableCell
-                                                                    value={values[col.index] || ''}
-                                                                    onChange={(val) => updateValue(col.index, val)}
-                                                                    placeholder="right"
+                                                                    value={annotation.value || ''}
+                                                                    onChange={(val) => updateIntervalValue(rowIndex, col.index, { value: val })}
+                                                                    placeholder="f(α)"
                                                                 />
-                                                            </>
-                                                        )
-                                                    ) : (
-                                                        // Normal point: single input
+                                                                <div className="flex items-center gap-1 w-full">
+                                                                    <input
+                                                                        type="number"
+                                                                        value={annotation.position ?? 0.5}
+                                                                        onChange={(e) => updateIntervalValue(rowIndex, col.index, { position: parseFloat(e.target.value) || 0 })}
+                                                                        step="0.1"
+                                                                        min="0"
+                                                                        max="1"
+                                                                        className="w-12 px-1 py-0.5 text-[10px] border border-gray-200 rounded text-center outline-none focus:border-primary-400"
+                                                                        title="Position along the arrow (0 = start, 1 = end)"
+                                                                    />
+                                                                    <button
+                                                                        onClick={() => updateIntervalValue(rowIndex, col.index, { dashed: !annotation.dashed })}
+                                                                        className={`px-1 py-0.5 rounded text-[10px] font-bold ${annotation.dashed ? 'bg-primary-100 text-primary-600' : 'bg-gray-100 text-gray-400'}`}
+                                                                        title="Toggle dashed guide lines"
+                                                                    >
+                                                                        ┆
+                                                                    </button>
+                                                                    <button
+                                                                        onClick={() => setIntervalValue(rowIndex, col.index, null)}
+                                                                        className="px-1 py-0.5 rounded text-red-400 hover:bg-red-50"
+                                                                        title="Remove this value"
+                                                                    >
+                                                                        <X size={10} strokeWidth={3} />
+                                                                    </button>
+                                                                </div>
+                                                            </div>
+                                                        ) : (
+                                                            <button
+                                                                onClick={() => addIntervalValue(rowIndex, col.index)}
+                                                                className="w-full py-0.5 text-[9px] font-bold text-gray-300 hover:text-primary-500 hover:bg-primary-50/50 transition-all duration-200"
+                                                                title="Add a value partway along this arrow (tkzTabVal)"
+                                                            >
+                                                                +α
+                                                            </button>
+                                                        ))}
+                                                    </td>
+                                                );
+                                            }
+                                        })}
+                                        <td className="border-b border-gray-200"></td>
+                                    </tr>
+
+                                    {/* Tangent Slope Row */}
+                                    {slopes && (
+                                        <tr className="bg-amber-50/20">
+                                            <td className="border-b border-r border-gray-200 p-2 relative group bg-white text-xs font-medium text-gray-500 text-center">
+                                                slope
+                                                <button
+                                                    onClick={() => onVariationRowChange(rowIndex, { slopes: null })}
+                                                    className="absolute -left-2 top-1/2 -translate-y-1/2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center shadow-md hover:bg-red-600 hover:scale-110 transition-all duration-200 border-2 border-white"
+                                                    title="Remove slope row"
+                                                >
+                                                    <X size={14} strokeWidth={3} />
+                                                </button>
+                                            </td>
+                                            {columns.map((col, idx) => (
+                                                col.type === 'point' ? (
+                                                    <td key={idx} className="border-b border-r border-gray-200 p-1.5">
                                                         <MathTableCell
-                                                            value={values[col.index] || ''}
-                                                            onChange={(val) => updateValue(col.index, val)}
-                                                            placeholder="val"
+                                                            value={slopes[col.index] || ''}
+                                                            onChange={(val) => updateSlope(rowIndex, col.index, val)}
+                                                            placeholder="—"
                                                         />
-                                                    )}
-                                                    <button
-                                                        onClick={() => toggleVariationPointType(col.index)}
-                                                        className={`w-full py-0.5 rounded text-[9px] flex items-center justify-center font-bold transition-all duration-200 ${type === 'n' ? 'bg-gray-100 text-gray-400 hover:bg-gray-200' : 'bg-purple-100 text-purple-600 hover:bg-purple-200'}`}
-                                                        title="Toggle double bar"
-                                                    >
-                                                        {type === 'd' ? '∥' : '—'}
-                                                    </button>
-                                                </div>
-                                            </td>
-                                        );
-                                    } else {
-                                        // Interval column - show arrow (up/down/h)
-                                        const arrow = arrows[col.index];
-                                        const isHatched = arrow === 'h';
-                                        return (
-                                            <td key={idx} className="border-b border-r border-gray-200 p-0 bg-white/30">
+                                                    </td>
+                                                ) : (
+                                                    <td key={idx} className="border-b border-r border-gray-200 bg-gray-50/30"></td>
+                                                )
+                                            ))}
+                                            <td className="border-b border-gray-200"></td>
+                                        </tr>
+                                    )}
+
+                                    {/* Add Slope Row Button */}
+                                    {!slopes && (
+                                        <tr className="bg-gray-50/30">
+                                            <td colSpan={columns.length + 2} className="border-b border-gray-200 p-1">
                                                 <button
-                                                    onClick={() => toggleArrow(col.index)}
-                                                    className={`w-full h-full py-3 font-bold text-2xl transition-all duration-200 ${isHatched
-                                                        ? 'text-gray-400'
-                                                        : arrow === 'up'
-                                                            ? 'text-emerald-600 hover:bg-emerald-50'
-                                                            : 'text-red-500 hover:bg-red-50'
-                                                        }`}
-                                                    title="Click to toggle ↗/↘/▧(forbidden)"
-                                                    style={isHatched ? {
-                                                        background: 'repeating-linear-gradient(45deg, transparent, transparent 3px, #f1f5f9 3px, #f1f5f9 6px)'
-                                                    } : {}}
+                                                    onClick={() => onVariationRowChange(rowIndex, { slopes: Array(points.length).fill('') })}
+                                                    className="w-full flex items-center justify-center gap-2 py-2 text-primary-500 hover:text-primary-600 hover:bg-primary-50/50 transition-all duration-200 text-sm font-medium rounded-lg"
                                                 >
-                                                    {isHatched ? '▧' : arrow === 'up' ? '↗' : '↘'}
+                                                    <Plus size={16} />
+                                                    Add tangent slope row
                                                 </button>
                                             </td>
-                                        );
-                                    }
-                                })}
-                                <td className="border-b border-gray-200"></td>
+                                        </tr>
+                                    )}
+                                </Fragment>
+                            );
+                        })}
+
+                        {/* Add Variation Row Button */}
+                        {includeVariation && (
+                            <tr className="bg-gray-50/30">
+                                <td colSpan={columns.length + 2} className="border-b border-gray-200 p-1">
+                                    <button
+                                        onClick={addVariationRow}
+                                        className="w-full flex items-center justify-center gap-2 py-2 text-primary-500 hover:text-primary-600 hover:bg-primary-50/50 transition-all duration-200 text-sm font-medium rounded-lg"
+                                    >
+                                        <Plus size={16} />
+                                        Add variation row
+                                    </button>
+                                </td>
                             </tr>
                         )}
                     </tbody>
                 </table>
             </div>
 
+            {/* Consistency issues */}
+            {listedIssues.length > 0 && (
+                <div className="space-y-1">
+                    {listedIssues.map((issue, index) => (
+                        <div key={index} className={`flex items-center gap-2 text-xs ${issue.severity === 'error' ? 'text-red-500' : 'text-amber-600'}`}>
+                            <AlertCircle size={14} className="shrink-0" />
+                            <span>{issue.message}</span>
+                        </div>
+                    ))}
+                    {onSortPoints && listedIssues.some(issue => issue.target.area === 'points') && (
+                        <button
+                            onClick={onSortPoints}
+                            className="flex items-center gap-1.5 px-3 py-1 text-xs font-medium text-primary-600 bg-primary-50 hover:bg-primary-100 rounded-lg transition-all duration-200"
+                            title="Sort the points in increasing order and remove repeated ones; every column moves with its point"
+                        >
+                            <ArrowUpDown size={14} />
+                            Sort points
+                        </button>
+                    )}
+                </div>
+            )}
+
             {/* Legend - Modern Pills */}
             <div className="flex flex-wrap gap-2 text-xs">
                 <span className="px-3 py-1.5 bg-gray-100 rounded-full text-gray-600 font-medium">Click to toggle:</span>
@@ -433,9 +832,14 @@ export default function VisualTableEditor({
                     </>
                 )}
                 {includeVariation && (
-                    <span className="px-3 py-1.5 bg-emerald-50 text-emerald-700 rounded-full font-medium">
-                        <span className="text-emerald-600">↗</span> / <span className="text-red-500">↘</span>
-                    </span>
+                    <>
+                        <span className="px-3 py-1.5 bg-emerald-50 text-emerald-700 rounded-full font-medium">
+                            <span className="text-emerald-600">↗</span> / <span className="text-red-500">↘</span>
+                        </span>
+                        <span className="px-3 py-1.5 bg-amber-50 text-amber-700 rounded-full font-medium">
+                            <span className="font-bold">•</span> image on arrow
+                        </span>
+                    </>
                 )}
             </div>
         </div>
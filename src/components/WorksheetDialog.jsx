@@ -0,0 +1,283 @@
+import { useEffect, useState } from 'react';
+import { X, ArrowUp, ArrowDown, Trash2, Pencil, FileCode, FileDown, RefreshCw, AlertCircle } from 'lucide-react';
+import {
+    NUMBERING_STYLES,
+    PAPER_SIZES,
+    FONT_SIZES,
+    WORKSHEET_VERSIONS,
+    describeWorksheetTable,
+    generateWorksheetDocument
+} from '../utils/worksheet';
+
+// Use relative path in production, localhost in development
+const PDF_ENDPOINT = import.meta.env.DEV ? 'http://localhost:3001/api/pdf' : '/api/pdf';
+// Only the LaTeX server (server.js, the Docker image) compiles PDFs: the Netlify
+// deployment has no /health, so the PDF action is hidden there
+const HEALTH_ENDPOINT = import.meta.env.DEV ? 'http://localhost:3001/health' : '/health';
+
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * WorksheetDialog component
+ * Arrange the tables collected with "Add to worksheet": exercise text, captions,
+ * order, numbering and page layout, then download the document as .tex or, when the
+ * LaTeX server is running, as a PDF it compiles. Changes are kept as they are made.
+ */
+export default function WorksheetDialog({ worksheet, preamble, onChange, onOpenTable, onClose }) {
+    const [compiling, setCompiling] = useState(false);
+    const [error, setError] = useState(null);
+    const [version, setVersion] = useState('full');
+    const [pdfAvailable, setPdfAvailable] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch(HEALTH_ENDPOINT)
+            .then(response => response.json())
+            .then(data => !cancelled && setPdfAvailable(data.status === 'ok'))
+            .catch(() => !cancelled && setPdfAvailable(false));
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const { items } = worksheet;
+    const fileName = `worksheet${WORKSHEET_VERSIONS.find(option => option.value === version).fileSuffix}`;
+
+    const update = (updates) => {
+        onChange({ ...worksheet, ...updates });
+        setError(null);
+    };
+
+    const updateItem = (index, updates) => {
+        update({ items: items.map((item, i) => (i === index ? { ...item, ...updates } : item)) });
+    };
+
+    const moveItem = (index, offset) => {
+        const moved = [...items];
+        [moved[index], moved[index + offset]] = [moved[index + offset], moved[index]];
+        update({ items: moved });
+    };
+
+    const removeItem = (index) => {
+        update({ items: items.filter((_, i) => i !== index) });
+    };
+
+    const downloadTex = () => {
+        saveBlob(new Blob([generateWorksheetDocument(worksheet, preamble, version)], { type: 'text/plain' }), `${fileName}.tex`);
+    };
+
+    const downloadPdf = async () => {
+        setCompiling(true);
+        setError(null);
+        try {
+            const response = await fetch(PDF_ENDPOINT, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ latex: generateWorksheetDocument(worksheet, preamble, version) })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.details || data.error || 'Failed to compile the worksheet');
+            }
+            saveBlob(await response.blob(), `${fileName}.pdf`);
+        } catch (err) {
+            console.error('Worksheet error:', err);
+            setError(err.message.includes('Failed to fetch')
+                ? 'Network error. Is the LaTeX server running?'
+                : err.message);
+        } finally {
+            setCompiling(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] bg-black/30 flex items-center justify-center p-6" onClick={onClose}>
+            <div className="card w-full max-w-3xl space-y-3 max-h-full overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-gray-800">Worksheet ({items.length} {items.length === 1 ? 'table' : 'tables'})</h2>
+                    <button onClick={onClose} className="toolbar-btn" title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                <div className="grid grid-cols-3 gap-3 text-sm">
+                    <label className="space-y-1 col-span-2">
+                        <span className="text-xs text-gray-500">Title</span>
+                        <input
+                            type="text"
+                            value={worksheet.title}
+                            onChange={(e) => update({ title: e.target.value })}
+                            placeholder="Worksheet: study of functions"
+                            className="input text-sm"
+                        />
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Numbering</span>
+                        <select
+                            value={worksheet.numbering}
+                            onChange={(e) => update({ numbering: e.target.value })}
+                            className="input text-sm"
+                        >
+                            {NUMBERING_STYLES.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Paper</span>
+                        <select
+                            value={worksheet.paperSize}
+                            onChange={(e) => update({ paperSize: e.target.value })}
+                            className="input text-sm"
+                        >
+                            {PAPER_SIZES.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Margins</span>
+                        <input
+                            type="text"
+                            value={worksheet.margin}
+                            onChange={(e) => update({ margin: e.target.value })}
+                            placeholder="2cm"
+                            className="input text-sm"
+                        />
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Font size</span>
+                        <select
+                            value={worksheet.fontSize}
+                            onChange={(e) => update({ fontSize: e.target.value })}
+                            className="input text-sm"
+                        >
+                            {FONT_SIZES.map(size => (
+                                <option key={size} value={size}>{size}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-gray-500">Columns</span>
+                        <select
+                            value={worksheet.columns}
+                            onChange={(e) => update({ columns: Number(e.target.value) })}
+                            className="input text-sm"
+                        >
+                            <option value={1}>One column</option>
+                            <option value={2}>Two columns</option>
+                        </select>
+                    </label>
+                    <div className="flex items-end pb-2 col-span-2">
+                        <label className="flex items-center gap-1.5 text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={worksheet.pageBreaks}
+                                onChange={(e) => update({ pageBreaks: e.target.checked })}
+                            />
+                            Start each exercise on a new page (new column with two columns)
+                        </label>
+                    </div>
+                </div>
+
+                <label className="block space-y-1">
+                    <span className="text-xs text-gray-500">Instructions (under the title)</span>
+                    <textarea
+                        value={worksheet.instructions}
+                        onChange={(e) => update({ instructions: e.target.value })}
+                        rows={2}
+                        className="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg resize-y outline-none focus:border-primary-400 focus:ring-1 focus:ring-primary-200"
+                    />
+                </label>
+
+                {items.length === 0 ? (
+                    <p className="text-sm text-gray-500 py-4 text-center">
+                        No tables yet. Use "Add to worksheet" in the toolbar to collect the table being edited.
+                    </p>
+                ) : (
+                    <ol className="space-y-2">
+                        {items.map((item, index) => (
+                            <li key={index} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-xs font-semibold text-gray-500 w-6">{index + 1}.</span>
+                                    <code className="flex-1 text-xs font-mono text-gray-600 truncate" title={describeWorksheetTable(item.tableData)}>
+                                        {describeWorksheetTable(item.tableData)}
+                                    </code>
+                                    <button onClick={() => moveItem(index, -1)} disabled={index === 0} className="toolbar-btn" title="Move up">
+                                        <ArrowUp size={14} />
+                                    </button>
+                                    <button onClick={() => moveItem(index, 1)} disabled={index === items.length - 1} className="toolbar-btn" title="Move down">
+                                        <ArrowDown size={14} />
+                                    </button>
+                                    <button onClick={() => onOpenTable(item.tableData)} className="toolbar-btn" title="Open a copy in the editor">
+                                        <Pencil size={14} />
+                                    </button>
+                                    <button onClick={() => removeItem(index)} className="toolbar-btn" title="Remove from the worksheet">
+                                        <Trash2 size={14} />
+                                    </button>
+                                </div>
+                                <textarea
+                                    value={item.text}
+                                    onChange={(e) => updateItem(index, { text: e.target.value })}
+                                    rows={2}
+                                    placeholder="Exercise text (LaTeX), e.g. Let $f(x)=x^3-3x$. Complete the table."
+                                    className="w-full px-3 py-2 text-sm border border-gray-200 rounded-lg resize-y outline-none focus:border-primary-400 focus:ring-1 focus:ring-primary-200"
+                                />
+                                <input
+                                    type="text"
+                                    value={item.caption}
+                                    onChange={(e) => updateItem(index, { caption: e.target.value })}
+                                    placeholder="Caption (optional)"
+                                    className="input text-sm"
+                                />
+                            </li>
+                        ))}
+                    </ol>
+                )}
+
+                {error && (
+                    <div className="flex items-center gap-2 text-xs text-red-500">
+                        <AlertCircle size={14} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-2">
+                    <select
+                        value={version}
+                        onChange={(e) => setVersion(e.target.value)}
+                        className="input text-sm w-auto"
+                        title="Student copy: cells marked in the editor are left blank; answer key: they are coloured"
+                    >
+                        {WORKSHEET_VERSIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <button onClick={downloadTex} disabled={items.length === 0} className="toolbar-btn">
+                        <FileCode size={16} />
+                        Download .tex
+                    </button>
+                    {pdfAvailable ? (
+                        <button onClick={downloadPdf} disabled={items.length === 0 || compiling} className="toolbar-btn-primary">
+                            {compiling ? <RefreshCw size={16} className="animate-spin" /> : <FileDown size={16} />}
+                            {compiling ? 'Compiling...' : 'Download PDF'}
+                        </button>
+                    ) : (
+                        <span className="self-center text-xs text-gray-500" title="Run the Docker image or npm run server">
+                            PDF needs the LaTeX server
+                        </span>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -116,4 +116,62 @@ export const templates = [
     }
 ];
 
+/**
+ * Parameterised function families for the exercise generator (utils/exerciseGenerator.js)
+ * Parameters are drawn as integers in [min, max]; a draw is kept when every condition
+ * holds. numerator and denominator give the coefficients of f, constant term first.
+ * criticalPoints is the number of zeros f' must have.
+ */
+export const exerciseFamilies = [
+    {
+        id: 'quadratic',
+        name: 'Quadratic function',
+        description: 'f(x) = ax^2 + bx + c',
+        tableType: 'both',
+        variable: 'x',
+        parameters: { a: [-3, 3], b: [-8, 8], c: [-9, 9] },
+        conditions: [({ a }) => a !== 0],
+        numerator: ({ a, b, c }) => [c, b, a],
+        denominator: () => [1],
+        criticalPoints: 1
+    },
+    {
+        id: 'cubic',
+        name: 'Cubic with two extrema',
+        description: "f(x) = ax^3 + bx^2 + cx + d, f'(x) = 3a(x - p)(x - q)",
+        tableType: 'both',
+        variable: 'x',
+        parameters: { a: [-2, 2], p: [-4, 4], q: [-4, 4], d: [-9, 9] },
+        // p < q keeps each pair of extrema once; the x^2 coefficient must be an integer
+        conditions: [({ a }) => a !== 0, ({ p, q }) => p < q, ({ a, p, q }) => (a * (p + q)) % 2 === 0],
+        numerator: ({ a, p, q, d }) => [d, 3 * a * p * q, (-3 * a * (p + q)) / 2, a],
+        denominator: () => [1],
+        criticalPoints: 2
+    },
+    {
+        id: 'homographic',
+        name: 'Homographic function',
+        description: 'f(x) = (ax + b)/(cx + d), ad - bc ≠ 0',
+        tableType: 'both',
+        variable: 'x',
+        parameters: { a: [-5, 5], b: [-9, 9], c: [-3, 3], d: [-9, 9] },
+        conditions: [({ c }) => c !== 0],
+        numerator: ({ a, b }) => [b, a],
+        denominator: ({ c, d }) => [d, c],
+        criticalPoints: 0
+    },
+    {
+        id: 'rational-oblique',
+        name: 'Rational function with an oblique asymptote',
+        description: 'f(x) = (ax^2 + bx + c)/(x + d)',
+        tableType: 'both',
+        variable: 'x',
+        parameters: { a: [-2, 2], b: [-6, 6], c: [-9, 9], d: [-5, 5] },
+        conditions: [({ a }) => a !== 0],
+        numerator: ({ a, b, c }) => [c, b, a],
+        denominator: ({ d }) => [d, 1],
+        criticalPoints: 2
+    }
+];
+
 export default templates;
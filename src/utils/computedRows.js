@@ -0,0 +1,101 @@
+/**
+ * Computed sign rows
+ * A row can be marked as the product/quotient of other rows:
+ *   expr.computed = { numerator: [rowIndex, ...], denominator: [rowIndex, ...] }
+ * Its signs follow the sign rule and its point types are derived from the factors.
+ */
+
+/**
+ * Derive signs and point types of a product/quotient from its factor rows
+ * @param {Object[]} numerators - Factor rows in the numerator
+ * @param {Object[]} denominators - Factor rows in the denominator
+ * @param {number} pointCount - Number of points in the table
+ */
+export function combineFactorRows(numerators, denominators, pointCount) {
+    const factors = [...numerators, ...denominators];
+    const intervalCount = Math.max(0, pointCount - 1);
+
+    const signs = Array.from({ length: intervalCount }, (_, i) => {
+        const factorSigns = factors.map(f => f.signs[i]);
+        if (factorSigns.includes('h')) return 'h';
+        const negatives = factorSigns.filter(s => s === '-').length;
+        return negatives % 2 === 0 ? '+' : '-';
+    });
+
+    const pointTypes = Array.from({ length: pointCount }, (_, i) => {
+        const typeAt = (f) => (f.pointTypes && f.pointTypes[i]) || 'n';
+        if (numerators.some(f => typeAt(f) === 'd') || denominators.some(f => ['z', 'd'].includes(typeAt(f)))) {
+            return 'd';
+        }
+        if (numerators.some(f => typeAt(f) === 'z')) return 'z';
+        if (factors.some(f => typeAt(f) !== 'n')) return 't';
+        return 'n';
+    });
+
+    return { signs, pointTypes };
+}
+
+/**
+ * Recompute every computed row from its factor rows
+ * Only plain (non-computed) rows can be used as factors.
+ * @param {Object[]} expressions - Sign rows
+ * @param {number} pointCount - Number of points in the table
+ */
+export function applyComputedRows(expressions, pointCount) {
+    return expressions.map((expr, index) => {
+        if (!expr.computed) return expr;
+
+        const factorAt = (i) => (i !== index && expressions[i] && !expressions[i].computed ? expressions[i] : null);
+        const numerators = expr.computed.numerator.map(factorAt).filter(Boolean);
+        const denominators = expr.computed.denominator.map(factorAt).filter(Boolean);
+        if (numerators.length + denominators.length === 0) return expr;
+
+        return { ...expr, ...combineFactorRows(numerators, denominators, pointCount) };
+    });
+}
+
+/**
+ * Remove a row and fix the factor indices of computed rows
+ */
+export function removeExpressionAt(expressions, index) {
+    const remap = (indices) => indices
+        .filter(i => i !== index)
+        .map(i => (i > index ? i - 1 : i));
+
+    return expressions
+        .filter((_, i) => i !== index)
+        .map(expr => (expr.computed ? {
+            ...expr,
+            computed: {
+                numerator: remap(expr.computed.numerator),
+                denominator: remap(expr.computed.denominator)
+            }
+        } : expr));
+}
+
+/**
+ * Role of a row in a computed row: 'numerator', 'denominator' or null
+ */
+export function getFactorRole(computed, factorIndex) {
+    if (!computed) return null;
+    if (computed.numerator.includes(factorIndex)) return 'numerator';
+    if (computed.denominator.includes(factorIndex)) return 'denominator';
+    return null;
+}
+
+/**
+ * Cycle a row's role in a computed row: none -> numerator -> denominator -> none
+ */
+export function cycleFactorRole(computed, factorIndex) {
+    const role = getFactorRole(computed, factorIndex);
+    const numerator = computed.numerator.filter(i => i !== factorIndex);
+    const denominator = computed.denominator.filter(i => i !== factorIndex);
+
+    if (role === null) numerator.push(factorIndex);
+    else if (role === 'numerator') denominator.push(factorIndex);
+
+    return {
+        numerator: numerator.sort((a, b) => a - b),
+        denominator: denominator.sort((a, b) => a - b)
+    };
+}
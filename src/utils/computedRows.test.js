@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { combineFactorRows, applyComputedRows, removeExpressionAt, cycleFactorRole } from './computedRows';
+
+const row = (signs, pointTypes, computed) => ({ name: 'u', signs, pointTypes, computed });
+
+describe('combineFactorRows', () => {
+    it('follows the sign rule', () => {
+        const { signs } = combineFactorRows([row(['-', '+', '+'])], [row(['-', '-', '+'])], 4);
+        expect(signs).toEqual(['+', '-', '+']);
+    });
+
+    it('keeps forbidden zones of any factor', () => {
+        const { signs } = combineFactorRows([row(['h', '+'])], [row(['-', '-'])], 3);
+        expect(signs).toEqual(['h', '-']);
+    });
+
+    it('puts double bars at the zeros of denominators and zeros at those of numerators', () => {
+        const { pointTypes } = combineFactorRows(
+            [row(['-', '+', '+', '+'], ['n', 'z', 't', 'n', 'n'])],
+            [row(['+', '+', '-', '+'], ['n', 'n', 'n', 'z', 'n'])],
+            5
+        );
+        expect(pointTypes).toEqual(['n', 'z', 't', 'd', 'n']);
+    });
+});
+
+describe('applyComputedRows', () => {
+    it('recomputes computed rows from plain rows only', () => {
+        const expressions = [
+            row(['-', '+'], ['n', 'z', 'n']),
+            row(['+', '-'], ['n', 'z', 'n']),
+            row([], [], { numerator: [0], denominator: [1, 3] }),
+            row(['+', '+'], ['n', 'n', 'n'], { numerator: [0], denominator: [] })
+        ];
+        const [, , quotient] = applyComputedRows(expressions, 3);
+        expect(quotient.signs).toEqual(['-', '-']);
+        expect(quotient.pointTypes).toEqual(['n', 'd', 'n']);
+    });
+
+    it('leaves a computed row without factors as it is', () => {
+        const empty = row(['+'], ['n', 'n'], { numerator: [], denominator: [] });
+        expect(applyComputedRows([empty], 2)[0]).toBe(empty);
+    });
+});
+
+describe('factor indices', () => {
+    it('are shifted when a row is removed', () => {
+        const expressions = [row([]), row([]), row([]), row([], [], { numerator: [0, 2], denominator: [1] })];
+        const [, , computed] = removeExpressionAt(expressions, 1);
+        expect(computed.computed).toEqual({ numerator: [0, 1], denominator: [] });
+    });
+
+    it('cycle through numerator, denominator and none', () => {
+        let computed = { numerator: [2], denominator: [] };
+        computed = cycleFactorRole(computed, 0);
+        expect(computed).toEqual({ numerator: [0, 2], denominator: [] });
+        computed = cycleFactorRole(computed, 0);
+        expect(computed).toEqual({ numerator: [2], denominator: [0] });
+        computed = cycleFactorRole(computed, 0);
+        expect(computed).toEqual({ numerator: [2], denominator: [] });
+    });
+});
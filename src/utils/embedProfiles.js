@@ -0,0 +1,141 @@
+/**
+ * Embed profiles
+ * Ways to paste the table into an existing document: a raw tikzpicture, a figure,
+ * a scaled picture, a beamer frame or an exam question. Every profile is built from
+ * the complete model (generateTikzPicture) and starts with the preamble lines it needs
+ * as comments.
+ */
+
+import { generateFullDocument, generateTikzPicture, generateTableSetup } from './latexGenerator';
+
+export const EMBED_PROFILES = [
+    {
+        value: 'document',
+        label: 'Full document',
+        description: 'Complete standalone document. Compile with pdflatex.'
+    },
+    {
+        value: 'tikzpicture',
+        label: 'tikzpicture',
+        description: 'The picture only. Include in your existing document.'
+    },
+    {
+        value: 'figure',
+        label: 'Figure',
+        description: 'Floating figure with caption and label, for \\ref.'
+    },
+    {
+        value: 'scaled',
+        label: 'Scaled',
+        description: 'Resized to a width with \\resizebox, or scaled with scale=.'
+    },
+    {
+        value: 'beamer',
+        label: 'Beamer frame',
+        description: 'A slide of a beamer presentation.'
+    },
+    {
+        value: 'exam',
+        label: 'Exam question',
+        description: 'A \\question of the exam class, with columns narrowed to fit the given width.'
+    }
+];
+
+export const DEFAULT_EMBED_OPTIONS = {
+    caption: '',
+    label: 'tab:variations',
+    scaleMode: 'resizebox', // 'resizebox' or 'scale'
+    width: '\\linewidth',
+    scale: '0.8',
+    frameTitle: '',
+    questionText: '',
+    questionPoints: '',
+    maxWidth: '15' // cm
+};
+
+/**
+ * Required preamble lines, commented out
+ */
+function requirements(preamble, extraPackages = []) {
+    const lines = [
+        ...extraPackages.map(name => `\\usepackage{${name}}`),
+        ...generateTableSetup(preamble).split('\n')
+    ];
+    return `% Preamble:\n${lines.map(line => `%   ${line}`).join('\n')}\n`;
+}
+
+/**
+ * Layout with the column spacing reduced so the table is at most maxWidth cm wide
+ * tkz-tab draws lgt + (points - 1) * espcl + 2 * deltacl.
+ */
+export function fitLayoutToWidth(tableData, maxWidth) {
+    const { points = [], layoutConfig = {} } = tableData;
+    const { lgt = 2, espcl = 2, deltacl = 0.5 } = layoutConfig;
+    const limit = parseFloat(maxWidth);
+    if (!(limit > 0) || points.length < 2) return tableData;
+
+    const fitted = Math.floor(((limit - lgt - 2 * deltacl) / (points.length - 1)) * 10) / 10;
+    if (fitted >= espcl) return tableData;
+    return { ...tableData, layoutConfig: { ...layoutConfig, lgt, deltacl, espcl: Math.max(0.5, fitted) } };
+}
+
+/**
+ * Generate the code of an embed profile
+ * @param {Object} tableData - The table configuration
+ * @param {string} profile - Profile value (see EMBED_PROFILES)
+ * @param {Object} options - Profile options (see DEFAULT_EMBED_OPTIONS)
+ * @param {Object} preamble - Active preamble settings
+ */
+export function generateEmbedCode(tableData, profile, options = {}, preamble = {}) {
+    const settings = { ...DEFAULT_EMBED_OPTIONS, ...options };
+
+    switch (profile) {
+        case 'document':
+            return generateFullDocument(tableData, preamble);
+
+        case 'tikzpicture':
+            return `${requirements(preamble)}${generateTikzPicture(tableData, preamble)}`;
+
+        case 'figure': {
+            const caption = settings.caption.trim() ? `\n\\caption{${settings.caption.trim()}}` : '';
+            const label = settings.label.trim() ? `\n\\label{${settings.label.trim()}}` : '';
+            return `${requirements(preamble)}\\begin{figure}[htbp]
+\\centering
+${generateTikzPicture(tableData, preamble)}${caption}${label}
+\\end{figure}`;
+        }
+
+        case 'scaled': {
+            if (settings.scaleMode === 'scale') {
+                const scale = settings.scale.trim() || DEFAULT_EMBED_OPTIONS.scale;
+                // Scale the text with the grid, tkz-tab places its labels as nodes
+                return `${requirements(preamble)}${generateTikzPicture(tableData, preamble, [`scale=${scale}`, `every node/.style={scale=${scale}}`])}`;
+            }
+            const width = settings.width.trim() || DEFAULT_EMBED_OPTIONS.width;
+            return `${requirements(preamble, ['graphicx'])}\\resizebox{${width}}{!}{%
+${generateTikzPicture(tableData, preamble)}%
+}`;
+        }
+
+        case 'beamer': {
+            const title = settings.frameTitle.trim() ? `{${settings.frameTitle.trim()}}` : '';
+            return `${requirements(preamble)}\\begin{frame}${title}
+\\centering
+${generateTikzPicture(tableData, preamble)}
+\\end{frame}`;
+        }
+
+        case 'exam': {
+            const points = settings.questionPoints.trim() ? `[${settings.questionPoints.trim()}]` : '';
+            const text = settings.questionText.trim() ? ` ${settings.questionText.trim()}` : '';
+            return `${requirements(preamble)}\\question${points}${text}
+
+\\begin{center}
+${generateTikzPicture(fitLayoutToWidth(tableData, settings.maxWidth), preamble)}
+\\end{center}`;
+        }
+
+        default:
+            throw new Error(`Unknown embed profile: ${profile}`);
+    }
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { generateEmbedCode, fitLayoutToWidth, EMBED_PROFILES } from './embedProfiles';
+
+const tableData = {
+    variable: 'x',
+    points: ['-\\infty', '-1', '0', '1', '+\\infty'],
+    tableType: 'variation',
+    layoutConfig: { lgt: 3, espcl: 4, deltacl: 0.5 },
+    expressions: [],
+    variationRows: [{
+        name: 'f',
+        arrows: ['up', 'down', 'up', 'down'],
+        values: ['-\\infty', '1', '0', '1', '-\\infty'],
+        leftValues: ['', '', '', '', ''],
+        pointTypes: ['n', 'n', 'n', 'n', 'n']
+    }]
+};
+
+describe('fitLayoutToWidth', () => {
+    it('narrows the columns to the given width', () => {
+        // 3 + 4 * espcl + 2 * 0.5 <= 12 gives espcl = 2
+        expect(fitLayoutToWidth(tableData, '12').layoutConfig).toEqual({ lgt: 3, espcl: 2, deltacl: 0.5 });
+    });
+
+    it('rounds down to a tenth and keeps a minimum spacing', () => {
+        expect(fitLayoutToWidth(tableData, '14.5').layoutConfig.espcl).toBe(2.6);
+        expect(fitLayoutToWidth(tableData, '5').layoutConfig.espcl).toBe(0.5);
+    });
+
+    it('keeps tables that already fit and invalid widths', () => {
+        expect(fitLayoutToWidth(tableData, '30')).toBe(tableData);
+        expect(fitLayoutToWidth(tableData, 'wide')).toBe(tableData);
+        expect(fitLayoutToWidth(tableData, '0')).toBe(tableData);
+    });
+});
+
+describe('generateEmbedCode', () => {
+    it('builds every profile', () => {
+        EMBED_PROFILES.forEach(({ value }) => {
+            expect(generateEmbedCode(tableData, value)).toContain('\\tkzTabVar');
+        });
+        expect(() => generateEmbedCode(tableData, 'poster')).toThrow('Unknown embed profile: poster');
+    });
+
+    it('starts snippets with the preamble they need as comments', () => {
+        const code = generateEmbedCode(tableData, 'scaled');
+        expect(code.startsWith('% Preamble:\n%   \\usepackage{graphicx}\n%   \\usepackage{tikz}\n')).toBe(true);
+        expect(code).toContain('\\resizebox{\\linewidth}{!}{%\n\\begin{tikzpicture}');
+    });
+
+    it('scales the labels with the grid', () => {
+        const code = generateEmbedCode(tableData, 'scaled', { scaleMode: 'scale', scale: '0.7' });
+        expect(code).toContain('\\begin{tikzpicture}[scale=0.7, every node/.style={scale=0.7}]');
+    });
+
+    it('fits exam questions to the page', () => {
+        const code = generateEmbedCode(tableData, 'exam', { questionPoints: '4', questionText: 'Complete.', maxWidth: '12' });
+        expect(code).toContain('\\question[4] Complete.');
+        expect(code).toContain('\\tkzTabInit[lgt=3,espcl=2,deltacl=0.5]');
+    });
+
+    it('wraps figures with their caption and label', () => {
+        const code = generateEmbedCode(tableData, 'figure', { caption: 'Variations of $f$' });
+        expect(code).toContain('\\end{tikzpicture}\n\\caption{Variations of $f$}\n\\label{tab:variations}\n\\end{figure}');
+    });
+});
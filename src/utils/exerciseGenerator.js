@@ -0,0 +1,172 @@
+/**
+ * Exercise generator
+ * Draws variants of a parameterised function family (exerciseFamilies in data/templates.js)
+ * with a seeded random generator, so that a seed always gives the same variants.
+ * A draw is kept when the family's conditions hold, the numerator and denominator of f
+ * have no common factor, and f' has the family's number of zeros, all simple and rational.
+ * Each variant comes with its complete table (sign of f', variations of f) with every row
+ * marked hidden: the student copy is a blank table, the answer key the coloured solution.
+ */
+
+import { rational, div } from './rational';
+import {
+    polyTrim, polyDegree, polyLeading, polyScale, polyMul, polySub, polyDerivative, polyGcd, polyRealRoots, polyToLatex
+} from './polynomial';
+import { buildSignTable } from './signTableBuilder';
+import { computeVariationValues } from './variationValues';
+import { createVariationRow } from './variationRows';
+import { syncVariationFromDerivative } from './variationLink';
+import { setRowHidden } from './studentCopy';
+import { studyStatement } from './outputLocale';
+import { createWorksheetItem } from './worksheet';
+
+// Draws per requested variant before giving up on the constraints
+const MAX_ATTEMPTS = 500;
+
+const LAYOUT = { lgt: 2.5, espcl: 2, deltacl: 0.5 };
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function drawParameters(family, random) {
+    return Object.fromEntries(Object.entries(family.parameters).map(([name, [min, max]]) => (
+        [name, min + Math.floor(random() * (max - min + 1))]
+    )));
+}
+
+function toPolynomial(coefficients) {
+    return polyTrim(coefficients.map(c => rational(c)));
+}
+
+function formatQuotient(num, den, variable) {
+    if (polyDegree(den) === 0) return polyToLatex(num, variable);
+    return `\\frac{${polyToLatex(num, variable)}}{${polyToLatex(den, variable)}}`;
+}
+
+/**
+ * f and f' as LaTeX, or null when the parameters do not give a clean exercise
+ */
+function analyseParameters(family, parameters) {
+    if (!(family.conditions || []).every(condition => condition(parameters))) return null;
+
+    let num = toPolynomial(family.numerator(parameters));
+    let den = toPolynomial(family.denominator(parameters));
+    if (polyDegree(num) < 0 || polyDegree(den) < 0 || polyDegree(polyGcd(num, den)) > 0) return null;
+    if (polyDegree(den) === 0) {
+        num = polyScale(num, div(rational(1), den[0]));
+        den = [rational(1)];
+    } else if (polyLeading(den).n < 0) {
+        num = polyScale(num, rational(-1));
+        den = polyScale(den, rational(-1));
+    }
+
+    // f' = (num' den - num den') / den^2
+    const derivativeNum = polySub(polyMul(polyDerivative(num), den), polyMul(num, polyDerivative(den)));
+    if (polyDegree(derivativeNum) < 0) return null;
+    const zeros = polyRealRoots(derivativeNum);
+    if (zeros.length !== family.criticalPoints || zeros.some(zero => !zero.exact || zero.multiplicity > 1)) return null;
+
+    const variable = family.variable || 'x';
+    const base = polyToLatex(den, variable);
+    const derivative = polyDegree(den) === 0
+        ? polyToLatex(derivativeNum, variable)
+        : `\\frac{${polyToLatex(derivativeNum, variable)}}{${base === variable ? base : `(${base})`}^2}`;
+
+    return { expression: formatQuotient(num, den, variable), derivative };
+}
+
+/**
+ * Complete table of a variant: the rows of f' (factors and quotient) linked to the
+ * variations of f, every row hidden in the student copy
+ */
+function buildExerciseTable(family, expression, derivative) {
+    const variable = family.variable || 'x';
+    const { points, expressions: rows } = buildSignTable(derivative, variable);
+    const expressions = rows.map((row, i) => setRowHidden(
+        i === rows.length - 1 ? { ...row, name: `f'(${variable})`, variationLink: true } : row,
+        points.length,
+        true
+    ));
+
+    const emptyRow = createVariationRow(points.length, `f(${variable})`);
+    const linked = { ...emptyRow, ...syncVariationFromDerivative(expressions[expressions.length - 1], emptyRow.pointTypes) };
+    const { values, leftValues } = computeVariationValues(expression, variable, points, linked);
+    const variationRow = setRowHidden({ ...linked, values, leftValues }, points.length, true);
+
+    return {
+        variable,
+        functionName: expressions[0].name,
+        points,
+        signs: expressions[0].signs,
+        pointSigns: expressions[0].pointTypes.slice(1, -1),
+        variationRows: [variationRow],
+        expressions,
+        tableType: family.tableType,
+        layoutConfig: { ...LAYOUT }
+    };
+}
+
+/**
+ * Generate distinct variants of a family
+ * @param {Object} family - A family of exerciseFamilies
+ * @param {number} count - Number of variants
+ * @param {number} seed - Seed of the random draws
+ * @param {string} locale - Output locale of the exercise text
+ * @returns {Object[]} { parameters, expression, derivative, text, tableData }
+ */
+export function generateExerciseVariants(family, count, seed, locale = '') {
+    const random = createRandom(seed);
+    const variants = [];
+    const seen = new Set();
+
+    for (let attempt = 0; variants.length < count; attempt++) {
+        if (attempt >= MAX_ATTEMPTS * count) {
+            throw new Error(`Only ${variants.length} of ${count} variants of "${family.name}" meet the constraints`);
+        }
+        const parameters = drawParameters(family, random);
+        const analysed = analyseParameters(family, parameters);
+        if (!analysed || seen.has(analysed.expression)) continue;
+
+        seen.add(analysed.expression);
+        variants.push({
+            parameters,
+            ...analysed,
+            text: studyStatement(analysed.expression, family.variable || 'x', locale),
+            tableData: buildExerciseTable(family, analysed.expression, analysed.derivative)
+        });
+    }
+
+    return variants;
+}
+
+/**
+ * Worksheet items of the variants, with their exercise text
+ */
+export function variantsToWorksheetItems(variants) {
+    return variants.map(variant => ({ ...createWorksheetItem(variant.tableData), text: variant.text }));
+}
+
+/**
+ * The variants as JSON: family, seed, then for each variant its parameters, f, f',
+ * the exercise text and the table model
+ */
+export function variantsToJson(family, seed, variants) {
+    return JSON.stringify({
+        family: family.id,
+        seed,
+        variants: variants.map(({ parameters, expression, derivative, text, tableData }) => (
+            { parameters, function: expression, derivative, text, tableData }
+        ))
+    }, null, 2);
+}
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { generateExerciseVariants, variantsToJson } from './exerciseGenerator';
+import { exerciseFamilies } from '../data/templates';
+import { isRowHidden } from './studentCopy';
+import { lintTable } from './tableLinter';
+
+describe('generateExerciseVariants', () => {
+    it('gives the same variants for the same seed', () => {
+        const family = exerciseFamilies[0];
+        const first = generateExerciseVariants(family, 3, 42).map(variant => variant.expression);
+        const again = generateExerciseVariants(family, 3, 42).map(variant => variant.expression);
+        expect(again).toEqual(first);
+        expect(new Set(first).size).toBe(3);
+    });
+
+    it.each(exerciseFamilies.map(family => [family.id, family]))('builds consistent hidden tables (%s)', (id, family) => {
+        generateExerciseVariants(family, 3, 7).forEach(({ tableData }) => {
+            // Squared factors of the denominator keep their sign: warnings only
+            expect(lintTable(tableData).filter(issue => issue.severity === 'error')).toEqual([]);
+            const rows = [...tableData.expressions, ...tableData.variationRows];
+            expect(rows.every(row => isRowHidden(row, tableData.points.length))).toBe(true);
+        });
+    });
+
+    it('writes the variants as JSON', () => {
+        const family = exerciseFamilies[0];
+        const json = JSON.parse(variantsToJson(family, 42, generateExerciseVariants(family, 1, 42)));
+        expect(json.family).toBe(family.id);
+        expect(json.seed).toBe(42);
+        expect(Object.keys(json.variants[0])).toEqual(['parameters', 'function', 'derivative', 'text', 'tableData']);
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Export formats offered in the toolbar
+ * Each format turns the same tableData into a downloadable file:
+ * generate(tableData, preamble) where preamble holds the active preamble settings.
+ * fileSuffix is added to the file name (math_table_student.tex).
+ */
+
+import { generateFullDocument } from './latexGenerator';
+import { generateTabularDocument } from './tabularGenerator';
+import { generateKatexArray } from './katexGenerator';
+import { makeStudentCopy, makeAnswerKey } from './studentCopy';
+
+export const EXPORT_FORMATS = [
+    {
+        value: 'tkz-tab',
+        label: 'LaTeX (tkz-tab)',
+        extension: 'tex',
+        generate: generateFullDocument
+    },
+    {
+        value: 'student',
+        label: 'LaTeX (student copy)',
+        extension: 'tex',
+        fileSuffix: '_student',
+        generate: (tableData, preamble) => generateFullDocument(makeStudentCopy(tableData), preamble)
+    },
+    {
+        value: 'answer-key',
+        label: 'LaTeX (answer key)',
+        extension: 'tex',
+        fileSuffix: '_answers',
+        generate: (tableData, preamble) => generateFullDocument(makeAnswerKey(tableData), preamble)
+    },
+    {
+        value: 'tabular',
+        label: 'LaTeX (plain tabular)',
+        extension: 'tex',
+        generate: generateTabularDocument
+    },
+    {
+        value: 'katex',
+        label: 'Web (KaTeX/MathJax)',
+        extension: 'txt',
+        generate: generateKatexArray
+    }
+];
+
+/**
+ * Find an export format by value, defaulting to tkz-tab
+ */
+export function getExportFormat(value) {
+    return EXPORT_FORMATS.find(format => format.value === value) || EXPORT_FORMATS[0];
+}
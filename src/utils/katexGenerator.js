@@ -0,0 +1,63 @@
+/**
+ * KaTeX / MathJax generator
+ * Turns the table model into a single \begin{array} that web math renderers
+ * understand (no TikZ, no \vline): double bars become \Vert, forbidden values \vdots,
+ * forbidden zones \times, and each variation row spans three lines like the plain tabular export.
+ */
+
+import { buildTableGrid } from './tabularGenerator';
+import { formatDecimals } from './outputLocale';
+
+/**
+ * Row label in math mode: text parts go in \text{}, $...$ parts stay math,
+ * several lines are stacked in a matrix
+ * @param {Object} row - { name, label } (label: custom multi-line label, optional)
+ */
+export function formatMathLabel({ name, label }) {
+    const lines = (label || '').split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return name || 'f(x)';
+
+    const mathLines = lines.map(line => line
+        .split('$')
+        .map((part, k) => (k % 2 === 1 ? part : part && `\\text{${part}}`))
+        .join(''));
+
+    if (mathLines.length === 1) return mathLines[0];
+    return `\\begin{matrix}${mathLines.join(' \\\\ ')}\\end{matrix}`;
+}
+
+/**
+ * One cell in array (math mode) syntax
+ */
+function arrayCell(cell, locale) {
+    if (cell.bar) {
+        return [cell.left, '\\Vert', cell.right].filter(Boolean).map(part => formatDecimals(part, locale)).join(' ');
+    }
+    if (cell.dots) return '\\vdots';
+    return cell.math ? formatDecimals(cell.math, locale) : '';
+}
+
+/**
+ * Generate the table as a KaTeX/MathJax-compatible array
+ * @param {Object} tableData - The table configuration (same as generateFullDocument)
+ * @param {Object} preamble - Preamble settings; outputLocale sets the decimal separator
+ * @returns {string} Display math: $$ \begin{array}...\end{array} $$
+ */
+export function generateKatexArray(tableData, preamble = {}) {
+    const grid = buildTableGrid(tableData);
+    const columnCount = grid[0].cells.length;
+    const locale = preamble.outputLocale || '';
+
+    const lines = grid.map(row => {
+        const label = row.label ? formatMathLabel(row.label) : '';
+        const line = `${[label, ...row.cells.map(cell => arrayCell(cell, locale))].join(' & ')} \\\\`;
+        return row.ruleAfter ? `${line} \\hline` : line;
+    });
+
+    return `$$
+\\begin{array}{|c|${'c'.repeat(columnCount)}|}
+\\hline
+${lines.join('\n')}
+\\end{array}
+$$`;
+}
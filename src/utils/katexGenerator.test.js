@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { generateKatexArray } from './katexGenerator';
+
+const tableData = {
+    variable: 'x',
+    points: ['-\\infty', '0', '1', '+\\infty'],
+    tableType: 'both',
+    expressions: [{ name: "f'(x)", label: 'Sign of\n$f\'(x)$', signs: ['+', 'h', '-'], pointTypes: ['n', 'z', 'd', 'n'] }],
+    variationRows: [{
+        name: 'f',
+        arrows: ['up', 'h', 'down'],
+        values: ['-\\infty', '2', '3', '0'],
+        leftValues: ['', '', '', ''],
+        pointTypes: ['n', 'n', 'd', 'n']
+    }]
+};
+
+describe('generateKatexArray', () => {
+    const code = generateKatexArray(tableData);
+
+    it('writes one display-math array', () => {
+        expect(code.startsWith('$$\n\\begin{array}{|c|ccccccc|}')).toBe(true);
+        expect(code.endsWith('\\end{array}\n$$')).toBe(true);
+        expect(code).not.toContain('\\vline');
+    });
+
+    it('stacks multi-line labels with their text in \\text', () => {
+        expect(code).toContain("\\begin{matrix}\\text{Sign of} \\\\ f'(x)\\end{matrix}");
+    });
+
+    it('draws double bars with \\Vert and forbidden zones with \\times', () => {
+        expect(code).toContain("\\end{matrix} &  & + & 0 & \\times & \\Vert & - &  \\\\ \\hline");
+        expect(code).toContain('f &  & \\nearrow &  & \\times & \\Vert & \\searrow &  \\\\');
+        expect(code).toContain('3 \\Vert');
+    });
+
+    it('writes decimals in the output locale', () => {
+        const decimals = { ...tableData, points: ['-\\infty', '0.5', '1', '+\\infty'] };
+        expect(generateKatexArray(decimals, { outputLocale: 'fr' })).toContain('x & -\\infty &  & 0{,}5 &');
+        expect(generateKatexArray(decimals)).toContain('x & -\\infty &  & 0.5 &');
+    });
+});
@@ -3,6 +3,9 @@
  * Generates valid LaTeX code for variation and sign tables
  */
 
+import { getVariationRows } from './variationRows';
+import { formatDecimals, describeRow, describeVariations } from './outputLocale';
+
 /**
  * Escape special LaTeX characters in a string
  */
@@ -17,12 +20,13 @@ export function escapeLatex(str) {
 
 /**
  * Convert common math symbols to LaTeX
+ * @param {string} locale - Output locale for decimal numbers (see outputLocale.js), '' keeps them as typed
  */
-export function toLatexSymbol(value) {
+export function toLatexSymbol(value, locale = '') {
     if (!value) return '';
 
     // If already LaTeX formatted, return as-is
-    if (value.includes('\\')) return value;
+    if (value.includes('\\')) return formatDecimals(value, locale);
 
     // Common symbol conversions
     const conversions = {
@@ -56,18 +60,109 @@ export function toLatexSymbol(value) {
         result = result.replace(new RegExp(escapedSymbol, 'g'), latex);
     }
 
-    return result;
+    return formatDecimals(result, locale);
 }
 
 /**
  * Wrap a value in math mode if needed
  */
-export function wrapMath(value) {
+export function wrapMath(value, locale = '') {
     if (!value) return '$~$';
-    const latex = toLatexSymbol(value);
+    const latex = toLatexSymbol(value, locale);
     return `$${latex}$`;
 }
 
+/**
+ * Row height, falling back to the default when unset
+ */
+function rowHeight(height, fallback) {
+    const value = parseFloat(height);
+    return value > 0 ? value : fallback;
+}
+
+/**
+ * First-column label of a row
+ * A custom label may span several lines and hold any LaTeX (e.g. \textbf{Signe de} then $f'(x)$);
+ * without one, the row name is typeset in math mode.
+ * @param {string} name - Row name (LaTeX math)
+ * @param {string} label - Custom label, one line of text per line
+ * @param {string} fallback - Name used when the row name is empty
+ * @param {string} locale - Output locale of the numbers in the name
+ */
+export function formatRowLabel(name, label, fallback = 'f(x)', locale = '') {
+    const lines = (label || '').split('\n').map(line => line.trim()).filter(Boolean);
+    let text;
+    if (lines.length === 0) {
+        text = `$${toLatexSymbol(name, locale) || fallback}$`;
+    } else if (lines.length === 1) {
+        text = lines[0];
+    } else {
+        text = `\\begin{tabular}{@{}c@{}}${lines.join(' \\\\ ')}\\end{tabular}`;
+    }
+    // Braces keep commas and slashes away from the tkzTabInit list parser
+    return /[,/]/.test(text) ? `{${text}}` : text;
+}
+
+// Names the style colours get in the preamble (generateTableSetup)
+const STYLE_COLORS = {
+    lineColor: 'tabLine',
+    variableRowColor: 'tabVariableRow',
+    firstColumnColor: 'tabFirstColumn',
+    hatchColor: 'tabHatch',
+    positiveColor: 'tabPositive',
+    negativeColor: 'tabNegative'
+};
+
+/**
+ * Name of a style colour, '' when the style leaves it to tkz-tab
+ * Colours are defined once with \colorlet in the preamble: xcolor mixes such as
+ * gray!15 would break inside the picture, where babel French makes ! active.
+ */
+function styleColor(style, key) {
+    return style[key] ? STYLE_COLORS[key] : '';
+}
+
+/**
+ * \colorlet definitions of the colours a table style uses
+ */
+function generateColorDefinitions(style = DEFAULT_TABLE_STYLE) {
+    return Object.keys(STYLE_COLORS)
+        .filter(key => style[key])
+        .map(key => `\\colorlet{${STYLE_COLORS[key]}}{${style[key]}}`);
+}
+
+/**
+ * Options of the tikzpicture for a table style: line colour and arrow tip
+ */
+export function generatePictureOptions(style = DEFAULT_TABLE_STYLE, extraOptions = []) {
+    const options = [];
+    if (style.lineColor) options.push(`draw=${styleColor(style, 'lineColor')}`);
+    if (style.arrowTip) options.push(`>=${style.arrowTip}`);
+    options.push(...extraOptions);
+    return options.length > 0 ? `[${options.join(', ')}]` : '';
+}
+
+/**
+ * \tkzTabInit colour options of a table style: cell backgrounds
+ */
+function generateColorOptions(style = DEFAULT_TABLE_STYLE) {
+    if (!style.variableRowColor && !style.firstColumnColor) return [];
+    const options = ['color'];
+    if (style.firstColumnColor) options.push(`colorC=${styleColor(style, 'firstColumnColor')}`);
+    if (style.variableRowColor) {
+        options.push(`colorL=${styleColor(style, 'variableRowColor')}`, `colorV=${styleColor(style, 'variableRowColor')}`);
+    }
+    return options;
+}
+
+/**
+ * \tkzTabSetup line for a table style: double bar spacing
+ * Empty for the default style, so unstyled tables are unchanged.
+ */
+export function generateStyleSetup(style = DEFAULT_TABLE_STYLE) {
+    return style.doubleBarDistance ? `\\tkzTabSetup[doubledistance=${style.doubleBarDistance}]\n` : '';
+}
+
 /**
  * Generate the \tkzTabInit command
  * @param {string} variable - The variable name (e.g., 'x')
@@ -75,42 +170,59 @@ export function wrapMath(value) {
  * @param {string[]} points - Array of key points
  * @param {boolean} includeSign - Whether to include a sign row
  * @param {boolean} includeVariation - Whether to include a variation row
- * @param {Object} layoutConfig - Layout configuration {lgt, espcl, deltacl}
+ * @param {Object[]} expressions - Sign rows { name, label?, height? }
+ * @param {string|string[]|Object[]} variationFunctionName - Label of the variation row, or one entry
+ *   (name or { name, label?, height? }) per variation row
+ * @param {Object} layoutConfig - Layout configuration {lgt, espcl, deltacl, variableHeight}
+ * @param {Object} output - Output conventions { locale, describeRows }: describeRows labels rows
+ *   without a custom label "Sign of $f'(x)$" / "Variations of $f$" in the locale's language
+ * @param {Object} style - Table style, for the cell colours
  */
-export function generateTabInit(variable, functionName, points, includeSign = true, includeVariation = true, expressions = [], variationFunctionName = null, layoutConfig = null) {
-    const varLatex = toLatexSymbol(variable) || 'x';
-    const funcLatex = toLatexSymbol(functionName) || 'f(x)';
-    const varFuncLatex = toLatexSymbol(variationFunctionName) || funcLatex;
+export function generateTabInit(variable, functionName, points, includeSign = true, includeVariation = true, expressions = [], variationFunctionName = null, layoutConfig = null, output = {}, style = DEFAULT_TABLE_STYLE) {
+    const { locale = '', describeRows = false } = output;
+    const varLatex = toLatexSymbol(variable, locale) || 'x';
+    const funcLatex = toLatexSymbol(functionName, locale) || 'f(x)';
+    const variationEntries = (Array.isArray(variationFunctionName) ? variationFunctionName : [variationFunctionName])
+        .map(entry => (entry && typeof entry === 'object' ? entry : { name: entry }));
+
+    // Custom label, or the generated description of the row
+    const labelOf = (kind, name, label) => {
+        if (label || !describeRows) return label;
+        return describeRow(kind, toLatexSymbol(name, locale) || funcLatex, varLatex, locale);
+    };
 
     // Build the column definitions
     const columns = [];
-    columns.push(`$${varLatex}$ / 1`);
+    columns.push(`$${varLatex}$ / ${rowHeight(layoutConfig?.variableHeight, 1)}`);
 
     // Add row for each expression (sign rows)
     if (includeSign) {
         if (expressions.length > 0) {
             expressions.forEach(expr => {
-                const exprLatex = toLatexSymbol(expr.name) || 'f(x)';
-                columns.push(`$${exprLatex}$ / 1`);
+                columns.push(`${formatRowLabel(expr.name, labelOf('sign', expr.name, expr.label), 'f(x)', locale)} / ${rowHeight(expr.height, 1)}`);
             });
         } else {
-            columns.push(`$${funcLatex}$ / 1`);
+            columns.push(`${formatRowLabel(functionName, labelOf('sign', functionName, ''), 'f(x)', locale)} / 1`);
         }
     }
 
     if (includeVariation) {
-        columns.push(`$${varFuncLatex}$ / 1.5`);
+        variationEntries.forEach(entry => {
+            columns.push(`${formatRowLabel(entry.name, labelOf('variation', entry.name, entry.label), funcLatex, locale)} / ${rowHeight(entry.height, 1.5)}`);
+        });
     }
 
     // Build the points list
-    const pointsList = points.map(p => wrapMath(p)).join(', ');
+    const pointsList = points.map(p => wrapMath(p, locale)).join(', ');
 
-    // Build optional layout parameters
-    let optionalParams = '';
+    // Build optional layout and colour parameters
+    const options = [];
     if (layoutConfig) {
         const { lgt = 2, espcl = 2, deltacl = 0.5 } = layoutConfig;
-        optionalParams = `[lgt=${lgt},espcl=${espcl},deltacl=${deltacl}]`;
+        options.push(`lgt=${lgt}`, `espcl=${espcl}`, `deltacl=${deltacl}`);
     }
+    options.push(...generateColorOptions(style));
+    const optionalParams = options.length > 0 ? `[${options.join(',')}]` : '';
 
     return `\\tkzTabInit${optionalParams}{${columns.join(' , ')}}{${pointsList}}`;
 }
@@ -126,8 +238,9 @@ export function generateTabInit(variable, functionName, points, includeSign = tr
  * - 'd': double bar (undefined/discontinuity)
  * - 't': forbidden value (vertical asymptote, dashed)
  * - 'n': no line (empty)
+ * @param {Object} style - Table style; positiveColor/negativeColor colour the signs
  */
-export function generateTabLine(signs, pointTypes = []) {
+export function generateTabLine(signs, pointTypes = [], style = DEFAULT_TABLE_STYLE) {
     if (!signs || signs.length === 0) return '';
 
     // tkz-tab expects format: {at_point0, interval0, at_point1, interval1, ..., at_pointN}
@@ -142,7 +255,8 @@ export function generateTabLine(signs, pointTypes = []) {
         parts.push(pointType === 'n' ? '' : pointType);
 
         // Interval sign - 'h' means hatched/forbidden zone
-        parts.push(signs[i]);
+        const signColor = signs[i] === '+' ? styleColor(style, 'positiveColor') : signs[i] === '-' ? styleColor(style, 'negativeColor') : '';
+        parts.push(signColor ? `\\textcolor{${signColor}}{$${signs[i]}$}` : signs[i]);
     }
 
     // Last point
@@ -197,12 +311,28 @@ export function generateTabVar(variations) {
     return `\\tkzTabVar{${parts.join(', ')}}`;
 }
 
+/**
+ * Whether point i shows its image on a passing arrow (\tkzTabIma)
+ * Only interior points of type 'i' where the arrow keeps its direction qualify;
+ * anywhere else the point is written as a regular node.
+ */
+export function isImageOnArrow(arrows, pointTypes, i) {
+    return pointTypes[i] === 'i'
+        && i > 0
+        && i < arrows.length
+        && arrows[i - 1] === arrows[i]
+        && arrows[i] !== 'h';
+}
+
 /**
  * Generate a simpler variation row based on arrows
  * @param {string[]} arrows - Array of arrow directions ('up', 'down')
  * @param {string[]} values - Array of values at each point
+ * @param {string[]} pointTypes - 'n' normal, 'd' double bar, 'i' image on arrow
+ * @param {string[]} leftValues - Values before the double bar at 'd' points
+ * @param {string} locale - Output locale of the numbers
  */
-export function generateSimpleTabVar(arrows, values, pointTypes = [], leftValues = []) {
+export function generateSimpleTabVar(arrows, values, pointTypes = [], leftValues = [], locale = '') {
     if (!arrows || arrows.length === 0) return '';
 
     const parts = [];
@@ -215,8 +345,8 @@ export function generateSimpleTabVar(arrows, values, pointTypes = [], leftValues
     // +D-/ val1 / val2 : double bar with left/right values
 
     for (let i = 0; i <= n; i++) {
-        const val = values[i] ? `$${toLatexSymbol(values[i])}$` : '';
-        const leftVal = leftValues[i] ? `$${toLatexSymbol(leftValues[i])}$` : val;
+        const val = values[i] ? `$${toLatexSymbol(values[i], locale)}$` : '';
+        const leftVal = leftValues[i] ? `$${toLatexSymbol(leftValues[i], locale)}$` : val;
 
         const prevArrow = i > 0 ? arrows[i - 1] : null;
         const currArrow = i < n ? arrows[i] : null;
@@ -235,8 +365,12 @@ export function generateSimpleTabVar(arrows, values, pointTypes = [], leftValues
         else if (currArrow === 'down') outPos = '+';
         else if (currArrow === 'h') outPos = '-'; // default for hatched
 
+        // Points whose image is written on the arrow are skipped here (see generateTabIma)
+        if (isImageOnArrow(arrows, pointTypes, i)) {
+            parts.push(`R/`);
+        }
         // Handle double bar points
-        if (pointTypes[i] === 'd') {
+        else if (pointTypes[i] === 'd') {
             if (i === 0) {
                 // First point with double bar
                 parts.push(`D${outPos}/ ${val}`);
@@ -286,114 +420,361 @@ export function generateSimpleTabVar(arrows, values, pointTypes = [], leftValues
     return `\\tkzTabVar{${parts.join(', ')}}`;
 }
 
+/**
+ * Generate the \tkzTabSlope command for tangent slopes at key points
+ * @param {string[]} slopes - Slope at each point ('' = no tangent drawn)
+ * e.g. ['', '0', '', '+\\infty'] gives \tkzTabSlope{2/0, 4/+\infty}
+ */
+export function generateTabSlope(slopes = [], locale = '') {
+    const parts = [];
+
+    slopes.forEach((slope, i) => {
+        if (slope) parts.push(`${i + 1}/${toLatexSymbol(slope, locale)}`);
+    });
+
+    if (parts.length === 0) return '';
+    return `\\tkzTabSlope{${parts.join(', ')}}`;
+}
+
+/**
+ * Generate the \tkzTabIma commands for images at non-extremum points
+ * Each image sits on the arrow between the nearest regular nodes around it.
+ * @param {string[]} arrows - Array of arrow directions
+ * @param {string[]} values - Array of values at each point
+ * @param {string[]} pointTypes - Variation point types ('i' = image on arrow)
+ */
+export function generateTabIma(arrows = [], values = [], pointTypes = [], locale = '') {
+    const lines = [];
+
+    for (let i = 1; i < arrows.length; i++) {
+        if (!isImageOnArrow(arrows, pointTypes, i)) continue;
+
+        let start = i - 1;
+        while (isImageOnArrow(arrows, pointTypes, start)) start--;
+        let end = i + 1;
+        while (isImageOnArrow(arrows, pointTypes, end)) end++;
+
+        const value = values[i] ? wrapMath(values[i], locale) : '';
+        lines.push(`\\tkzTabIma{${start + 1}}{${end + 1}}{${i + 1}}{${value}}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Generate the \tkzTabVal commands for values placed partway along arrows
+ * @param {Object[]} intervalValues - One entry per interval, null when empty
+ * Each entry: { antecedent: string, value: string, position: number (0-1), dashed: boolean }
+ * Interval i runs from point i+1 to point i+2 (tkz-tab counts from 1)
+ */
+export function generateTabVal(intervalValues = [], locale = '') {
+    const lines = [];
+
+    intervalValues.forEach((annotation, i) => {
+        if (!annotation || (!annotation.antecedent && !annotation.value)) return;
+
+        const options = annotation.dashed ? '[draw]' : '';
+        const position = annotation.position ?? 0.5;
+        const antecedent = annotation.antecedent ? wrapMath(annotation.antecedent, locale) : '';
+        const value = annotation.value ? wrapMath(annotation.value, locale) : '';
+
+        lines.push(`\\tkzTabVal${options}{${i + 1}}{${i + 2}}{${position}}{${antecedent}}{${value}}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * One flag per arrow that \tkzTabVar draws, true for the hidden ones: intervals joined by
+ * an image on the arrow (R/) share one arrow and forbidden zones have none
+ */
+function arrowFlags(row) {
+    const { arrows = [], pointTypes = [], invisibleArrows = [] } = row;
+    const flags = [];
+    arrows.forEach((arrow, i) => {
+        if (arrow === 'h') return;
+        if (isImageOnArrow(arrows, pointTypes, i) && flags.length > 0) flags[flags.length - 1] ||= !!invisibleArrows[i];
+        else flags.push(!!invisibleArrows[i]);
+    });
+    return flags;
+}
+
+/**
+ * Arrow style hook of the rows with invisible arrows (student copies): each arrow drawn
+ * while \tabHiddenArrows is set bumps a counter and gets opacity=0 when its flag is 1
+ */
+const INVISIBLE_ARROWS_SETUP = String.raw`\ifdefined\tabArrowCount\else\newcount\tabArrowCount\fi
+\let\tabHiddenArrows\relax
+\tikzset{arrow style/.append style={tab hidden arrows}, tab hidden arrows/.code={\ifx\tabHiddenArrows\relax\else\global\advance\tabArrowCount by 1 \pgfmathparse{\tabHiddenArrows[\tabArrowCount-1]}\ifdim\pgfmathresult pt>0pt \pgfkeysalso{opacity=0}\fi\fi}}
+`;
+
+/**
+ * \tkzTabVar of a row whose arrows flagged in invisibleArrows are drawn invisibly,
+ * keeping the nodes, values and forbidden zones of the row in place
+ */
+function generateInvisibleArrows(row, tabVar) {
+    // Spare zeros keep the counter inside the array
+    const flags = [...arrowFlags(row).map(Number), ...(row.arrows || []).map(() => 0)];
+    return `\\def\\tabHiddenArrows{{${flags.join(',')}}}\\global\\tabArrowCount=0
+${tabVar}
+\\let\\tabHiddenArrows\\relax`;
+}
+
+/**
+ * Frames in the answer colour around the zeros and double bars of a sign row given in
+ * answerMarks ({ color, points }, see studentCopy.js), placed from tkz-tab's geometry:
+ * top left corner at (0,0), points espcl apart from lgt + deltacl, row heights in cm
+ * @param {number} top - y of the top of the row
+ */
+function generateAnswerMarks(expr, top, layoutConfig) {
+    const { lgt = 2, espcl = 2, deltacl = 0.5 } = layoutConfig || {};
+    const { color, points = [] } = expr.answerMarks;
+    const bottom = top - rowHeight(expr.height, 1);
+    const half = Math.min(0.3, espcl / 4);
+    const round = (value) => Number(value.toFixed(3));
+
+    return points
+        .map((marked, i) => {
+            if (!marked) return null;
+            const x = lgt + deltacl + i * espcl;
+            return `\\draw[${color}, thick] (${round(x - half)},${round(top - 0.1)}) rectangle (${round(x + half)},${round(bottom + 0.1)});`;
+        })
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Generate all the commands of one variation row:
+ * \tkzTabVar, then the \tkzTabSlope, \tkzTabIma and \tkzTabVal commands
+ * that tkz-tab applies to the variation row drawn just before them
+ * @param {Object} row - Variation row (see variationRows.js)
+ * @param {string} locale - Output locale of the numbers
+ */
+export function generateVariationRow(row, locale = '') {
+    const { arrows = [], values = [], leftValues = [], pointTypes = [], intervalValues = [], slopes = null } = row;
+    if (arrows.length === 0) return '';
+
+    const tabVar = generateSimpleTabVar(arrows, values, pointTypes, leftValues, locale);
+    return [
+        row.invisibleArrows ? generateInvisibleArrows(row, tabVar) : tabVar,
+        generateTabSlope(slopes || [], locale),
+        generateTabIma(arrows, values, pointTypes, locale),
+        generateTabVal(intervalValues, locale)
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Default table style: tkz-tab's own look
+ * Colours are xcolor expressions such as 'gray!60' or 'blue'; '' keeps tkz-tab's default.
+ * lineColor: frame, lines and arrows, variableRowColor/firstColumnColor: cell backgrounds,
+ * arrowTip: TikZ arrow tip ('latex', 'stealth', 'to'), doubleBarDistance: gap of double bars (e.g. '2pt'),
+ * hatchPattern/hatchColor: forbidden zones, positiveColor/negativeColor: signs in sign rows
+ */
+export const DEFAULT_TABLE_STYLE = {
+    lineColor: '',
+    variableRowColor: '',
+    firstColumnColor: '',
+    arrowTip: '',
+    doubleBarDistance: '',
+    hatchPattern: 'north west lines',
+    hatchColor: '',
+    positiveColor: '',
+    negativeColor: ''
+};
+
+/**
+ * Default preamble settings, matching the original standalone document
+ * documentClass: 'standalone' | 'article', border: standalone border,
+ * fontPackage: e.g. 'lmodern', babelLanguage: e.g. 'french',
+ * amsmath/amssymb: load the AMS packages, macros: extra LaTeX (\newcommand...),
+ * tableStyle: see DEFAULT_TABLE_STYLE,
+ * outputLocale/describeRows: output conventions (see outputLocale.js and generateTabInit),
+ * summarizeVariations: write under the table where each function increases and decreases
+ */
+export const DEFAULT_PREAMBLE = {
+    documentClass: 'standalone',
+    border: '5pt',
+    fontPackage: '',
+    babelLanguage: '',
+    amsmath: false,
+    amssymb: false,
+    macros: '',
+    tableStyle: DEFAULT_TABLE_STYLE,
+    outputLocale: '',
+    describeRows: false,
+    summarizeVariations: false
+};
+
+/**
+ * Table style of preamble settings, completed with the defaults
+ */
+export function getTableStyle(settings = {}) {
+    return { ...DEFAULT_TABLE_STYLE, ...settings.tableStyle };
+}
+
+/**
+ * Options of tkz-tab's h style (forbidden zones) for a table style
+ */
+function generateHatchStyle(style) {
+    const hatchColor = styleColor(style, 'hatchColor');
+    return `pattern=${style.hatchPattern || DEFAULT_TABLE_STYLE.hatchPattern}${hatchColor ? `, pattern color=${hatchColor}` : ''}`;
+}
+
+/**
+ * Document class and text packages (encoding, fonts, language, AMS) of a preamble
+ * @param {string[]} classOptions - Extra options of a non-standalone class, e.g. ['11pt']
+ */
+export function generateDocumentHeader(settings = {}, classOptions = []) {
+    const { documentClass, border, fontPackage, babelLanguage, amsmath, amssymb } = { ...DEFAULT_PREAMBLE, ...settings };
+    const options = classOptions.length > 0 ? `[${classOptions.join(',')}]` : '';
+
+    const lines = [
+        documentClass === 'standalone'
+            ? `\\documentclass[border=${border || '0pt'}]{standalone}`
+            : `\\documentclass${options}{${documentClass}}`,
+        '\\usepackage[utf8]{inputenc}',
+        '\\usepackage[T1]{fontenc}'
+    ];
+    if (fontPackage) lines.push(`\\usepackage{${fontPackage}}`);
+    if (babelLanguage) lines.push(`\\usepackage[${babelLanguage}]{babel}`);
+    if (amsmath) lines.push('\\usepackage{amsmath}');
+    if (amssymb) lines.push('\\usepackage{amssymb}');
+    if (documentClass !== 'standalone') lines.push('\\pagestyle{empty}');
+
+    return lines.join('\n');
+}
+
 /**
  * Generate the preamble for a standalone LaTeX document
+ * @param {Object} settings - Preamble settings (see DEFAULT_PREAMBLE)
  */
-export function generatePreamble() {
-    return `\\documentclass[border=5pt]{standalone}
-\\usepackage[utf8]{inputenc}
-\\usepackage[T1]{fontenc}
-\\usepackage{tikz}
-\\usetikzlibrary{patterns}
-\\usepackage{tkz-tab}
-\\tikzset{h style/.style={pattern=north west lines}}`;
+export function generatePreamble(settings = {}) {
+    return `${generateDocumentHeader(settings)}
+${generateTableSetup(settings)}`;
 }
 
 /**
- * Generate the complete LaTeX document
+ * Preamble lines the table needs on top of the document header
+ * (TikZ, tkz-tab, the style colours, the hatching style and the user macros)
+ */
+export function generateTableSetup(settings = {}) {
+    const { babelLanguage, macros } = { ...DEFAULT_PREAMBLE, ...settings };
+    // TikZ's babel library keeps babel's active characters (e.g. French ;:!?) out of TikZ code
+    const libraries = babelLanguage ? 'patterns,babel' : 'patterns';
+    const style = getTableStyle(settings);
+    const colors = generateColorDefinitions(style).map(line => `\n${line}`).join('');
+    const userMacros = macros && macros.trim() ? `\n${macros.trim()}` : '';
+
+    return `\\usepackage{tikz}
+\\usetikzlibrary{${libraries}}
+\\usepackage{tkz-tab}${colors}
+\\tikzset{h style/.style={${generateHatchStyle(style)}}}${userMacros}`;
+}
+
+/**
+ * Generate the tikzpicture of the table from the complete model
+ * (expressions, variation rows, layout, table style and output locale)
  * @param {Object} tableData - The table configuration
+ * @param {Object} preamble - Preamble settings (table style, output locale)
+ * @param {string[]} pictureOptions - Extra tikzpicture options, e.g. ['scale=0.8']
  */
-export function generateFullDocument(tableData) {
+export function generateTikzPicture(tableData, preamble = {}, pictureOptions = []) {
     const {
         variable = 'x',
         functionName = 'f(x)',
         points = ['-\\infty', '0', '+\\infty'],
         signs = [],
         pointSigns = [],
-        arrows = [],
-        values = [],
         expressions = [],
         tableType = 'both', // 'sign', 'variation', or 'both'
-        variationFunctionName = null,
         layoutConfig = { lgt: 2, espcl: 2, deltacl: 0.5 }
     } = tableData;
 
     const includeSign = tableType === 'sign' || tableType === 'both';
     const includeVariation = tableType === 'variation' || tableType === 'both';
+    const variationRows = getVariationRows(tableData);
+    const style = getTableStyle(preamble);
+    const output = { locale: preamble.outputLocale || '', describeRows: !!preamble.describeRows };
 
     let body = '';
 
     // Generate TabInit with expressions and layout config
-    body += generateTabInit(variable, functionName, points, includeSign, includeVariation, expressions, variationFunctionName, layoutConfig);
+    body += generateTabInit(variable, functionName, points, includeSign, includeVariation, expressions, variationRows, layoutConfig, output, style);
     body += '\n';
 
     // Generate TabLine for each expression (or single signs if no expressions)
     if (includeSign) {
         if (expressions.length > 0) {
+            let top = -rowHeight(layoutConfig?.variableHeight, 1);
             expressions.forEach(expr => {
                 if (expr.signs && expr.signs.length > 0) {
-                    body += generateTabLine(expr.signs, expr.pointTypes);
+                    body += generateTabLine(expr.signs, expr.pointTypes, style);
                     body += '\n';
+                    if (expr.answerMarks) {
+                        const marks = generateAnswerMarks(expr, top, layoutConfig);
+                        if (marks) body += `${marks}\n`;
+                    }
                 }
+                top -= rowHeight(expr.height, 1);
             });
         } else if (signs.length > 0) {
-            body += generateTabLine(signs, pointSigns);
+            body += generateTabLine(signs, pointSigns, style);
             body += '\n';
         }
     }
 
-    // Generate TabVar for variations
-    if (includeVariation && arrows.length > 0) {
-        body += generateSimpleTabVar(arrows, values, tableData.variationPointTypes, tableData.variationLeftValues || []);
-        body += '\n';
+    // Generate TabVar (and its annotations) for each variation row
+    if (includeVariation) {
+        // Student copies draw their hidden arrows invisibly (see studentCopy.js)
+        if (variationRows.some(row => row.invisibleArrows)) body += INVISIBLE_ARROWS_SETUP;
+        variationRows.forEach(row => {
+            const rowCode = generateVariationRow(row, output.locale);
+            if (rowCode) {
+                body += rowCode;
+                body += '\n';
+            }
+        });
     }
 
-    const preamble = generatePreamble();
+    return `\\begin{tikzpicture}${generatePictureOptions(style, pictureOptions)}
+${generateStyleSetup(style)}${body}\\end{tikzpicture}`;
+}
 
-    return `${preamble}
+/**
+ * Generate the complete LaTeX document
+ * @param {Object} tableData - The table configuration
+ * @param {Object} preamble - Preamble settings (see DEFAULT_PREAMBLE)
+ */
+export function generateFullDocument(tableData, preamble = {}) {
+    const picture = generateTikzPicture(tableData, preamble);
+    const summary = preamble.summarizeVariations ? generateVariationSummary(tableData, preamble.outputLocale || '') : [];
+    // A one-column tabular stacks the sentences under the picture, also in standalone
+    const body = summary.length > 0
+        ? `\\begin{tabular}{@{}l@{}}\n${picture}\\\\[1ex]\n${summary.join(' \\\\\n')}\n\\end{tabular}`
+        : picture;
+
+    return `${generatePreamble(preamble)}
 
 \\begin{document}
-\\begin{tikzpicture}
-${body}\\end{tikzpicture}
+${body}
 \\end{document}`;
 }
 
 /**
- * Generate just the TikZ environment (no document wrapper)
- * Useful for embedding in existing documents
+ * Sentences on the monotony of each variation row, in the output locale
  */
-export function generateTikzSnippet(tableData) {
-    const {
-        variable = 'x',
-        functionName = 'f(x)',
-        points = ['-\\infty', '0', '+\\infty'],
-        signs = [],
-        pointSigns = [],
-        arrows = [],
-        values = [],
-        tableType = 'both'
-    } = tableData;
-
-    const includeSign = tableType === 'sign' || tableType === 'both';
-    const includeVariation = tableType === 'variation' || tableType === 'both';
-
-    let body = '';
-
-    body += generateTabInit(variable, functionName, points, includeSign, includeVariation);
-    body += '\n';
-
-    if (includeSign && signs.length > 0) {
-        body += generateTabLine(signs, pointSigns);
-        body += '\n';
-    }
-
-    if (includeVariation && arrows.length > 0) {
-        body += generateSimpleTabVar(arrows, values, tableData.variationPointTypes, tableData.variationLeftValues || []);
-        body += '\n';
-    }
+export function generateVariationSummary(tableData, locale = '') {
+    if (tableData.tableType === 'sign') return [];
+    const { variable = 'x', points = [] } = tableData;
+    return getVariationRows(tableData).flatMap(row => describeVariations(row, points, variable, locale));
+}
 
-    return `\\begin{tikzpicture}
-${body}\\end{tikzpicture}`;
+/**
+ * Generate just the TikZ environment (no document wrapper)
+ * Useful for embedding in existing documents; see embedProfiles.js for wrapped versions
+ */
+export function generateTikzSnippet(tableData, preamble = {}) {
+    return generateTikzPicture(tableData, preamble);
 }
 
 /**
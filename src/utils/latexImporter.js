@@ -0,0 +1,442 @@
+/**
+ * tkz-tab importer
+ * Reads \tkzTabInit / \tkzTabLine / \tkzTabVar code (a full document or a bare
+ * tikzpicture) back into the table model used by the editor - the reverse of
+ * generateFullDocument. Anything that cannot be represented is reported as a
+ * warning instead of being dropped silently.
+ */
+
+import { createVariationRow } from './variationRows';
+
+const DEFAULT_LAYOUT = { lgt: 2, espcl: 2, deltacl: 0.5 };
+const LAYOUT_KEYS = ['lgt', 'espcl', 'deltacl'];
+const POINT_TYPES = ['z', 'd', 't'];
+const SIGNS = ['+', '-', 'h'];
+const TABULAR_BEGIN = '\\begin{tabular}';
+const TABULAR_END = '\\end{tabular}';
+
+/**
+ * Read a balanced {...} or [...] group starting at index i
+ * @returns {{ content: string, end: number } | null} end = index after the closing delimiter
+ */
+function readGroup(source, i, open = '{', close = '}') {
+    while (i < source.length && /\s/.test(source[i])) i++;
+    if (source[i] !== open) return null;
+
+    let depth = 0;
+    for (let k = i; k < source.length; k++) {
+        const char = source[k];
+        if (char === '\\') {
+            k++;
+            continue;
+        }
+        if (char === open) depth++;
+        else if (char === close) {
+            depth--;
+            if (depth === 0) return { content: source.slice(i + 1, k), end: k + 1 };
+        }
+    }
+    throw new Error(`Unbalanced ${open}${close} in the LaTeX code`);
+}
+
+/**
+ * Split on a separator that is not inside braces
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (let k = 0; k < text.length; k++) {
+        const char = text[k];
+        if (char === '\\' && k + 1 < text.length) {
+            current += char + text[k + 1];
+            k++;
+            continue;
+        }
+        if (char === '{') depth++;
+        if (char === '}') depth--;
+        if (char === separator && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts.map(part => part.trim());
+}
+
+/**
+ * Remove one level of enclosing braces: {text} -> text
+ */
+function unbrace(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
+        const group = readGroup(trimmed, 0);
+        if (group && group.end === trimmed.length) return group.content.trim();
+    }
+    return trimmed;
+}
+
+/**
+ * Math content of a cell: $x$ -> x, ~ or empty -> ''
+ * @returns {{ math: string, isMath: boolean }} isMath is false for text such as \textbf{...}
+ */
+function readCell(text) {
+    const cell = unbrace(text);
+    if (cell === '' || cell === '$~$' || cell === '~') return { math: '', isMath: true };
+
+    const match = cell.match(/^\$([^$]*)\$$/) || cell.match(/^\\\(([\s\S]*)\\\)$/);
+    if (match) return { math: match[1].trim(), isMath: true };
+    return { math: cell, isMath: false };
+}
+
+/**
+ * Label of a \tkzTabInit row: math names become the row name,
+ * anything else (text, several lines) is kept as a custom label
+ */
+function readLabel(text) {
+    const cell = readCell(text);
+    if (cell.isMath) return { name: cell.math };
+
+    // Multi-line labels: \begin{tabular}{c} line \\ line \end{tabular}
+    let label = cell.math;
+    if (label.startsWith(TABULAR_BEGIN) && label.endsWith(TABULAR_END)) {
+        const columns = readGroup(label, TABULAR_BEGIN.length);
+        label = label.slice(columns ? columns.end : TABULAR_BEGIN.length, -TABULAR_END.length)
+            .split('\\\\').map(line => line.trim()).filter(Boolean).join('\n');
+    }
+    const math = label.match(/\$([^$]*)\$/);
+    return { name: math ? math[1].trim() : '', label };
+}
+
+/**
+ * Key=value options of a command: [lgt=3,espcl=2]
+ */
+function readOptions(text) {
+    return splitTopLevel(text, ',').filter(Boolean).map(option => {
+        const [key, ...value] = option.split('=');
+        return { key: key.trim(), value: value.join('=').trim() };
+    });
+}
+
+/**
+ * Find every tkz-tab command with its optional argument and following groups
+ */
+function findCommands(source) {
+    const commands = [];
+    const pattern = /\\(tkzTab[A-Za-z]*)/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        const name = match[1];
+        let end = pattern.lastIndex;
+        let options = null;
+
+        const optional = readGroup(source, end, '[', ']');
+        if (optional) {
+            options = optional.content;
+            end = optional.end;
+        }
+
+        const args = [];
+        let group = readGroup(source, end);
+        while (group) {
+            args.push(group.content);
+            end = group.end;
+            group = readGroup(source, end);
+        }
+
+        commands.push({ name, options, args, index: match.index });
+        pattern.lastIndex = end;
+    }
+
+    return commands;
+}
+
+/**
+ * Content of a sign row item, without the \textcolor{...}{...} of coloured signs
+ */
+function readLineItem(text) {
+    const colored = unbrace(text).match(/^\\textcolor\s*\{[^}]*\}\s*\{([\s\S]*)\}$/);
+    return readCell(colored ? colored[1] : text).math;
+}
+
+/**
+ * Read a \tkzTabLine argument into { signs, pointTypes }
+ */
+function readTabLine(content, pointCount, rowName, warnings) {
+    const items = splitTopLevel(content, ',');
+    const expected = 2 * pointCount - 1;
+    if (items.length !== expected) {
+        warnings.push(`Sign row ${rowName}: expected ${expected} items, found ${items.length}`);
+    }
+
+    const signs = [];
+    const pointTypes = [];
+
+    for (let k = 0; k < expected; k++) {
+        const item = readLineItem(items[k] ?? '');
+        if (k % 2 === 0) {
+            if (item === '' || POINT_TYPES.includes(item)) {
+                pointTypes.push(item || 'n');
+            } else {
+                warnings.push(`Sign row ${rowName}: "${item}" at point ${k / 2 + 1} is not supported (kept as no line)`);
+                pointTypes.push('n');
+            }
+        } else if (SIGNS.includes(item)) {
+            signs.push(item);
+        } else {
+            warnings.push(`Sign row ${rowName}: "${item}" on interval ${(k + 1) / 2} is not a sign (kept as +)`);
+            signs.push('+');
+        }
+    }
+
+    return { signs, pointTypes };
+}
+
+/**
+ * Split a \tkzTabVar item spec (+D-, -H, R...) into its parts
+ * @returns {{ kind: 'node' | 'double' | 'reach', left: string, right: string, hatched: boolean } | null}
+ */
+function readVarSpec(spec) {
+    if (spec === 'R') return { kind: 'reach', left: null, right: null, hatched: false };
+
+    let match = spec.match(/^([+-])(H?)$/);
+    if (match) return { kind: 'node', left: match[1], right: match[1], hatched: match[2] === 'H' };
+
+    match = spec.match(/^([+-]?)D([+-]?)(H?)$/);
+    if (match && (match[1] || match[2])) {
+        return { kind: 'double', left: match[1] || null, right: match[2] || null, hatched: match[3] === 'H' };
+    }
+
+    return null;
+}
+
+/**
+ * Read a \tkzTabVar argument into a variation row
+ * Arrows are recovered from the vertical position of the nodes they join.
+ */
+function readTabVar(content, pointCount, rowName, warnings) {
+    const row = createVariationRow(pointCount, rowName);
+    const items = splitTopLevel(content, ',');
+    if (items.length !== pointCount) {
+        warnings.push(`Variation row ${rowName}: expected ${pointCount} items, found ${items.length}`);
+    }
+
+    const specs = [];
+    for (let i = 0; i < pointCount; i++) {
+        const [rawSpec = '', ...cells] = splitTopLevel(items[i] ?? 'R', '/');
+        let spec = readVarSpec(rawSpec);
+        if (!spec) {
+            warnings.push(`Variation row ${rowName}: "${rawSpec}/" at point ${i + 1} is not supported (kept as a plain node)`);
+            spec = { kind: 'node', left: rawSpec.includes('+') ? '+' : '-', right: rawSpec.includes('+') ? '+' : '-', hatched: false };
+        }
+        specs.push(spec);
+
+        const first = readCell(cells[0] ?? '').math;
+        const second = readCell(cells[1] ?? '').math;
+        if (spec.kind === 'double') {
+            row.pointTypes[i] = 'd';
+            if (spec.left && spec.right) {
+                row.leftValues[i] = first;
+                row.values[i] = second;
+            } else if (spec.left) {
+                row.leftValues[i] = first;
+            } else {
+                row.values[i] = first;
+            }
+        } else if (spec.kind === 'node') {
+            row.values[i] = first;
+        }
+    }
+
+    // Walk from node to node; the arrows between two nodes share one direction,
+    // and 'R' points skipped on the way show their image on the arrow
+    let previous = 0;
+    let hatched = specs[0]?.hatched;
+    for (let i = 1; i < pointCount; i++) {
+        if (specs[i].kind === 'reach' && i < pointCount - 1) continue;
+
+        let direction;
+        if (hatched) {
+            direction = 'h';
+        } else if (specs[previous].right === '-' && specs[i].left === '+') {
+            direction = 'up';
+        } else if (specs[previous].right === '+' && specs[i].left === '-') {
+            direction = 'down';
+        } else {
+            warnings.push(`Variation row ${rowName}: the arrow from point ${previous + 1} to point ${i + 1} is horizontal (kept as ↗)`);
+            direction = 'up';
+        }
+
+        for (let k = previous; k < i; k++) {
+            row.arrows[k] = direction;
+            if (k > previous && direction !== 'h') row.pointTypes[k] = 'i';
+        }
+
+        previous = i;
+        hatched = specs[i].hatched;
+    }
+
+    return row;
+}
+
+/**
+ * Import tkz-tab code
+ * @param {string} source - LaTeX code containing a \tkzTabInit table
+ * @returns {{ table: Object, warnings: string[] }} table = { tableType, variable, points, expressions, variationRows, layoutConfig }
+ */
+export function importTkzTab(source) {
+    const commands = findCommands(source);
+    const initIndex = commands.findIndex(command => command.name === 'tkzTabInit');
+    if (initIndex < 0) throw new Error('No \\tkzTabInit found in the LaTeX code');
+
+    const warnings = [];
+    const init = commands[initIndex];
+    const nextInit = commands.findIndex((command, k) => k > initIndex && command.name === 'tkzTabInit');
+    if (nextInit >= 0) warnings.push('Only the first table was imported');
+    const body = commands.slice(initIndex + 1, nextInit >= 0 ? nextInit : commands.length);
+
+    if (init.args.length < 2) throw new Error('\\tkzTabInit needs a list of rows and a list of points');
+
+    // Layout options
+    const layoutConfig = { ...DEFAULT_LAYOUT };
+    readOptions(init.options || '').forEach(({ key, value }) => {
+        if (LAYOUT_KEYS.includes(key) && !Number.isNaN(parseFloat(value))) {
+            layoutConfig[key] = parseFloat(value);
+        } else {
+            warnings.push(`\\tkzTabInit option "${key}" is not supported and was ignored`);
+        }
+    });
+
+    // Rows: label / height
+    const rows = splitTopLevel(init.args[0], ',').filter(Boolean).map(entry => {
+        const [label, height] = splitTopLevel(entry, '/');
+        return { ...readLabel(label), height: parseFloat(height) };
+    });
+    const [variableRow, ...tableRows] = rows;
+    if (!variableRow) throw new Error('\\tkzTabInit has no rows');
+    if (variableRow.label) warnings.push('The first column label is not plain math and was simplified');
+    if (variableRow.height > 0 && variableRow.height !== 1) layoutConfig.variableHeight = variableRow.height;
+
+    const points = splitTopLevel(init.args[1], ',').map(point => readCell(point).math);
+    if (points.length < 2) throw new Error('\\tkzTabInit needs at least two points');
+
+    const expressions = [];
+    const variationRows = [];
+    let rowIndex = 0;
+    let lastVariation = null;
+
+    const nextRow = (fallbackName) => {
+        const row = tableRows[rowIndex++];
+        if (!row) {
+            warnings.push(`More rows are drawn than declared in \\tkzTabInit; the extra row was named ${fallbackName}`);
+            return { name: fallbackName };
+        }
+        return row;
+    };
+
+    const withLabel = (target, row, defaultHeight) => {
+        if (row.label !== undefined) target.label = row.label;
+        if (row.height > 0 && row.height !== defaultHeight) target.height = row.height;
+        return target;
+    };
+
+    body.forEach(command => {
+        if (command.options && ['tkzTabLine', 'tkzTabVar'].includes(command.name)) {
+            warnings.push(`Options [${command.options}] of \\${command.name} were ignored`);
+        }
+
+        switch (command.name) {
+            case 'tkzTabLine': {
+                if (variationRows.length > 0) {
+                    warnings.push('A sign row drawn after a variation row was moved above the variation rows');
+                }
+                const row = nextRow(`f_${expressions.length + 1}(x)`);
+                const { signs, pointTypes } = readTabLine(command.args[0] ?? '', points.length, row.name, warnings);
+                expressions.push(withLabel({ name: row.name, signs, pointTypes }, row, 1));
+                break;
+            }
+            case 'tkzTabVar': {
+                const row = nextRow('f(x)');
+                lastVariation = withLabel(readTabVar(command.args[0] ?? '', points.length, row.name, warnings), row, 1.5);
+                variationRows.push(lastVariation);
+                break;
+            }
+            case 'tkzTabIma': {
+                const [, , position, image] = command.args;
+                const i = parseInt(position, 10) - 1;
+                if (!lastVariation || !(i > 0 && i < points.length - 1)) {
+                    warnings.push(`\\tkzTabIma{${command.args.join('}{')}} does not match a variation row and was ignored`);
+                    break;
+                }
+                lastVariation.pointTypes[i] = 'i';
+                lastVariation.values[i] = readCell(image ?? '').math;
+                break;
+            }
+            case 'tkzTabVal': {
+                const [begin, end, position, antecedent, image] = command.args;
+                const i = parseInt(begin, 10) - 1;
+                if (!lastVariation || !(i >= 0 && i < points.length - 1)) {
+                    warnings.push(`\\tkzTabVal{${command.args.join('}{')}} does not match a variation row and was ignored`);
+                    break;
+                }
+                if (parseInt(end, 10) !== i + 2) {
+                    warnings.push(`\\tkzTabVal spanning points ${begin} to ${end} was placed on the arrow after point ${begin}`);
+                }
+                lastVariation.intervalValues[i] = {
+                    antecedent: readCell(antecedent ?? '').math,
+                    value: readCell(image ?? '').math,
+                    position: parseFloat(position) || 0.5,
+                    dashed: /\bdraw\b/.test(command.options || '')
+                };
+                break;
+            }
+            case 'tkzTabSlope': {
+                if (!lastVariation) {
+                    warnings.push('\\tkzTabSlope without a variation row was ignored');
+                    break;
+                }
+                const slopes = Array(points.length).fill('');
+                splitTopLevel(command.args[0] ?? '', ',').filter(Boolean).forEach(entry => {
+                    const [position, slope] = splitTopLevel(entry, '/');
+                    const i = parseInt(position, 10) - 1;
+                    if (i >= 0 && i < points.length) slopes[i] = readCell(slope ?? '').math;
+                    else warnings.push(`Tangent slope at point ${position} is out of range and was ignored`);
+                });
+                lastVariation.slopes = slopes;
+                break;
+            }
+            default:
+                warnings.push(`\\${command.name} is not supported and was ignored`);
+        }
+    });
+
+    if (rowIndex < tableRows.length) {
+        warnings.push(`${tableRows.length - rowIndex} row(s) declared in \\tkzTabInit are never drawn and were dropped`);
+    }
+    if (expressions.length === 0 && variationRows.length === 0) {
+        throw new Error('No \\tkzTabLine or \\tkzTabVar found after \\tkzTabInit');
+    }
+
+    const intervalCount = points.length - 1;
+    const tableType = expressions.length === 0 ? 'variation' : variationRows.length === 0 ? 'sign' : 'both';
+
+    return {
+        table: {
+            tableType,
+            variable: variableRow.name || 'x',
+            points,
+            expressions: expressions.length > 0 ? expressions : [{
+                name: variationRows[0].name,
+                signs: Array(intervalCount).fill('+'),
+                pointTypes: Array(points.length).fill('n')
+            }],
+            variationRows: variationRows.length > 0 ? variationRows : [createVariationRow(points.length)],
+            layoutConfig
+        },
+        warnings
+    };
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { importTkzTab } from './latexImporter';
+import { generateFullDocument } from './latexGenerator';
+
+const LAYOUT = { lgt: 2, espcl: 2, deltacl: 0.5 };
+
+// The generated code imported back gives the same table
+function roundTrip(tableData) {
+    const { table, warnings } = importTkzTab(generateFullDocument(tableData));
+    expect(warnings).toEqual([]);
+    return table;
+}
+
+describe('importTkzTab', () => {
+    it('imports the generated code of a sign and variation table', () => {
+        const tableData = {
+            variable: 'x',
+            points: ['-\\infty', '-1', '1', '+\\infty'],
+            tableType: 'both',
+            layoutConfig: LAYOUT,
+            expressions: [{ name: "f'(x)", signs: ['+', '-', '+'], pointTypes: ['n', 'z', 'z', 'n'] }],
+            variationRows: [{
+                name: 'f',
+                arrows: ['up', 'down', 'up'],
+                values: ['-\\infty', '2', '-2', '+\\infty'],
+                leftValues: ['', '', '', ''],
+                pointTypes: ['n', 'n', 'n', 'n'],
+                intervalValues: [null, null, null],
+                slopes: null
+            }]
+        };
+        expect(roundTrip(tableData)).toEqual(tableData);
+    });
+
+    it('keeps forbidden zones, double bars and images on arrows', () => {
+        const row = {
+            name: 'f',
+            arrows: ['down', 'up', 'h', 'up', 'up'],
+            values: ['+\\infty', '-1', '3', '', '0', '5'],
+            leftValues: ['', '', '', '', '', ''],
+            pointTypes: ['n', 'n', 'n', 'd', 'i', 'n'],
+            intervalValues: [null, null, null, null, null],
+            slopes: null
+        };
+        const table = roundTrip({
+            variable: 'x',
+            points: ['-\\infty', '0', '1', '2', '4', '+\\infty'],
+            tableType: 'variation',
+            layoutConfig: LAYOUT,
+            expressions: [],
+            variationRows: [row]
+        });
+        expect(table.tableType).toBe('variation');
+        expect(table.points).toEqual(['-\\infty', '0', '1', '2', '4', '+\\infty']);
+        expect(table.variationRows).toEqual([row]);
+    });
+
+    it('imports both values of a double bar', () => {
+        const source = String.raw`\tkzTabInit{$x$ / 1 , $f$ / 1.5}{$-\infty$, $0$, $+\infty$}
+\tkzTabVar{+/ $1$, -D+/ $-\infty$ / $+\infty$, -/ $1$}`;
+        const [row] = importTkzTab(source).table.variationRows;
+        expect(row.arrows).toEqual(['down', 'down']);
+        expect(row.pointTypes[1]).toBe('d');
+        expect(row.leftValues[1]).toBe('-\\infty');
+        expect(row.values[1]).toBe('+\\infty');
+    });
+
+    it('needs a \\tkzTabInit', () => {
+        expect(() => importTkzTab('\\begin{tikzpicture}\\end{tikzpicture}')).toThrow('No \\tkzTabInit');
+    });
+});
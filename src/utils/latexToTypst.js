@@ -0,0 +1,185 @@
+/**
+ * LaTeX to Typst math conversion
+ * Covers what appears in table cells: fractions, roots, powers and indices,
+ * Greek letters, usual functions, \infty, \text{} and matrices of labels.
+ * Unknown commands keep their name (\foo -> foo).
+ */
+
+const SYMBOLS = {
+    infty: 'infinity',
+    cdot: 'dot',
+    times: 'times',
+    div: 'div',
+    pm: 'plus.minus',
+    mp: 'minus.plus',
+    leq: '<=',
+    le: '<=',
+    geq: '>=',
+    ge: '>=',
+    neq: '!=',
+    ne: '!=',
+    in: 'in',
+    to: '->',
+    nearrow: 'arrow.tr',
+    searrow: 'arrow.br',
+    Vert: '||',
+    vdots: 'dots.v',
+    ldots: 'dots',
+    emptyset: 'emptyset',
+    varphi: 'phi',
+    phi: 'phi.alt',
+    epsilon: 'epsilon.alt',
+    varepsilon: 'epsilon',
+    ',': 'thin',
+    ';': 'med',
+    quad: 'quad',
+    '{': '{',
+    '}': '}',
+    '%': '%'
+};
+
+const FRACTIONS = ['frac', 'dfrac', 'tfrac'];
+const SPACED_CHARS = /[A-Za-z]/;
+
+/**
+ * Read a {group} or a single token after index i
+ * @returns {{ content: string, end: number }}
+ */
+function readArgument(latex, i) {
+    while (latex[i] === ' ') i++;
+    if (latex[i] === '{') {
+        let depth = 0;
+        for (let k = i; k < latex.length; k++) {
+            if (latex[k] === '\\') {
+                k++;
+                continue;
+            }
+            if (latex[k] === '{') depth++;
+            if (latex[k] === '}' && --depth === 0) return { content: latex.slice(i + 1, k), end: k + 1 };
+        }
+        return { content: latex.slice(i + 1), end: latex.length };
+    }
+    if (latex[i] === '\\') {
+        const match = latex.slice(i).match(/^\\([A-Za-z]+|.)/);
+        return { content: match[0], end: i + match[0].length };
+    }
+    return { content: latex[i] || '', end: i + 1 };
+}
+
+/**
+ * Plain text of a \text{} argument, without inner commands
+ */
+function readText(text) {
+    return text.replace(/\\[A-Za-z]+\s*/g, '').replace(/[{}]/g, '').replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * Wrap a converted group in parentheses unless it is a single token
+ */
+function group(typst) {
+    return /^[A-Za-z0-9.]+$/.test(typst) ? typst : `(${typst})`;
+}
+
+/**
+ * Convert LaTeX math to Typst math (the part between $ ... $)
+ */
+export function latexToTypst(latex) {
+    if (!latex) return '';
+    let out = '';
+    let i = 0;
+
+    // Typst reads adjacent letters as one identifier: keep single letters apart
+    const emit = (text) => {
+        if (out && SPACED_CHARS.test(out[out.length - 1]) && SPACED_CHARS.test(text[0])) out += ' ';
+        out += text;
+    };
+
+    while (i < latex.length) {
+        const char = latex[i];
+
+        if (char === '\\') {
+            const match = latex.slice(i).match(/^\\([A-Za-z]+|.)/);
+            const name = match[1];
+            i += match[0].length;
+
+            if (FRACTIONS.includes(name)) {
+                const numerator = readArgument(latex, i);
+                const denominator = readArgument(latex, numerator.end);
+                emit(`${group(latexToTypst(numerator.content))}/${group(latexToTypst(denominator.content))}`);
+                i = denominator.end;
+            } else if (name === 'sqrt') {
+                let index = null;
+                if (latex[i] === '[') {
+                    const close = latex.indexOf(']', i);
+                    index = latex.slice(i + 1, close);
+                    i = close + 1;
+                }
+                const radicand = readArgument(latex, i);
+                const body = latexToTypst(radicand.content);
+                emit(index ? `root(${latexToTypst(index)}, ${body})` : `sqrt(${body})`);
+                i = radicand.end;
+            } else if (name === 'text' || name === 'textbf' || name === 'textit' || name === 'mbox') {
+                const argument = readArgument(latex, i);
+                emit(`"${readText(argument.content)}"`);
+                i = argument.end;
+            } else if (name === 'mathrm' || name === 'operatorname') {
+                const argument = readArgument(latex, i);
+                emit(`upright(${latexToTypst(argument.content)})`);
+                i = argument.end;
+            } else if (name === 'mathbb') {
+                const argument = readArgument(latex, i);
+                emit(argument.content.repeat(2));
+                i = argument.end;
+            } else if (name === 'left' || name === 'right') {
+                // Typst sizes delimiters automatically
+                const delimiter = latex[i] === '\\' ? readArgument(latex, i) : { content: latex[i], end: i + 1 };
+                const symbol = delimiter.content === '.' ? '' : delimiter.content.replace(/^\\/, '');
+                if (symbol) emit(symbol);
+                i = delimiter.end;
+            } else if (name === 'begin') {
+                const environment = readArgument(latex, i);
+                const endTag = `\\end{${environment.content}}`;
+                const close = latex.indexOf(endTag, environment.end);
+                const body = latex.slice(environment.end, close < 0 ? latex.length : close);
+                const rows = body.split('\\\\').map(row => row.split('&').map(cell => latexToTypst(cell.trim())).join(', '));
+                emit(`mat(delim: #none, ${rows.join('; ')})`);
+                i = close < 0 ? latex.length : close + endTag.length;
+            } else {
+                emit(SYMBOLS[name] ?? name);
+            }
+            continue;
+        }
+
+        if (char === '^' || char === '_') {
+            const argument = readArgument(latex, i + 1);
+            out += `${char}${group(latexToTypst(argument.content))}`;
+            i = argument.end;
+            continue;
+        }
+
+        if (char === '{') {
+            const argument = readArgument(latex, i);
+            // {,} is a decimal comma
+            emit(argument.content === ',' ? ',' : latexToTypst(argument.content));
+            i = argument.end;
+            continue;
+        }
+
+        if (char === '~') {
+            out += ' ';
+            i++;
+            continue;
+        }
+
+        if (char === '"' || char === '#' || char === '$') {
+            out += `\\${char}`;
+            i++;
+            continue;
+        }
+
+        emit(char);
+        i++;
+    }
+
+    return out.trim();
+}
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { latexToTypst } from './latexToTypst';
+
+describe('latexToTypst', () => {
+    it('converts fractions, roots and powers', () => {
+        expect(latexToTypst('\\frac{1}{2}')).toBe('1/2');
+        expect(latexToTypst('\\frac{x+1}{2}')).toBe('(x+1)/2');
+        expect(latexToTypst('\\sqrt{x^2+1}')).toBe('sqrt(x^2+1)');
+        expect(latexToTypst('\\sqrt[3]{2}')).toBe('root(3, 2)');
+    });
+
+    it('names symbols the Typst way', () => {
+        expect(latexToTypst('-\\infty')).toBe('-infinity');
+        expect(latexToTypst('\\nearrow')).toBe('arrow.tr');
+    });
+
+    it('keeps single letters apart and text quoted', () => {
+        expect(latexToTypst('xy')).toBe('x y');
+        expect(latexToTypst('\\text{Sign of } f')).toBe('"Sign of " f');
+    });
+
+    it('reads {,} as a decimal comma and escapes Typst markup', () => {
+        expect(latexToTypst('1{,}5')).toBe('1,5');
+        expect(latexToTypst('#')).toBe('\\#');
+    });
+
+    it('turns label matrices into mat without delimiters', () => {
+        expect(latexToTypst('\\begin{matrix}a \\\\ b\\end{matrix}')).toBe('mat(delim: #none, a; b)');
+    });
+});
@@ -0,0 +1,432 @@
+/**
+ * LaTeX math expression parser
+ * Turns the LaTeX produced by MathLive (e.g. \frac{\left(t+1\right)}{t^2-9})
+ * into a small syntax tree that can be evaluated or converted to polynomials.
+ *
+ * Node types:
+ * - number { value: rational }, variable, constant { name: 'pi' | 'e' | 'infty' }
+ * - neg { arg }, add / sub / mul / div { left, right }, pow { base, exponent }
+ * - func { name, arg, index } (sqrt, ln, log, exp, sin, cos, tan)
+ * - approx { arg }: a rounded value written \approx 1.26, e.g. a root with no exact form
+ * Every node keeps its source span { start, end } so factors can be re-labelled
+ * with exactly what the user typed.
+ */
+
+import { rational, fromNumber, ONE, isInteger, toNumber } from './rational';
+import { polyConstant, polyVariable, polyAdd, polySub, polyMul, polyPow } from './polynomial';
+
+const FUNCTIONS = ['sqrt', 'ln', 'log', 'exp', 'sin', 'cos', 'tan'];
+const CONSTANTS = { pi: 'pi', exponentialE: 'e', infty: 'infty' };
+const IGNORED_COMMANDS = ['left', 'right', 'displaystyle', 'big', 'Big', 'bigl', 'bigr', 'Bigl', 'Bigr'];
+const OPERATOR_COMMANDS = { cdot: '*', times: '*', div: '/' };
+
+/**
+ * Split a LaTeX string into tokens
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const rest = source.slice(i);
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const number = rest.match(/^(?:\d+(?:(?:\.|\{,\})\d+)?|\.\d+)/);
+        if (number) {
+            tokens.push({ type: 'number', text: number[0].replace('{,}', '.'), start: i, end: i + number[0].length });
+            i += number[0].length;
+            continue;
+        }
+
+        const delimiter = rest.match(/^\\(?:left|right)\s*([()[\]]|\.)/);
+        if (delimiter) {
+            if (delimiter[1] !== '.') {
+                tokens.push({ type: 'op', text: delimiter[1], start: i, end: i + delimiter[0].length });
+            }
+            i += delimiter[0].length;
+            continue;
+        }
+
+        const named = rest.match(/^\\(?:mathrm|operatorname|mathit|text)\{([a-zA-Z]+)\}/);
+        if (named) {
+            const word = named[1];
+            const token = word.length === 1
+                ? { type: 'ident', text: word }
+                : { type: 'command', text: word };
+            tokens.push({ ...token, start: i, end: i + named[0].length });
+            i += named[0].length;
+            continue;
+        }
+
+        const command = rest.match(/^\\([a-zA-Z]+)/);
+        if (command) {
+            const name = command[1];
+            const end = i + command[0].length;
+            if (OPERATOR_COMMANDS[name]) {
+                tokens.push({ type: 'op', text: OPERATOR_COMMANDS[name], start: i, end });
+            } else if (!IGNORED_COMMANDS.includes(name)) {
+                tokens.push({ type: 'command', text: name, start: i, end });
+            }
+            i = end;
+            continue;
+        }
+
+        // Spacing commands such as \, \; \!
+        if (char === '\\') {
+            i += 2;
+            continue;
+        }
+
+        if (/[a-zA-Z]/.test(char)) {
+            tokens.push({ type: 'ident', text: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        if ('+-*/^(){}[]'.includes(char)) {
+            tokens.push({ type: 'op', text: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        throw new Error(`Unexpected character "${char}"`);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a LaTeX expression in the given variable
+ * @param {string} source - LaTeX source, e.g. '\\frac{(t+1)(t-4)}{t^2-9}'
+ * @param {string} variable - Name of the variable (single letter)
+ * @returns {Object} Syntax tree
+ */
+export function parseLatex(source, variable = 'x') {
+    if (!source || !source.trim()) throw new Error('Expression is empty');
+
+    const tokens = tokenize(source);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = (text) => peek() && peek().type === 'op' && peek().text === text;
+    const expect = (text) => {
+        if (!isOp(text)) {
+            throw new Error(`Expected "${text}"${peek() ? ` near "${peek().text}"` : ' at end of expression'}`);
+        }
+        return tokens[pos++];
+    };
+
+    const node = (type, props, start, end) => ({ type, ...props, start, end });
+
+    // A single-character argument (\frac12, x^23) or a braced group
+    function parseArgument() {
+        const token = peek();
+        if (!token) throw new Error('Missing argument at end of expression');
+        if (isOp('{')) {
+            const open = expect('{');
+            const inner = parseExpression();
+            const close = expect('}');
+            return { ...inner, start: open.start, end: close.end, braced: true };
+        }
+        if (token.type === 'number' && token.text.length > 1) {
+            const digit = token.text[0];
+            token.text = token.text.slice(1);
+            token.start += 1;
+            return node('number', { value: rational(Number(digit)) }, token.start - 1, token.start);
+        }
+        return parsePrimary();
+    }
+
+    function startsPrimary(token) {
+        if (!token) return false;
+        if (token.type === 'op') return token.text === '(' || token.text === '{';
+        return true;
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (token.type === 'number') {
+            pos++;
+            return node('number', { value: fromNumber(Number(token.text)) }, token.start, token.end);
+        }
+
+        if (token.type === 'ident') {
+            pos++;
+            if (token.text === variable) return node('variable', {}, token.start, token.end);
+            if (token.text === 'e') return node('constant', { name: 'e' }, token.start, token.end);
+            throw new Error(`Unknown symbol "${token.text}" (the variable is "${variable}")`);
+        }
+
+        if (token.type === 'op' && (token.text === '(' || token.text === '[')) {
+            const open = tokens[pos++];
+            const inner = parseExpression();
+            const close = expect(token.text === '(' ? ')' : ']');
+            return { ...inner, start: open.start, end: close.end, parenthesized: true };
+        }
+
+        if (token.type === 'op' && token.text === '{') {
+            return parseArgument();
+        }
+
+        if (token.type === 'command') {
+            pos++;
+            const name = token.text;
+
+            if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+                const numerator = parseArgument();
+                const denominator = parseArgument();
+                return node('div', { left: numerator, right: denominator, fraction: true }, token.start, denominator.end);
+            }
+
+            if (CONSTANTS[name]) {
+                return node('constant', { name: CONSTANTS[name] }, token.start, token.end);
+            }
+
+            if (name === 'sqrt') {
+                let index = null;
+                if (isOp('[')) {
+                    pos++;
+                    index = parseExpression();
+                    expect(']');
+                }
+                const arg = parseArgument();
+                return node('func', { name: 'sqrt', arg, index }, token.start, arg.end);
+            }
+
+            if (FUNCTIONS.includes(name)) {
+                const arg = parsePower();
+                return node('func', { name, arg, index: null }, token.start, arg.end);
+            }
+
+            throw new Error(`Unsupported command "\\${name}"`);
+        }
+
+        throw new Error(`Unexpected "${token.text}"`);
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOp('^')) {
+            pos++;
+            const exponent = parseArgument();
+            return node('pow', { base, exponent }, base.start, exponent.end);
+        }
+        return base;
+    }
+
+    function parseUnary() {
+        if (isOp('-')) {
+            const op = tokens[pos++];
+            const arg = parseUnary();
+            return node('neg', { arg }, op.start, arg.end);
+        }
+        if (isOp('+')) {
+            pos++;
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    function parseTerm() {
+        let left = parseUnary();
+        for (;;) {
+            if (isOp('*') || isOp('/')) {
+                const op = tokens[pos++];
+                const right = parseUnary();
+                left = node(op.text === '*' ? 'mul' : 'div', { left, right }, left.start, right.end);
+            } else if (startsPrimary(peek())) {
+                const right = parsePower();
+                left = node('mul', { left, right, implicit: true }, left.start, right.end);
+            } else {
+                return left;
+            }
+        }
+    }
+
+    function parseExpression() {
+        let left = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[pos++];
+            const right = parseTerm();
+            left = node(op.text === '+' ? 'add' : 'sub', { left, right }, left.start, right.end);
+        }
+        return left;
+    }
+
+    const approx = peek() && peek().type === 'command' && peek().text === 'approx' ? tokens[pos++] : null;
+    const tree = parseExpression();
+    if (pos < tokens.length) {
+        throw new Error(`Unexpected "${tokens[pos].text}"`);
+    }
+    return approx ? node('approx', { arg: tree }, approx.start, tree.end) : tree;
+}
+
+/**
+ * Whether a LaTeX value is a rounded approximation (\approx 1.26)
+ */
+export function isApproximate(source) {
+    return /^\s*\\approx(?![a-zA-Z])/.test(source || '');
+}
+
+/**
+ * The LaTeX source a node was parsed from, without the braces of a group
+ */
+export function sourceOf(source, tree) {
+    const text = source.slice(tree.start, tree.end);
+    return (tree.braced ? text.slice(1, -1) : text).trim();
+}
+
+/**
+ * Whether a syntax tree depends on the variable
+ */
+export function containsVariable(tree) {
+    if (!tree) return false;
+    if (tree.type === 'variable') return true;
+    return [tree.arg, tree.left, tree.right, tree.base, tree.exponent, tree.index].some(containsVariable);
+}
+
+/**
+ * Real n-th root, defined for negative numbers when n is odd
+ */
+function nthRoot(value, n) {
+    if (value < 0 && Number.isInteger(n) && n % 2 !== 0) return -Math.pow(-value, 1 / n);
+    return Math.pow(value, 1 / n);
+}
+
+/**
+ * Evaluate a syntax tree numerically
+ * @param {Object} tree - Syntax tree from parseLatex
+ * @param {number} x - Value of the variable
+ */
+export function evaluate(tree, x = 0) {
+    switch (tree.type) {
+        case 'number': return toNumber(tree.value);
+        case 'variable': return x;
+        case 'constant':
+            if (tree.name === 'pi') return Math.PI;
+            if (tree.name === 'e') return Math.E;
+            return Infinity;
+        case 'neg': return -evaluate(tree.arg, x);
+        case 'approx': return evaluate(tree.arg, x);
+        case 'add': return evaluate(tree.left, x) + evaluate(tree.right, x);
+        case 'sub': return evaluate(tree.left, x) - evaluate(tree.right, x);
+        case 'mul': return evaluate(tree.left, x) * evaluate(tree.right, x);
+        case 'div': return evaluate(tree.left, x) / evaluate(tree.right, x);
+        case 'pow': return Math.pow(evaluate(tree.base, x), evaluate(tree.exponent, x));
+        case 'func': {
+            const arg = evaluate(tree.arg, x);
+            switch (tree.name) {
+                case 'sqrt': return tree.index ? nthRoot(arg, evaluate(tree.index, x)) : Math.sqrt(arg);
+                case 'ln': return Math.log(arg);
+                case 'log': return Math.log10(arg);
+                case 'exp': return Math.exp(arg);
+                case 'sin': return Math.sin(arg);
+                case 'cos': return Math.cos(arg);
+                case 'tan': return Math.tan(arg);
+                default: return NaN;
+            }
+        }
+        default: return NaN;
+    }
+}
+
+/**
+ * Numeric value of a constant LaTeX expression such as \frac{1}{2}, -\sqrt{3}, \ln 2 or \pi
+ * @returns {number|null} The value (±Infinity for ±\infty), or null when it is empty,
+ * depends on the variable or cannot be parsed
+ */
+export function evaluateLatex(source, variable = 'x') {
+    if (!source || !source.trim()) return null;
+    try {
+        const tree = parseLatex(source, variable);
+        if (containsVariable(tree)) return null;
+        const value = evaluate(tree);
+        return Number.isNaN(value) ? null : value;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Convert a syntax tree into a rational function num(x) / den(x)
+ * Throws if the expression is not a polynomial or rational expression.
+ * @returns {{ num: Array, den: Array }} Polynomials with rational coefficients
+ */
+export function toRationalFunction(tree) {
+    switch (tree.type) {
+        case 'number': return { num: polyConstant(tree.value), den: [ONE] };
+        case 'variable': return { num: polyVariable(), den: [ONE] };
+        case 'neg': {
+            const { num, den } = toRationalFunction(tree.arg);
+            return { num: polySub([], num), den };
+        }
+        case 'add':
+        case 'sub': {
+            const a = toRationalFunction(tree.left);
+            const b = toRationalFunction(tree.right);
+            const combine = tree.type === 'add' ? polyAdd : polySub;
+            return { num: combine(polyMul(a.num, b.den), polyMul(b.num, a.den)), den: polyMul(a.den, b.den) };
+        }
+        case 'mul': {
+            const a = toRationalFunction(tree.left);
+            const b = toRationalFunction(tree.right);
+            return { num: polyMul(a.num, b.num), den: polyMul(a.den, b.den) };
+        }
+        case 'div': {
+            const a = toRationalFunction(tree.left);
+            const b = toRationalFunction(tree.right);
+            if (b.num.length === 0) throw new Error('Division by zero');
+            return { num: polyMul(a.num, b.den), den: polyMul(a.den, b.num) };
+        }
+        case 'pow': {
+            const exponent = toRationalFunction(tree.exponent);
+            if (exponent.num.length > 1 || exponent.den.length > 1) {
+                throw new Error('Exponents must be constant integers');
+            }
+            const value = exponent.num.length === 0
+                ? rational(0)
+                : rational(exponent.num[0].n * exponent.den[0].d, exponent.num[0].d * exponent.den[0].n);
+            if (!isInteger(value)) throw new Error('Exponents must be integers');
+            const base = toRationalFunction(tree.base);
+            const power = Math.abs(value.n);
+            const num = polyPow(base.num, power);
+            const den = polyPow(base.den, power);
+            return value.n < 0 ? { num: den, den: num } : { num, den };
+        }
+        case 'approx':
+            throw new Error('Approximate values cannot be used in exact calculations');
+        case 'constant':
+            throw new Error(`"${tree.name === 'pi' ? '\\pi' : tree.name}" is not supported in rational expressions`);
+        case 'func':
+            throw new Error(`"\\${tree.name}" is not supported: only polynomial and rational expressions can be analysed`);
+        default:
+            throw new Error('Unsupported expression');
+    }
+}
+
+/**
+ * Split a product/quotient into its top-level factors
+ * @returns {Object[]} [{ tree, inDenominator }] in source order
+ */
+export function collectFactors(tree, inDenominator = false) {
+    if (tree.type === 'mul') {
+        return [...collectFactors(tree.left, inDenominator), ...collectFactors(tree.right, inDenominator)];
+    }
+    if (tree.type === 'div') {
+        return [...collectFactors(tree.left, inDenominator), ...collectFactors(tree.right, !inDenominator)];
+    }
+    if (tree.type === 'neg' && !tree.parenthesized) {
+        return [
+            { tree: { type: 'number', value: rational(-1), start: tree.start, end: tree.start + 1 }, inDenominator },
+            ...collectFactors(tree.arg, inDenominator)
+        ];
+    }
+    return [{ tree, inDenominator }];
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { parseLatex, evaluate, evaluateLatex, isApproximate, containsVariable, toRationalFunction } from './mathParser';
+
+describe('parseLatex', () => {
+    it('reads implicit products and fractions', () => {
+        expect(evaluate(parseLatex('2x+1'), 3)).toBe(7);
+        expect(evaluate(parseLatex('\\frac{1}{2}'))).toBe(0.5);
+        expect(evaluate(parseLatex('\\dfrac{3}{4}'))).toBe(0.75);
+        expect(evaluate(parseLatex('2\\sqrt{9}'))).toBe(6);
+    });
+
+    it('tells constant expressions from expressions of the variable', () => {
+        expect(containsVariable(parseLatex('t^2-1', 't'))).toBe(true);
+        expect(containsVariable(parseLatex('\\sqrt{2}+1', 't'))).toBe(false);
+    });
+
+    it('gives the rational function of a fraction', () => {
+        const { num, den } = toRationalFunction(parseLatex('\\frac{x+1}{x-2}'));
+        expect(num.map(c => c.n)).toEqual([1, 1]);
+        expect(den.map(c => c.n)).toEqual([-2, 1]);
+    });
+});
+
+describe('evaluateLatex', () => {
+    it('gives the value of constant expressions', () => {
+        expect(evaluateLatex('\\frac{1}{2}')).toBe(0.5);
+        expect(evaluateLatex('-\\sqrt{4}')).toBe(-2);
+        expect(evaluateLatex('-\\infty')).toBe(-Infinity);
+    });
+
+    it('gives null for the variable, empty cells and errors', () => {
+        expect(evaluateLatex('2x+1', 'x')).toBeNull();
+        expect(evaluateLatex('  ')).toBeNull();
+        expect(evaluateLatex('\\frac{1}')).toBeNull();
+    });
+});
+
+describe('approximate values', () => {
+    it('evaluate to their decimal', () => {
+        expect(evaluate(parseLatex('\\approx 1.26'))).toBe(1.26);
+    });
+
+    it('are recognised from the leading \\approx only', () => {
+        expect(isApproximate('\\approx 1.26')).toBe(true);
+        expect(isApproximate('  \\approx1.2')).toBe(true);
+        expect(isApproximate('\\approxeq 1')).toBe(false);
+        expect(isApproximate('1.26')).toBe(false);
+    });
+
+    it('cannot be used in exact calculations', () => {
+        expect(() => toRationalFunction(parseLatex('x-\\approx 1.26'))).toThrow();
+        expect(() => toRationalFunction(parseLatex('\\approx 1.26'))).toThrow('Approximate values cannot be used in exact calculations');
+    });
+});
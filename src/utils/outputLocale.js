@@ -0,0 +1,136 @@
+/**
+ * Output locale
+ * Conventions used in generated LaTeX: decimal separator, descriptive row labels
+ * ("Signe de $f'(x)$", "Variations de $f$") and interval notation ([a, b) or ]a ; b[),
+ * used by the variation summary ("$f$ est croissante sur $[0\,;2]$.").
+ * Only the output changes; cells are still typed with either separator.
+ * The '' locale writes numbers as typed and uses English labels.
+ */
+
+export const OUTPUT_LOCALES = [
+    { value: '', label: 'As typed' },
+    { value: 'en', label: 'English (1.5, [a, b), sign of f)' },
+    { value: 'fr', label: 'Français (1{,}5, ]a ; b[, signe de f)' }
+];
+
+const LOCALES = {
+    en: {
+        decimalComma: false,
+        sign: (name) => `Sign of $${name}$`,
+        variation: (name) => `Variations of $${name}$`,
+        monotony: (name, up, interval) => `$${name}$ is ${up ? 'increasing' : 'decreasing'} on $${interval}$.`,
+        exercise: 'Exercise',
+        study: (f, variable) => `Let $f(${variable}) = ${f}$. Study the sign of $f'(${variable})$ and the variations of $f$.`,
+        quiz: { instruction: 'Complete the table.', on: 'on', at: 'at', zero: 'zero', doubleBar: 'double bar', neither: 'neither' },
+        interval: (a, b, leftClosed, rightClosed) => `${leftClosed ? '[' : '('}${a}, ${b}${rightClosed ? ']' : ')'}`
+    },
+    fr: {
+        decimalComma: true,
+        sign: (name) => `Signe de $${name}$`,
+        variation: (name) => `Variations de $${name}$`,
+        monotony: (name, up, interval) => `$${name}$ est ${up ? 'croissante' : 'décroissante'} sur $${interval}$.`,
+        exercise: 'Exercice',
+        study: (f, variable) => `Soit $f(${variable}) = ${f}$. Étudier le signe de $f'(${variable})$ et les variations de $f$.`,
+        quiz: { instruction: 'Compléter le tableau.', on: 'sur', at: 'en', zero: 'zéro', doubleBar: 'double barre', neither: 'aucun' },
+        // Outward brackets need \mathopen/\mathclose to be spaced as delimiters
+        interval: (a, b, leftClosed, rightClosed) =>
+            `\\mathopen{${leftClosed ? '[' : ']'}}${a}\\,;${b}\\mathclose{${rightClosed ? ']' : '['}}`
+    }
+};
+
+function getLocale(locale) {
+    return LOCALES[locale] || LOCALES.en;
+}
+
+/**
+ * Write the decimal numbers of a LaTeX string with the locale's separator (1.5 or 1{,}5)
+ */
+export function formatDecimals(latex, locale = '') {
+    if (!latex || !LOCALES[locale]) return latex;
+    return LOCALES[locale].decimalComma
+        ? latex.replace(/(\d)\.(\d)/g, '$1{,}$2')
+        : latex.replace(/(\d)\{,\}(\d)/g, '$1.$2');
+}
+
+/**
+ * Descriptive first-column label of a row (text mode, math in $...$)
+ * @param {'sign' | 'variation'} kind - Sign row or variation row
+ * @param {string} name - Row name, e.g. f'(x); variation rows drop the variable: f(x) -> f
+ * @param {string} variable - The table variable
+ */
+export function describeRow(kind, name, variable = 'x', locale = '') {
+    const strings = getLocale(locale);
+    if (kind === 'sign') return strings.sign(name);
+    return strings.variation(withoutVariable(name, variable));
+}
+
+// f(x) -> f
+function withoutVariable(name, variable) {
+    const functionName = name.replace(new RegExp(`\\s*\\(\\s*${variable.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\)\\s*$`), '');
+    return functionName || name;
+}
+
+/**
+ * Heading of a numbered exercise ("Exercise 3")
+ */
+export function exerciseHeading(number, locale = '') {
+    return `${getLocale(locale).exercise} ${number}`;
+}
+
+/**
+ * Statement of a generated exercise: study of f, given as LaTeX
+ */
+export function studyStatement(functionLatex, variable = 'x', locale = '') {
+    return getLocale(locale).study(formatDecimals(functionLatex, locale), variable);
+}
+
+/**
+ * Words of quiz questions (quizExport.js): instruction, "on" an interval, "at" a point
+ * and the choices for a point of a sign row
+ */
+export function quizStrings(locale = '') {
+    return getLocale(locale).quiz;
+}
+
+/**
+ * An interval in the locale's notation (LaTeX math); infinite ends are always open
+ */
+export function formatInterval(a, b, { leftClosed = false, rightClosed = false } = {}, locale = '') {
+    const isInfinite = (end) => /\\infty/.test(end);
+    return getLocale(locale).interval(
+        formatDecimals(a, locale),
+        formatDecimals(b, locale),
+        leftClosed && !isInfinite(a),
+        rightClosed && !isInfinite(b)
+    );
+}
+
+/**
+ * Sentences giving the direction of a variation row on each interval where it is
+ * monotonic: runs of arrows in the same direction are merged unless a double bar splits
+ * them, and ends are closed except at infinities and double bars
+ * @param {Object} row - Variation row { name, arrows, pointTypes }
+ * @param {string[]} points - Table points (LaTeX)
+ * @returns {string[]} Sentences in text mode, math in $...$
+ */
+export function describeVariations(row, points, variable = 'x', locale = '') {
+    const { arrows = [], pointTypes = [] } = row;
+    const name = withoutVariable(row.name || 'f', variable);
+    const sentences = [];
+
+    let start = 0;
+    arrows.forEach((arrow, i) => {
+        const next = arrows[i + 1];
+        if (next === arrow && pointTypes[i + 1] !== 'd') return;
+        if (arrow === 'up' || arrow === 'down') {
+            const interval = formatInterval(points[start], points[i + 1], {
+                leftClosed: pointTypes[start] !== 'd',
+                rightClosed: pointTypes[i + 1] !== 'd'
+            }, locale);
+            sentences.push(getLocale(locale).monotony(name, arrow === 'up', interval));
+        }
+        start = i + 1;
+    });
+
+    return sentences;
+}
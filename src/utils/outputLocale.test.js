@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { formatDecimals, formatInterval, describeRow, describeVariations } from './outputLocale';
+
+describe('output locale', () => {
+    it('writes decimal commas in French', () => {
+        expect(formatDecimals('1.5', 'fr')).toBe('1{,}5');
+        expect(formatDecimals('1.5')).toBe('1.5');
+    });
+
+    it('writes intervals in each convention', () => {
+        expect(formatInterval('0', '1')).toBe('(0, 1)');
+        expect(formatInterval('0', '+\\infty', { leftClosed: true }, 'fr')).toBe('\\mathopen{[}0\\,;+\\infty\\mathclose{[}');
+    });
+
+    it('describes rows', () => {
+        expect(describeRow('sign', "f'(x)", 'x', 'fr')).toBe("Signe de $f'(x)$");
+    });
+});
+
+describe('describeVariations', () => {
+    const row = { name: 'f', arrows: ['down', 'up'] };
+
+    it('merges arrows in the same direction unless a double bar splits them', () => {
+        const split = { name: 'f(x)', arrows: ['down', 'down', 'up'], pointTypes: ['n', 'n', 'd', 'n'] };
+        expect(describeVariations(split, ['-\\infty', '0', '1', '+\\infty'], 'x', 'en')).toEqual([
+            '$f$ is decreasing on $(-\\infty, 1)$.',
+            '$f$ is increasing on $(1, +\\infty)$.'
+        ]);
+    });
+    const points = ['-\\infty', '0', '+\\infty'];
+
+    it('gives one sentence per monotony interval', () => {
+        expect(describeVariations(row, points, 'x', 'en')).toEqual([
+            '$f$ is decreasing on $(-\\infty, 0]$.',
+            '$f$ is increasing on $[0, +\\infty)$.'
+        ]);
+    });
+
+    it('uses the French interval notation', () => {
+        expect(describeVariations(row, points, 'x', 'fr')).toEqual([
+            '$f$ est décroissante sur $\\mathopen{]}-\\infty\\,;0\\mathclose{]}$.',
+            '$f$ est croissante sur $\\mathopen{[}0\\,;+\\infty\\mathclose{[}$.'
+        ]);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Point columns
+ * Points are free-form LaTeX: this evaluates them, checks their order, and moves
+ * every per-point and per-interval array of the table when columns are sorted,
+ * inserted or removed.
+ *
+ * A column order lists, for each new point, the index of the old point it comes
+ * from, or null for a new point: [0, 2, 1, 3] swaps two points, [0, 1, null, 2]
+ * inserts one before the last.
+ */
+
+import { evaluateLatex } from './mathParser';
+
+function sameValue(a, b) {
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return a === b;
+    return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Numeric value of each point, null when it cannot be evaluated
+ */
+export function evaluatePoints(points, variable = 'x') {
+    return points.map(point => evaluateLatex(point, variable));
+}
+
+/**
+ * Points that break the strictly increasing order
+ * A point is a duplicate if it equals any point before it, and decreasing if it is
+ * below the last point before it that has a value.
+ * @returns {{ index: number, previous: number, kind: 'duplicate' | 'decreasing' }[]}
+ */
+export function findOrderProblems(points, variable = 'x') {
+    const values = evaluatePoints(points, variable);
+    const problems = [];
+    let previous = -1;
+
+    values.forEach((value, index) => {
+        if (value === null) return;
+        const duplicate = values.findIndex((other, k) => k < index && other !== null && sameValue(value, other));
+        if (duplicate >= 0) {
+            problems.push({ index, previous: duplicate, kind: 'duplicate' });
+        } else if (previous >= 0 && value < values[previous]) {
+            problems.push({ index, previous, kind: 'decreasing' });
+        }
+        previous = index;
+    });
+
+    return problems;
+}
+
+/**
+ * Column order that sorts the points and drops repeated ones (the first one is kept)
+ * @returns {number[]|null} null when some point has no numeric value
+ */
+export function sortedPointOrder(points, variable = 'x') {
+    const values = evaluatePoints(points, variable);
+    if (values.some(value => value === null)) return null;
+
+    const sorted = values.map((_, index) => index).sort((a, b) => values[a] - values[b] || a - b);
+    return sorted.filter((index, position) => position === 0 || !sameValue(values[index], values[sorted[position - 1]]));
+}
+
+/**
+ * Old interval a new interval takes its content from
+ * An interval follows its left end point; after the old last point (or a new
+ * point) it is the one before the right end point, which splits an interval in two
+ * when a point is inserted in it.
+ */
+function intervalSource(order, index, oldPointCount) {
+    const left = order[index];
+    const right = order[index + 1];
+    if (left !== null && left < oldPointCount - 1) return left;
+    if (right !== null && right > 0) return right - 1;
+    if (left !== null && left > 0) return left - 1;
+    return null;
+}
+
+/**
+ * Move a per-point array to a new column order
+ */
+export function remapPointArray(array, order, filler) {
+    return order.map(index => (index === null ? filler : array?.[index] ?? filler));
+}
+
+/**
+ * Move a per-interval array to a new column order
+ */
+export function remapIntervalArray(array, order, oldPointCount, filler) {
+    return order.slice(1).map((_, index) => {
+        const source = intervalSource(order, index, oldPointCount);
+        return source === null ? filler : array?.[source] ?? filler;
+    });
+}
+
+/**
+ * Move the signs and point types of a sign row to a new column order
+ */
+export function remapExpression(expr, order, oldPointCount) {
+    const moved = {
+        ...expr,
+        signs: remapIntervalArray(expr.signs, order, oldPointCount, '+'),
+        pointTypes: remapPointArray(expr.pointTypes, order, 'n')
+    };
+    // Student version flags (see studentCopy.js)
+    if (expr.hiddenSigns) moved.hiddenSigns = remapIntervalArray(expr.hiddenSigns, order, oldPointCount, false);
+    if (expr.hiddenPoints) moved.hiddenPoints = remapPointArray(expr.hiddenPoints, order, false);
+    return moved;
+}
+
+/**
+ * Move every array of a variation row to a new column order
+ */
+export function remapVariationRow(row, order, oldPointCount) {
+    const moved = {
+        ...row,
+        arrows: remapIntervalArray(row.arrows, order, oldPointCount, 'up'),
+        values: remapPointArray(row.values, order, ''),
+        leftValues: remapPointArray(row.leftValues, order, ''),
+        pointTypes: remapPointArray(row.pointTypes, order, 'n'),
+        intervalValues: remapIntervalArray(row.intervalValues, order, oldPointCount, null),
+        slopes: row.slopes ? remapPointArray(row.slopes, order, '') : null
+    };
+    if (row.hiddenArrows) moved.hiddenArrows = remapIntervalArray(row.hiddenArrows, order, oldPointCount, false);
+    if (row.hiddenValues) moved.hiddenValues = remapPointArray(row.hiddenValues, order, false);
+    return moved;
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { findOrderProblems, sortedPointOrder, remapExpression, remapVariationRow } from './pointColumns';
+
+describe('point order', () => {
+    it('finds decreasing and repeated points', () => {
+        expect(findOrderProblems(['-\\infty', '\\frac{1}{2}', '0', '0.5', '+\\infty'])).toEqual([
+            { index: 2, previous: 1, kind: 'decreasing' },
+            { index: 3, previous: 1, kind: 'duplicate' }
+        ]);
+    });
+
+    it('skips points without a value', () => {
+        expect(findOrderProblems(['-\\infty', 'a', '1', '+\\infty'])).toEqual([]);
+    });
+
+    it('sorts the points and drops repeated ones', () => {
+        expect(sortedPointOrder(['-\\infty', '2', '\\sqrt{1}', '1', '+\\infty'])).toEqual([0, 2, 1, 4]);
+        expect(sortedPointOrder(['-\\infty', 'a', '+\\infty'])).toBeNull();
+    });
+});
+
+describe('column remapping', () => {
+    it('moves signs with their left point and point types with their point', () => {
+        const expr = { name: 'u', signs: ['-', '+', '-'], pointTypes: ['n', 'z', 'd', 'n'] };
+        expect(remapExpression(expr, [0, 2, 1, 3], 4)).toEqual({ ...expr, signs: ['-', '-', '+'], pointTypes: ['n', 'd', 'z', 'n'] });
+    });
+
+    it('splits an interval in two when a point is inserted in it', () => {
+        const row = {
+            arrows: ['up', 'down'],
+            values: ['0', '2', '1'],
+            leftValues: ['', '', ''],
+            pointTypes: ['n', 'n', 'n'],
+            intervalValues: [null, null],
+            slopes: null
+        };
+        const moved = remapVariationRow(row, [0, 1, null, 2], 3);
+        expect(moved.arrows).toEqual(['up', 'down', 'down']);
+        expect(moved.values).toEqual(['0', '2', '', '1']);
+        expect(moved.pointTypes).toEqual(['n', 'n', 'n', 'n']);
+    });
+});
@@ -0,0 +1,327 @@
+/**
+ * Polynomials with exact rational coefficients
+ * A polynomial is an array of rationals, index = power of the variable
+ */
+
+import {
+    rational, ZERO, ONE, add, mul, div, neg, isZero, toNumber, toLatex
+} from './rational';
+
+/**
+ * Remove trailing zero coefficients
+ */
+export function polyTrim(p) {
+    const result = [...p];
+    while (result.length > 0 && isZero(result[result.length - 1])) result.pop();
+    return result;
+}
+
+export function polyConstant(c) {
+    return polyTrim([c]);
+}
+
+/**
+ * The polynomial "x"
+ */
+export function polyVariable() {
+    return [ZERO, ONE];
+}
+
+/**
+ * Degree of a polynomial (-Infinity for the zero polynomial)
+ */
+export function polyDegree(p) {
+    const trimmed = polyTrim(p);
+    return trimmed.length === 0 ? -Infinity : trimmed.length - 1;
+}
+
+export function polyLeading(p) {
+    const trimmed = polyTrim(p);
+    return trimmed.length === 0 ? ZERO : trimmed[trimmed.length - 1];
+}
+
+export function polyAdd(a, b) {
+    const result = [];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        result.push(add(a[i] || ZERO, b[i] || ZERO));
+    }
+    return polyTrim(result);
+}
+
+export function polyScale(p, c) {
+    return polyTrim(p.map(coef => mul(coef, c)));
+}
+
+export function polySub(a, b) {
+    return polyAdd(a, polyScale(b, rational(-1)));
+}
+
+export function polyMul(a, b) {
+    if (a.length === 0 || b.length === 0) return [];
+    const result = Array(a.length + b.length - 1).fill(ZERO);
+    a.forEach((ca, i) => {
+        b.forEach((cb, j) => {
+            result[i + j] = add(result[i + j], mul(ca, cb));
+        });
+    });
+    return polyTrim(result);
+}
+
+export function polyPow(p, exponent) {
+    let result = [ONE];
+    for (let i = 0; i < exponent; i++) result = polyMul(result, p);
+    return result;
+}
+
+/**
+ * Evaluate exactly at a rational point (Horner's scheme)
+ */
+export function polyEval(p, x) {
+    let result = ZERO;
+    for (let i = p.length - 1; i >= 0; i--) {
+        result = add(mul(result, x), p[i]);
+    }
+    return result;
+}
+
+/**
+ * Evaluate numerically at a floating point value
+ */
+export function polyEvalNumber(p, x) {
+    let result = 0;
+    for (let i = p.length - 1; i >= 0; i--) {
+        result = result * x + toNumber(p[i]);
+    }
+    return result;
+}
+
+export function polyDerivative(p) {
+    return polyTrim(p.slice(1).map((coef, i) => mul(coef, rational(i + 1))));
+}
+
+/**
+ * Euclidean division: a = quotient * b + remainder
+ */
+export function polyDivide(a, b) {
+    const divisor = polyTrim(b);
+    if (divisor.length === 0) throw new Error('Division by the zero polynomial');
+
+    let remainder = polyTrim(a);
+    const quotient = Array(Math.max(0, remainder.length - divisor.length + 1)).fill(ZERO);
+    const lead = divisor[divisor.length - 1];
+
+    while (remainder.length >= divisor.length) {
+        const shift = remainder.length - divisor.length;
+        const factor = div(remainder[remainder.length - 1], lead);
+        quotient[shift] = factor;
+        const subtrahend = Array(shift).fill(ZERO).concat(divisor.map(c => mul(c, factor)));
+        remainder = polySub(remainder, subtrahend);
+    }
+
+    return { quotient: polyTrim(quotient), remainder };
+}
+
+/**
+ * Greatest common divisor, up to a constant factor (Euclid's algorithm)
+ */
+export function polyGcd(a, b) {
+    let [p, q] = [polyTrim(a), polyTrim(b)];
+    while (q.length > 0) {
+        [p, q] = [q, polyDivide(p, q).remainder];
+    }
+    return p;
+}
+
+/**
+ * Format a polynomial as LaTeX, highest power first, e.g. 2x^2-x+\frac{1}{2}
+ */
+export function polyToLatex(p, variable = 'x') {
+    const terms = [];
+    for (let i = p.length - 1; i >= 0; i--) {
+        if (isZero(p[i])) continue;
+        const negative = p[i].n < 0;
+        const magnitude = toLatex({ n: Math.abs(p[i].n), d: p[i].d });
+        const power = i === 0 ? '' : i === 1 ? variable : `${variable}^${i < 10 ? i : `{${i}}`}`;
+        const coefficient = power && magnitude === '1' ? '' : magnitude;
+        const sign = negative ? '-' : terms.length > 0 ? '+' : '';
+        terms.push(`${sign}${coefficient}${power}`);
+    }
+    return terms.length > 0 ? terms.join('') : '0';
+}
+
+function gcdInt(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+function divisors(n) {
+    const result = [];
+    const abs = Math.abs(n);
+    for (let i = 1; i * i <= abs; i++) {
+        if (abs % i === 0) {
+            result.push(i);
+            if (i * i !== abs) result.push(abs / i);
+        }
+    }
+    return result;
+}
+
+/**
+ * Scale a polynomial so that all coefficients are integers
+ */
+function toIntegerCoefficients(p) {
+    const lcm = p.reduce((acc, c) => (acc * c.d) / gcdInt(acc, c.d), 1);
+    return p.map(c => (c.n * lcm) / c.d);
+}
+
+/**
+ * Split sqrt(n) into k * sqrt(m) with m square-free
+ */
+export function simplifySqrt(n) {
+    let k = 1;
+    let m = n;
+    for (let f = 2; f * f <= m; f++) {
+        while (m % (f * f) === 0) {
+            k *= f;
+            m /= f * f;
+        }
+    }
+    return { k, m };
+}
+
+/**
+ * Format (p + q*sqrt(m)) / den as LaTeX
+ */
+export function formatSurd(p, q, m, den) {
+    const absQ = Math.abs(q);
+    const sqrtPart = `${absQ === 1 ? '' : absQ}\\sqrt{${m}}`;
+
+    if (p === 0) {
+        const sign = q < 0 ? '-' : '';
+        return den === 1 ? `${sign}${sqrtPart}` : `${sign}\\frac{${sqrtPart}}{${den}}`;
+    }
+
+    const numerator = `${p}${q < 0 ? '-' : '+'}${sqrtPart}`;
+    return den === 1 ? numerator : `\\frac{${numerator}}{${den}}`;
+}
+
+/**
+ * Roots of an integer quadratic a x^2 + b x + c, exact when possible
+ */
+function quadraticRoots([c, b, a]) {
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return [];
+
+    const { k, m } = simplifySqrt(discriminant);
+    return [-1, 1]
+        .map(sign => {
+            let p = -b;
+            let q = sign * k;
+            let den = 2 * a;
+            const g = gcdInt(gcdInt(p, q), den) || 1;
+            p /= g;
+            q /= g;
+            den /= g;
+            if (den < 0) {
+                p = -p;
+                q = -q;
+                den = -den;
+            }
+            return {
+                value: (p + q * Math.sqrt(m)) / den,
+                latex: formatSurd(p, q, m, den),
+                exact: null,
+                approx: false,
+                multiplicity: 1
+            };
+        })
+        .sort((r1, r2) => r1.value - r2.value);
+}
+
+/**
+ * Find real roots numerically by isolating them between the roots of the derivative
+ * The LaTeX is the value rounded to two decimals, flagged approx
+ */
+function numericRoots(coefficients) {
+    const p = coefficients.map(c => rational(c));
+    const degree = coefficients.length - 1;
+    const lead = Math.abs(coefficients[degree]);
+    const bound = 1 + Math.max(...coefficients.slice(0, degree).map(c => Math.abs(c) / lead));
+
+    const critical = degree > 1
+        ? numericRoots(toIntegerCoefficients(polyDerivative(p))).map(r => r.value)
+        : [];
+    const stops = [-bound, ...critical, bound];
+    const f = x => polyEvalNumber(p, x);
+    const roots = [];
+
+    for (let i = 0; i < stops.length - 1; i++) {
+        let lo = stops[i];
+        let hi = stops[i + 1];
+        if (Math.abs(f(lo)) < 1e-12 && i > 0) {
+            roots.push({ value: lo, multiplicity: 2 });
+            continue;
+        }
+        if (Math.sign(f(lo)) === Math.sign(f(hi))) continue;
+        for (let iter = 0; iter < 200; iter++) {
+            const mid = (lo + hi) / 2;
+            if (Math.sign(f(mid)) === Math.sign(f(lo))) lo = mid;
+            else hi = mid;
+        }
+        roots.push({ value: (lo + hi) / 2, multiplicity: 1 });
+    }
+
+    return roots.map(r => ({
+        ...r,
+        latex: String(Number(r.value.toFixed(2))),
+        exact: null,
+        approx: true
+    }));
+}
+
+/**
+ * Real roots of a polynomial, sorted in increasing order
+ * Each root: { value: number, latex: string, exact: rational|null, approx: boolean, multiplicity: number }
+ * Rational roots are exact, quadratic factors give square roots (exact: null),
+ * anything of higher degree falls back to rounded decimals (approx: true).
+ */
+export function polyRealRoots(poly) {
+    let p = polyTrim(poly);
+    if (p.length <= 1) return [];
+
+    const roots = [];
+
+    // Rational root theorem on the integer version of p
+    let changed = true;
+    while (changed && p.length > 1) {
+        changed = false;
+        const coefficients = toIntegerCoefficients(p);
+        const constant = coefficients.find(c => c !== 0);
+        const candidates = isZero(p[0])
+            ? [ZERO]
+            : divisors(constant).flatMap(num =>
+                divisors(coefficients[coefficients.length - 1]).flatMap(den =>
+                    [rational(num, den), rational(-num, den)]));
+
+        for (const candidate of candidates) {
+            if (isZero(polyEval(p, candidate))) {
+                const existing = roots.find(r => r.exact && r.exact.n === candidate.n && r.exact.d === candidate.d);
+                if (existing) existing.multiplicity += 1;
+                else roots.push({ value: toNumber(candidate), latex: toLatex(candidate), exact: candidate, approx: false, multiplicity: 1 });
+                p = polyDivide(p, [neg(candidate), ONE]).quotient;
+                changed = true;
+                break;
+            }
+        }
+    }
+
+    if (p.length === 3) {
+        roots.push(...quadraticRoots(toIntegerCoefficients(p)));
+    } else if (p.length > 3) {
+        roots.push(...numericRoots(toIntegerCoefficients(p)));
+    }
+
+    return roots.sort((r1, r2) => r1.value - r2.value);
+}
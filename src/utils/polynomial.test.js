@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { rational } from './rational';
+import { polyRealRoots } from './polynomial';
+
+// Coefficients from the constant term up
+const poly = (...coefficients) => coefficients.map(c => rational(c));
+
+describe('polyRealRoots', () => {
+    it('finds rational roots exactly', () => {
+        const roots = polyRealRoots(poly(-6, 1, 1));
+        expect(roots.map(root => root.latex)).toEqual(['-3', '2']);
+        expect(roots.every(root => !root.approx)).toBe(true);
+    });
+
+    it('gives the square roots of quadratics as surds', () => {
+        const roots = polyRealRoots(poly(-2, 0, 1));
+        expect(roots.map(root => root.latex)).toEqual(['-\\sqrt{2}', '\\sqrt{2}']);
+        expect(roots.every(root => !root.approx)).toBe(true);
+    });
+
+    it('flags the roots found numerically as approximate', () => {
+        const [root] = polyRealRoots(poly(-2, 0, 0, 1));
+        expect(root.approx).toBe(true);
+        expect(root.latex).toBe('1.26');
+        expect(root.value).toBeCloseTo(Math.cbrt(2), 9);
+    });
+
+    it('counts multiple roots once with their multiplicity', () => {
+        const roots = polyRealRoots(poly(1, -2, 1));
+        expect(roots).toHaveLength(1);
+        expect(roots[0].multiplicity).toBe(2);
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Practice mode
+ * A student fills in a copy of a table whose hidden cells (studentCopy.js) are blank,
+ * then checks it against the reference: every hidden sign, zero or double bar, arrow
+ * and value gets a result in the linter's format, with the extra 'ok' severity:
+ *   { severity: 'ok' | 'error' | 'warning', message, target }
+ * Values are compared exactly when both are rationals or surds (0.5, 0{,}5 and \frac{1}{2}
+ * are the same answer, 1.4142 is not \sqrt{2}), as numbers when both only evaluate
+ * (\ln 2, \pi), otherwise as LaTeX without spaces.
+ */
+
+import { getVariationRows } from './variationRows';
+import { hasHiddenCells, setRowHidden, makeStudentCopy } from './studentCopy';
+import { parseLatex, evaluateLatex } from './mathParser';
+import { surdAdd, surdNeg, treeToSurd } from './surd';
+import { isZero } from './rational';
+
+/**
+ * Start practising a table
+ * A table without hidden cells is practised with every row hidden.
+ * @returns {{ reference: Object, table: Object }} The reference with its hidden cells,
+ * and the table to fill in: hidden cells blank, no computed rows and no derivative link
+ */
+export function createPractice(tableData) {
+    const pointCount = (tableData.points || []).length;
+    const expressions = tableData.expressions || [];
+    const variationRows = getVariationRows(tableData);
+    const reference = hasHiddenCells(tableData)
+        ? { ...tableData, variationRows }
+        : {
+            ...tableData,
+            expressions: expressions.map(expr => setRowHidden(expr, pointCount, true)),
+            variationRows: variationRows.map(row => setRowHidden(row, pointCount, true))
+        };
+
+    const blank = makeStudentCopy(reference);
+    const table = {
+        ...reference,
+        expressions: blank.expressions.map(expr => ({ ...expr, computed: undefined, variationLink: undefined })),
+        // Blank arrows are '' rather than the student copy's invisible arrows
+        variationRows: blank.variationRows.map(row => ({
+            ...row,
+            arrows: row.arrows.map((arrow, j) => (row.hiddenArrows?.[j] && arrow !== 'h' ? '' : arrow)),
+            invisibleArrows: undefined
+        }))
+    };
+    return { reference, table };
+}
+
+/**
+ * The table being filled in, ready for the generators: arrows not chosen yet are left out
+ */
+export function practicePreview(tableData) {
+    return makeStudentCopy({
+        ...tableData,
+        expressions: (tableData.expressions || []).map(expr => ({ ...expr, hiddenSigns: undefined, hiddenPoints: undefined })),
+        variationRows: getVariationRows(tableData).map(row => ({
+            ...row,
+            hiddenArrows: (row.arrows || []).map(arrow => !arrow),
+            hiddenValues: undefined
+        }))
+    });
+}
+
+// Point types of a sign row that are answers
+const MARKS = new Set(['z', 'd']);
+
+function normalizeValue(value) {
+    return (value || '')
+        .replace(/\$/g, '')
+        .replace(/(\d)(?:\{,\}|,)(\d)/g, '$1.$2')
+        .replace(/\s+/g, '');
+}
+
+/**
+ * Exact value of a LaTeX value, or null when it is not a rational or a surd
+ */
+function exactValue(source, variable) {
+    try {
+        return treeToSurd(parseLatex(source, variable));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether two LaTeX values are the same answer
+ */
+export function sameValue(answer, expected, variable = 'x') {
+    const a = normalizeValue(answer);
+    const b = normalizeValue(expected);
+    if (a === b) return true;
+
+    const exactA = exactValue(a, variable);
+    const exactB = exactValue(b, variable);
+    if (exactA && exactB) {
+        // Surds with different square roots are never equal
+        const difference = surdAdd(exactA, surdNeg(exactB));
+        return difference !== null && isZero(difference.a) && isZero(difference.b);
+    }
+
+    const x = evaluateLatex(a, variable);
+    const y = evaluateLatex(b, variable);
+    if (x === null || y === null) return false;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return x === y;
+    return Math.abs(x - y) <= 1e-9 * Math.max(1, Math.abs(y));
+}
+
+function result(correct, filled, target, what) {
+    if (correct) return { severity: 'ok', target, message: `${what}: correct` };
+    if (!filled) return { severity: 'warning', target, message: `${what}: not filled in` };
+    return { severity: 'error', target, message: `${what}: wrong` };
+}
+
+/**
+ * Check the answers of a table against the reference
+ * @param {Object} reference - The reference returned by createPractice
+ * @param {Object} answer - The table filled in by the student
+ * @returns {{ issues: Object[], correct: number, total: number }}
+ */
+export function checkPracticeAnswers(reference, answer) {
+    const { variable = 'x', points = [] } = reference;
+    const interval = (i) => `${points[i]} → ${points[i + 1]}`;
+    const issues = [];
+
+    if ((answer.points || []).length !== points.length) {
+        issues.push({ severity: 'error', target: { area: 'points', point: 0 }, message: 'The points were changed: stop and start the practice again' });
+        return { issues, correct: 0, total: 1 };
+    }
+
+    (reference.expressions || []).forEach((expr, row) => {
+        const given = answer.expressions?.[row] || {};
+        (expr.hiddenSigns || []).forEach((hidden, i) => {
+            if (!hidden) return;
+            const sign = given.signs?.[i] || '';
+            issues.push(result(sign === expr.signs[i], sign !== '', { area: 'sign', row, interval: i }, `${expr.name} on ${interval(i)}`));
+        });
+        (expr.hiddenPoints || []).forEach((hidden, i) => {
+            if (!hidden || i === 0 || i === points.length - 1) return;
+            // Only zeros and double bars are answers: 'n' (the blank cell) and 't' both mean neither
+            const expected = MARKS.has(expr.pointTypes[i]) ? expr.pointTypes[i] : 'n';
+            const type = MARKS.has(given.pointTypes?.[i]) ? given.pointTypes[i] : 'n';
+            if (expected === 'n' && type === 'n') return;
+            issues.push(result(type === expected, type !== 'n', { area: 'sign', row, point: i }, `${expr.name} at ${points[i]}`));
+        });
+    });
+
+    const answerRows = getVariationRows(answer);
+    reference.variationRows.forEach((row, rowIndex) => {
+        const given = answerRows[rowIndex] || {};
+        (row.hiddenArrows || []).forEach((hidden, i) => {
+            // A forbidden zone is not an answer
+            if (!hidden || row.arrows[i] === 'h') return;
+            const arrow = given.arrows?.[i] || '';
+            issues.push(result(arrow === row.arrows[i], arrow !== '', { area: 'variation', row: rowIndex, interval: i }, `${row.name} on ${interval(i)}`));
+        });
+        (row.hiddenValues || []).forEach((hidden, i) => {
+            if (!hidden) return;
+            // Both sides of a double bar, the value only elsewhere
+            const keys = row.pointTypes?.[i] === 'd'
+                ? [...(i > 0 ? ['leftValues'] : []), ...(i < points.length - 1 ? ['values'] : [])]
+                : ['values'];
+            // A blank left value of a double bar is the value itself
+            const valueOf = (source, key) => (key === 'leftValues' ? source.leftValues?.[i] || source.values?.[i] : source[key]?.[i]) || '';
+            const expected = keys.map(key => valueOf(row, key));
+            const answered = keys.map(key => valueOf(given, key));
+            if (expected.every(value => !value)) return;
+            issues.push(result(
+                answered.every((value, k) => sameValue(value, expected[k], variable)),
+                answered.every(Boolean),
+                { area: 'variation', row: rowIndex, point: i },
+                `${row.name} at ${points[i]}`
+            ));
+        });
+    });
+
+    return { issues, correct: issues.filter(issue => issue.severity === 'ok').length, total: issues.length };
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { createPractice, practicePreview, checkPracticeAnswers, sameValue } from './practice';
+
+const TABLE = {
+    variable: 'x',
+    points: ['-\\infty', '-1', '1', '+\\infty'],
+    tableType: 'both',
+    expressions: [{ name: "f'(x)", signs: ['+', '-', '+'], pointTypes: ['n', 'z', 'z', 'n'] }],
+    variationRows: [{
+        name: 'f(x)',
+        arrows: ['up', 'down', 'up'],
+        values: ['-\\infty', '2', '\\frac{1}{2}', '+\\infty'],
+        leftValues: ['', '', '', ''],
+        pointTypes: ['n', 'n', 'n', 'n']
+    }]
+};
+
+describe('createPractice', () => {
+    it('practises every cell of a table without hidden cells', () => {
+        const { table } = createPractice(TABLE);
+        expect(table.expressions[0].signs).toEqual(['', '', '']);
+        expect(table.variationRows[0].arrows).toEqual(['', '', '']);
+        expect(table.variationRows[0].values).toEqual(['', '', '', '']);
+        expect(table.variationRows[0].invisibleArrows).toBeUndefined();
+    });
+
+    it('keeps forbidden zones out of the answers', () => {
+        const row = { ...TABLE.variationRows[0], arrows: ['up', 'h', 'up'], hiddenArrows: [true, true, false] };
+        const { reference, table } = createPractice({ ...TABLE, tableType: 'variation', variationRows: [row] });
+        expect(table.variationRows[0].arrows).toEqual(['', 'h', 'up']);
+        expect(checkPracticeAnswers(reference, table).total).toBe(1);
+    });
+});
+
+describe('practicePreview', () => {
+    it('draws the arrows not chosen yet invisibly', () => {
+        const { table } = createPractice(TABLE);
+        const answered = { ...table, variationRows: [{ ...table.variationRows[0], arrows: ['up', '', ''] }] };
+        expect(practicePreview(answered).variationRows[0].invisibleArrows).toEqual([false, true, true]);
+    });
+});
+
+describe('checkPracticeAnswers', () => {
+    it('reports the blank cells as not filled in', () => {
+        const { reference, table } = createPractice(TABLE);
+        const { correct, total, issues } = checkPracticeAnswers(reference, table);
+        expect(correct).toBe(0);
+        expect(total).toBe(12);
+        expect(issues.every(issue => issue.severity === 'warning')).toBe(true);
+    });
+
+    it('accepts the reference and tells right from wrong', () => {
+        const { reference } = createPractice(TABLE);
+        expect(checkPracticeAnswers(reference, reference)).toMatchObject({ correct: 12, total: 12 });
+
+        const answer = { ...reference, variationRows: [{ ...reference.variationRows[0], values: ['-\\infty', '2', '0{,}5', '-\\infty'] }] };
+        const { correct, issues } = checkPracticeAnswers(reference, answer);
+        expect(correct).toBe(11);
+        expect(issues.find(issue => issue.severity === 'error').message).toBe('f(x) at +\\infty: wrong');
+    });
+
+    it('checks a blank left value of a double bar against the value', () => {
+        const row = { ...TABLE.variationRows[0], values: ['-\\infty', '2', '0', '+\\infty'], pointTypes: ['n', 'n', 'd', 'n'], hiddenValues: [false, false, true, false] };
+        const reference = { ...TABLE, tableType: 'variation', variationRows: [row] };
+        const answer = (leftValues) => ({ ...reference, variationRows: [{ ...row, leftValues }] });
+        expect(checkPracticeAnswers(reference, answer(['', '', '', ''])).correct).toBe(1);
+        expect(checkPracticeAnswers(reference, answer(['', '', '0', ''])).correct).toBe(1);
+        expect(checkPracticeAnswers(reference, answer(['', '', '1', ''])).issues[0].severity).toBe('error');
+    });
+
+    it('stops when the points were changed', () => {
+        const { reference, table } = createPractice(TABLE);
+        const { issues } = checkPracticeAnswers(reference, { ...table, points: ['-\\infty', '+\\infty'] });
+        expect(issues[0].target).toEqual({ area: 'points', point: 0 });
+    });
+});
+
+describe('sameValue', () => {
+    it('compares numbers by value and other answers as LaTeX', () => {
+        expect(sameValue('0,5', '\\frac{1}{2}')).toBe(true);
+        expect(sameValue('0{,}5', '0.5')).toBe(true);
+        expect(sameValue('+\\infty', '+ \\infty')).toBe(true);
+        expect(sameValue('2', '3')).toBe(false);
+    });
+
+    it('compares rationals and surds exactly', () => {
+        expect(sameValue('\\frac{2}{\\sqrt{2}}', '\\sqrt{2}')).toBe(true);
+        expect(sameValue('\\frac{1+\\sqrt{5}}{2}', '0.5+\\frac{\\sqrt{5}}{2}')).toBe(true);
+        expect(sameValue('1.4142135624', '\\sqrt{2}')).toBe(false);
+        expect(sameValue('0.3333333333', '\\frac{1}{3}')).toBe(false);
+        expect(sameValue('\\sqrt{2}', '\\sqrt{3}')).toBe(false);
+    });
+
+    it('falls back to the numeric value for other constants', () => {
+        expect(sameValue('\\ln 2', '\\ln(2)')).toBe(true);
+        expect(sameValue('\\approx 1.41', '\\sqrt{2}')).toBe(false);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Preamble profiles
+ * Named preamble settings (document class, fonts, language, AMS packages, macros)
+ * table style (tkzTabSetup colours, arrows, hatching) and output conventions
+ * (decimal separator, descriptive labels) saved in localStorage.
+ * The active profile is used by the preview and by every downloaded document.
+ */
+
+import { DEFAULT_PREAMBLE, DEFAULT_TABLE_STYLE } from './latexGenerator';
+
+const PROFILES_KEY = 'mathtable.preambleProfiles';
+const ACTIVE_PROFILE_KEY = 'mathtable.activePreambleProfile';
+
+export const DOCUMENT_CLASSES = [
+    { value: 'standalone', label: 'standalone (cropped to the table)' },
+    { value: 'article', label: 'article' }
+];
+
+// Packages the LaTeX server can load (see the Dockerfile)
+export const FONT_PACKAGES = [
+    { value: '', label: 'Computer Modern (default)' },
+    { value: 'lmodern', label: 'Latin Modern (lmodern)' },
+    { value: 'mathpazo', label: 'Palatino (mathpazo)' },
+    { value: 'mathptmx', label: 'Times (mathptmx)' }
+];
+
+export const BABEL_LANGUAGES = [
+    { value: '', label: 'None' },
+    { value: 'english', label: 'English' },
+    { value: 'french', label: 'French' },
+    { value: 'german', label: 'German' },
+    { value: 'spanish', label: 'Spanish' },
+    { value: 'italian', label: 'Italian' },
+    { value: 'portuguese', label: 'Portuguese' }
+];
+
+export const HATCH_PATTERNS = [
+    'north west lines',
+    'north east lines',
+    'crosshatch',
+    'horizontal lines',
+    'vertical lines',
+    'dots',
+    'crosshatch dots'
+];
+
+export const ARROW_TIPS = [
+    { value: '', label: 'tkz-tab default' },
+    { value: 'latex', label: 'LaTeX (filled)' },
+    { value: 'stealth', label: 'Stealth' },
+    { value: 'to', label: 'Open' }
+];
+
+// House styles to start from
+export const TABLE_STYLE_PRESETS = [
+    { name: 'Plain', style: DEFAULT_TABLE_STYLE },
+    {
+        name: 'Greyscale (print)',
+        style: {
+            ...DEFAULT_TABLE_STYLE,
+            variableRowColor: 'gray!15',
+            hatchPattern: 'north east lines',
+            hatchColor: 'gray'
+        }
+    },
+    {
+        name: 'Colour (slides)',
+        style: {
+            ...DEFAULT_TABLE_STYLE,
+            lineColor: 'blue!50!black',
+            variableRowColor: 'blue!10',
+            arrowTip: 'stealth',
+            hatchColor: 'red!60',
+            positiveColor: 'green!50!black',
+            negativeColor: 'red'
+        }
+    }
+];
+
+/**
+ * A new profile: the given settings on top of the defaults
+ */
+export function createPreambleProfile(name, settings = {}) {
+    return {
+        ...DEFAULT_PREAMBLE,
+        ...settings,
+        tableStyle: { ...DEFAULT_TABLE_STYLE, ...settings.tableStyle },
+        name
+    };
+}
+
+/**
+ * Saved profiles, or a single default profile
+ */
+export function loadPreambleProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+        if (Array.isArray(saved) && saved.length > 0) {
+            return saved.map(profile => createPreambleProfile(String(profile.name || 'Default'), profile));
+        }
+    } catch {
+        // Corrupt storage: start over from the default profile
+    }
+    return [createPreambleProfile('Default')];
+}
+
+export function savePreambleProfiles(profiles) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+export function loadActivePreambleName() {
+    return localStorage.getItem(ACTIVE_PROFILE_KEY) || 'Default';
+}
+
+export function saveActivePreambleName(name) {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+}
+
+/**
+ * The active profile, falling back to the first one
+ */
+export function findPreambleProfile(profiles, name) {
+    return profiles.find(profile => profile.name === name) || profiles[0];
+}
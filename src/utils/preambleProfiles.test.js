@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    createPreambleProfile,
+    loadPreambleProfiles,
+    savePreambleProfiles,
+    findPreambleProfile,
+    TABLE_STYLE_PRESETS
+} from './preambleProfiles';
+import { generatePreamble, generateFullDocument } from './latexGenerator';
+
+// In-memory localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+beforeEach(() => {
+    vi.stubGlobal('localStorage', createStorage());
+});
+
+describe('preamble profiles', () => {
+    it('start from a single default profile', () => {
+        const profiles = loadPreambleProfiles();
+        expect(profiles).toHaveLength(1);
+        expect(profiles[0]).toMatchObject({ name: 'Default', documentClass: 'standalone', fontPackage: '' });
+    });
+
+    it('are saved and loaded with the defaults filled in', () => {
+        savePreambleProfiles([{ name: 'Course', babelLanguage: 'french' }]);
+        const [profile] = loadPreambleProfiles();
+        expect(profile).toEqual(createPreambleProfile('Course', { babelLanguage: 'french' }));
+        expect(profile.documentClass).toBe('standalone');
+        expect(profile.tableStyle.hatchPattern).toBe('north west lines');
+    });
+
+    it('fall back to the default profile when the storage is corrupt', () => {
+        localStorage.setItem('mathtable.preambleProfiles', '{');
+        expect(loadPreambleProfiles().map(profile => profile.name)).toEqual(['Default']);
+    });
+
+    it('fall back to the first profile for an unknown name', () => {
+        const profiles = [createPreambleProfile('A'), createPreambleProfile('B')];
+        expect(findPreambleProfile(profiles, 'B').name).toBe('B');
+        expect(findPreambleProfile(profiles, 'C').name).toBe('A');
+    });
+});
+
+describe('generatePreamble', () => {
+    it('loads the profile packages and keeps babel shorthands out of TikZ', () => {
+        const preamble = generatePreamble(createPreambleProfile('Course', {
+            documentClass: 'article',
+            fontPackage: 'lmodern',
+            babelLanguage: 'french',
+            amsmath: true,
+            macros: '\\newcommand{\\R}{\\mathbb{R}}'
+        }));
+        expect(preamble.split('\n')).toEqual([
+            '\\documentclass{article}',
+            '\\usepackage[utf8]{inputenc}',
+            '\\usepackage[T1]{fontenc}',
+            '\\usepackage{lmodern}',
+            '\\usepackage[french]{babel}',
+            '\\usepackage{amsmath}',
+            '\\pagestyle{empty}',
+            '\\usepackage{tikz}',
+            '\\usetikzlibrary{patterns,babel}',
+            '\\usepackage{tkz-tab}',
+            '\\tikzset{h style/.style={pattern=north west lines}}',
+            '\\newcommand{\\R}{\\mathbb{R}}'
+        ]);
+    });
+});
+
+describe('table styles', () => {
+    const tableData = {
+        variable: 'x',
+        points: ['-\\infty', '0', '+\\infty'],
+        tableType: 'both',
+        expressions: [{ name: "f'(x)", signs: ['-', '+'], pointTypes: ['n', 'z', 'n'] }],
+        variationRows: [{ name: 'f', arrows: ['down', 'up'], values: ['+\\infty', '0', '+\\infty'], leftValues: ['', '', ''], pointTypes: ['n', 'n', 'n'] }]
+    };
+    const slides = TABLE_STYLE_PRESETS.find(preset => preset.name === 'Colour (slides)').style;
+    const document = generateFullDocument(tableData, createPreambleProfile('Slides', {
+        tableStyle: { ...slides, firstColumnColor: 'gray!10', doubleBarDistance: '2pt' }
+    }));
+
+    it('define their colours once in the preamble', () => {
+        expect(document).toContain('\\colorlet{tabLine}{blue!50!black}\n\\colorlet{tabVariableRow}{blue!10}\n\\colorlet{tabFirstColumn}{gray!10}');
+        expect(document).toContain('\\tikzset{h style/.style={pattern=north west lines, pattern color=tabHatch}}');
+    });
+
+    it('use the colour names in the picture', () => {
+        expect(document).toContain('\\begin{tikzpicture}[draw=tabLine, >=stealth]\n\\tkzTabSetup[doubledistance=2pt]');
+        expect(document).toContain('\\tkzTabInit[lgt=2,espcl=2,deltacl=0.5,color,colorC=tabFirstColumn,colorL=tabVariableRow,colorV=tabVariableRow]');
+        expect(document).toContain('\\tkzTabLine{, \\textcolor{tabNegative}{$-$}, z, \\textcolor{tabPositive}{$+$}, }');
+        // babel French makes ! active in the document body
+        expect(document.slice(document.indexOf('\\begin{document}'))).not.toContain('!');
+    });
+
+    it('leave plain tables unchanged', () => {
+        const plain = generateFullDocument(tableData, createPreambleProfile('Plain'));
+        expect(plain).not.toContain('colorlet');
+        expect(plain).toContain('\\begin{tikzpicture}\n\\tkzTabInit[lgt=2,espcl=2,deltacl=0.5]{');
+    });
+});
@@ -0,0 +1,250 @@
+/**
+ * Quiz export
+ * Turns a table into a gap-fill question for a learning platform: a Moodle XML cloze
+ * question or an IMS QTI 2.1 item. The question shows the rendered student copy (a PNG
+ * from /api/render) followed by one gap per hidden cell; a table without hidden cells
+ * gets a gap for every cell, as in the practice mode. Math is written \( ... \) for the
+ * platform's MathJax filter.
+ * Gaps: { prompt, choices: [{ label, correct }] } or { prompt, answers: string[] }
+ */
+
+import { generateFullDocument } from './latexGenerator';
+import { makeStudentCopy } from './studentCopy';
+import { createPractice } from './practice';
+import { evaluateLatex } from './mathParser';
+import { formatInterval, quizStrings } from './outputLocale';
+
+export const QUIZ_FORMATS = [
+    { value: 'moodle', label: 'Moodle XML (cloze)', extension: 'xml', fileSuffix: '_moodle' },
+    { value: 'qti', label: 'IMS QTI 2.1', extension: 'xml', fileSuffix: '_qti' }
+];
+
+const IMAGE_NAME = 'table.png';
+
+/**
+ * LaTeX document of the picture shown in the question: the student copy
+ */
+export function generateQuizImageDocument(tableData, preamble = {}) {
+    return generateFullDocument(makeStudentCopy(createPractice(tableData).reference), preamble);
+}
+
+/**
+ * Answers accepted for a value: as typed, and for numbers their decimal and a/b forms,
+ * for infinities +inf and the ∞ sign
+ */
+function acceptedAnswers(value, variable) {
+    const latex = value.replace(/\$/g, '').trim();
+    const infinity = latex.match(/^([+-]?)\\infty$/);
+    if (infinity) {
+        const sign = infinity[1] || '+';
+        const forms = [`${sign}\\infty`, `${sign}∞`, `${sign}inf`];
+        return sign === '+' ? [...forms, '\\infty', '∞', 'inf'] : forms;
+    }
+
+    const answers = [latex];
+    const number = evaluateLatex(latex, variable);
+    if (number !== null && Number.isFinite(number)) {
+        const decimal = Number(number.toFixed(6));
+        if (Math.abs(decimal - number) < 1e-12) answers.push(String(decimal), String(decimal).replace('.', ','));
+        const fraction = latex.match(/^(-?)\\[dt]?frac\{(\d+)\}\{(\d+)\}$/);
+        if (fraction) answers.push(`${fraction[1]}${fraction[2]}/${fraction[3]}`);
+    }
+    return [...new Set(answers)];
+}
+
+/**
+ * Prompt of a value: f(a), or a one-sided limit at a double bar or at ±∞
+ */
+function valuePrompt(name, variable, point, side) {
+    if (/\\infty/.test(point)) return `\\(\\lim_{${variable} \\to ${point}} ${name}\\)`;
+    if (side) return `\\(\\lim_{${variable} \\to ${point}^{${side}}} ${name}\\)`;
+    const functionName = name.match(new RegExp(`^(.*)\\(\\s*${variable.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\)$`));
+    return functionName ? `\\(${functionName[1]}(${point})\\)` : `\\(${name}(${point})\\)`;
+}
+
+/**
+ * Gaps of a table, in table order
+ */
+export function collectGaps(tableData, locale = '') {
+    const { reference } = createPractice(tableData);
+    const { variable = 'x', points = [], tableType = 'both' } = reference;
+    const strings = quizStrings(locale);
+    const last = points.length - 1;
+    const on = (i) => `${strings.on} \\(${formatInterval(points[i], points[i + 1], {}, locale)}\\)`;
+    const choices = (options, correct) => options.map(([value, label]) => ({ label, correct: value === correct }));
+    const gaps = [];
+
+    if (tableType !== 'variation') {
+        (reference.expressions || []).forEach(expr => {
+            const name = `\\(${expr.name}\\)`;
+            (expr.signs || []).forEach((sign, i) => {
+                if (!expr.hiddenSigns?.[i] || (sign !== '+' && sign !== '-')) return;
+                gaps.push({ prompt: `${name} ${on(i)}`, choices: choices([['+', '+'], ['-', '−']], sign) });
+            });
+            (expr.pointTypes || []).forEach((type, i) => {
+                if (!expr.hiddenPoints?.[i] || i === 0 || i === last) return;
+                gaps.push({
+                    prompt: `${name} ${strings.at} \\(${variable} = ${points[i]}\\)`,
+                    choices: choices([['z', strings.zero], ['d', strings.doubleBar], ['n', strings.neither]], type === 'z' || type === 'd' ? type : 'n')
+                });
+            });
+        });
+    }
+
+    if (tableType !== 'sign') {
+        reference.variationRows.forEach(row => {
+            (row.arrows || []).forEach((arrow, i) => {
+                if (!row.hiddenArrows?.[i] || arrow === 'h') return;
+                gaps.push({ prompt: `\\(${row.name}\\) ${on(i)}`, choices: choices([['up', '↗'], ['down', '↘']], arrow) });
+            });
+            (row.values || []).forEach((_, i) => {
+                if (!row.hiddenValues?.[i]) return;
+                const cells = row.pointTypes?.[i] === 'd'
+                    ? [...(i > 0 ? [[row.leftValues[i], '-']] : []), ...(i < last ? [[row.values[i], '+']] : [])]
+                    : [[row.values[i], null]];
+                cells.forEach(([value, side]) => {
+                    if (!value) return;
+                    gaps.push({ prompt: valuePrompt(row.name, variable, points[i], side), answers: acceptedAnswers(value, variable) });
+                });
+            });
+        });
+    }
+
+    return gaps;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Characters with a meaning in a cloze answer: } # ~ / " \
+function escapeCloze(text) {
+    return text.replace(/[}#~/"\\]/g, '\\$&');
+}
+
+function clozeGap(gap) {
+    if (gap.choices) {
+        const options = gap.choices.map(choice => `${choice.correct ? '=' : ''}${escapeCloze(escapeXml(choice.label))}`);
+        return `{1:MULTICHOICE:${options.join('~')}}`;
+    }
+    return `{1:SHORTANSWER:${gap.answers.map(answer => `=${escapeCloze(escapeXml(answer))}`).join('~')}}`;
+}
+
+/**
+ * Moodle XML with one cloze (embedded answers) question
+ * @param {Object[]} gaps - collectGaps output
+ * @param {Object} options - { name, text, image } where image is a data: URL, another URL or null
+ */
+export function generateMoodleXml(gaps, { name, text, image }) {
+    const embedded = image?.startsWith('data:image/png;base64,');
+    const src = embedded ? `@@PLUGINFILE@@/${IMAGE_NAME}` : image;
+    const body = `<p>${escapeXml(text)}</p>
+${image ? `<p><img src="${escapeXml(src)}" alt="Table"></p>\n` : ''}<ul>
+${gaps.map(gap => `<li>${escapeXml(gap.prompt)}: ${clozeGap(gap)}</li>`).join('\n')}
+</ul>`;
+    const file = embedded
+        ? `\n      <file name="${IMAGE_NAME}" path="/" encoding="base64">${image.slice(image.indexOf(',') + 1)}</file>`
+        : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="cloze">
+    <name>
+      <text>${escapeXml(name)}</text>
+    </name>
+    <questiontext format="html">
+      <text><![CDATA[${body}]]></text>${file}
+    </questiontext>
+    <generalfeedback format="html">
+      <text></text>
+    </generalfeedback>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+  </question>
+</quiz>
+`;
+}
+
+/**
+ * IMS QTI 2.1 assessment item: inline choices and text entries, one point per gap
+ * The image is kept as its URL (a data: URL for the local server's rendering).
+ */
+export function generateQtiItem(gaps, { name, text, image }) {
+    const id = (i) => `RESPONSE_${i + 1}`;
+    const choiceId = (i, k) => `CHOICE_${i + 1}_${k + 1}`;
+
+    const declarations = gaps.map((gap, i) => {
+        const entries = gap.choices
+            ? gap.choices.map((choice, k) => (choice.correct ? choiceId(i, k) : null)).filter(Boolean)
+            : gap.answers;
+        return `  <responseDeclaration identifier="${id(i)}" cardinality="single" baseType="${gap.choices ? 'identifier' : 'string'}">
+    <correctResponse>
+      <value>${escapeXml(entries[0])}</value>
+    </correctResponse>
+    <mapping defaultValue="0">
+${entries.map(entry => `      <mapEntry mapKey="${escapeXml(entry)}" mappedValue="1"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`;
+    });
+
+    const interaction = (gap, i) => (gap.choices
+        ? `<inlineChoiceInteraction responseIdentifier="${id(i)}" shuffle="false">${gap.choices.map((choice, k) => (
+            `<inlineChoice identifier="${choiceId(i, k)}">${escapeXml(choice.label)}</inlineChoice>`
+        )).join('')}</inlineChoiceInteraction>`
+        : `<textEntryInteraction responseIdentifier="${id(i)}" expectedLength="8"/>`);
+
+    const score = gaps.length > 0
+        ? `
+  <responseProcessing>
+    <setOutcomeValue identifier="SCORE">
+      <sum>
+${gaps.map((_, i) => `        <mapResponse identifier="${id(i)}"/>`).join('\n')}
+      </sum>
+    </setOutcomeValue>
+  </responseProcessing>`
+        : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+  identifier="table-question" title="${escapeXml(name)}" adaptive="false" timeDependent="false">
+${declarations.join('\n')}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>${gaps.length}</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <itemBody>
+    <p>${escapeXml(text)}</p>${image ? `\n    <p><img src="${escapeXml(image)}" alt="Table"/></p>` : ''}
+    <ul>
+${gaps.map((gap, i) => `      <li>${escapeXml(gap.prompt)}: ${interaction(gap, i)}</li>`).join('\n')}
+    </ul>
+  </itemBody>${score}
+</assessmentItem>
+`;
+}
+
+/**
+ * Generate a quiz question
+ * @param {string} format - QUIZ_FORMATS value
+ * @param {Object} tableData - The table configuration
+ * @param {Object} options - { name, text, image }
+ * @param {string} locale - Output locale of the prompts
+ */
+export function generateQuiz(format, tableData, options, locale = '') {
+    const gaps = collectGaps(tableData, locale);
+    switch (format) {
+        case 'moodle':
+            return generateMoodleXml(gaps, options);
+        case 'qti':
+            return generateQtiItem(gaps, options);
+        default:
+            throw new Error(`Unknown quiz format: ${format}`);
+    }
+}
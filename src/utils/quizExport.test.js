@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { collectGaps, generateQuiz, generateQuizImageDocument } from './quizExport';
+
+const TABLE = {
+    variable: 'x',
+    points: ['-\\infty', '-1', '1', '+\\infty'],
+    tableType: 'both',
+    expressions: [{ name: "f'(x)", signs: ['+', '-', '+'], pointTypes: ['n', 'z', 'z', 'n'] }],
+    variationRows: [{
+        name: 'f(x)',
+        arrows: ['up', 'down', 'up'],
+        values: ['-\\infty', '2', '\\frac{1}{2}', '+\\infty'],
+        leftValues: ['', '', '', ''],
+        pointTypes: ['n', 'n', 'n', 'n']
+    }]
+};
+
+describe('collectGaps', () => {
+    it('gives a gap for every cell of a table without hidden cells', () => {
+        const gaps = collectGaps(TABLE);
+        expect(gaps).toHaveLength(12);
+        expect(gaps[0]).toEqual({
+            prompt: "\\(f'(x)\\) on \\((-\\infty, -1)\\)",
+            choices: [{ label: '+', correct: true }, { label: '−', correct: false }]
+        });
+        expect(gaps[10]).toEqual({ prompt: '\\(f(1)\\)', answers: ['\\frac{1}{2}', '0.5', '0,5', '1/2'] });
+    });
+
+    it('gives a gap per hidden cell only', () => {
+        const variationRows = [{ ...TABLE.variationRows[0], hiddenValues: [false, true, false, false] }];
+        expect(collectGaps({ ...TABLE, variationRows })).toEqual([{ prompt: '\\(f(-1)\\)', answers: ['2'] }]);
+    });
+});
+
+describe('generateQuiz', () => {
+    it('embeds a PNG data URL as a Moodle file', () => {
+        const xml = generateQuiz('moodle', TABLE, { name: 'Table', text: 'Fill in', image: 'data:image/png;base64,AAAA' });
+        expect(xml).toContain('<img src="@@PLUGINFILE@@/table.png" alt="Table">');
+        expect(xml).toContain('<file name="table.png" path="/" encoding="base64">AAAA</file>');
+        expect(xml).toContain('{1:SHORTANSWER:=\\\\frac{1\\}{2\\}~=0.5~=0,5~=1\\/2}');
+    });
+
+    it('leaves the picture out without one', () => {
+        const xml = generateQuiz('qti', TABLE, { name: 'Table', text: 'Fill in', image: null });
+        expect(xml).not.toContain('<img');
+        expect(xml).toContain('<value>12</value>');
+    });
+
+    it('rejects unknown formats', () => {
+        expect(() => generateQuiz('gift', TABLE, { name: 'Table', text: '' })).toThrow('Unknown quiz format: gift');
+    });
+});
+
+describe('generateQuizImageDocument', () => {
+    it('pictures the blank table with its arrows and forbidden zones in place', () => {
+        const variationRows = [{ ...TABLE.variationRows[0], arrows: ['up', 'h', 'up'] }];
+        const document = generateQuizImageDocument({ ...TABLE, tableType: 'variation', variationRows });
+        expect(document).toContain('\\tkzTabVar{-/ , +H/ , -/ , +/ }');
+        expect(document).toContain('\\def\\tabHiddenArrows{{1,1,0,0,0}}');
+    });
+});
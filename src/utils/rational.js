@@ -0,0 +1,100 @@
+/**
+ * Exact rational arithmetic
+ * Rationals are plain objects { n, d } with d > 0 and gcd(n, d) = 1
+ */
+
+function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Create a normalized rational n/d
+ */
+export function rational(n, d = 1) {
+    if (d === 0) throw new Error('Division by zero');
+    if (!Number.isInteger(n) || !Number.isInteger(d)) {
+        throw new Error('Rational parts must be integers');
+    }
+    const g = gcd(n, d) || 1;
+    const sign = d < 0 ? -1 : 1;
+    return { n: (sign * n) / g || 0, d: (sign * d) / g };
+}
+
+/**
+ * Convert a finite decimal number (e.g. 0.25) to an exact rational
+ */
+export function fromNumber(value) {
+    if (Number.isInteger(value)) return rational(value);
+    const [, decimals = ''] = String(value).split('.');
+    const scale = 10 ** decimals.length;
+    return rational(Math.round(value * scale), scale);
+}
+
+export const ZERO = rational(0);
+export const ONE = rational(1);
+
+export function add(a, b) {
+    return rational(a.n * b.d + b.n * a.d, a.d * b.d);
+}
+
+export function sub(a, b) {
+    return rational(a.n * b.d - b.n * a.d, a.d * b.d);
+}
+
+export function mul(a, b) {
+    return rational(a.n * b.n, a.d * b.d);
+}
+
+export function div(a, b) {
+    if (b.n === 0) throw new Error('Division by zero');
+    return rational(a.n * b.d, a.d * b.n);
+}
+
+export function neg(a) {
+    return rational(-a.n, a.d);
+}
+
+/**
+ * Raise a rational to a (possibly negative) integer power
+ */
+export function pow(a, exponent) {
+    if (!Number.isInteger(exponent)) throw new Error('Only integer exponents are supported');
+    let result = ONE;
+    for (let i = 0; i < Math.abs(exponent); i++) {
+        result = mul(result, a);
+    }
+    return exponent < 0 ? div(ONE, result) : result;
+}
+
+export function isZero(a) {
+    return a.n === 0;
+}
+
+export function isInteger(a) {
+    return a.d === 1;
+}
+
+/**
+ * Compare two rationals: negative if a < b, 0 if equal, positive if a > b
+ */
+export function compare(a, b) {
+    return a.n * b.d - b.n * a.d;
+}
+
+export function toNumber(a) {
+    return a.n / a.d;
+}
+
+/**
+ * Format a rational as LaTeX, e.g. -\frac{3}{2}
+ */
+export function toLatex(a) {
+    if (a.d === 1) return String(a.n);
+    const sign = a.n < 0 ? '-' : '';
+    return `${sign}\\frac{${Math.abs(a.n)}}{${a.d}}`;
+}
@@ -0,0 +1,130 @@
+/**
+ * Sign table builder
+ * Builds points and factor rows from a polynomial or rational expression
+ */
+
+import { parseLatex, collectFactors, containsVariable, toRationalFunction, evaluate, sourceOf } from './mathParser';
+import { polyRealRoots } from './polynomial';
+
+const EPSILON = 1e-9;
+
+/**
+ * Zeros and poles of a syntax tree, as polyRealRoots results
+ */
+function findZerosAndPoles(tree) {
+    const { num, den } = toRationalFunction(tree);
+    const poles = polyRealRoots(den);
+    const zeros = polyRealRoots(num).filter(z => !poles.some(p => Math.abs(p.value - z.value) < EPSILON));
+    return { zeros, poles };
+}
+
+/**
+ * Merge roots from several factors into one sorted list without duplicates
+ */
+function mergeCriticalValues(roots) {
+    const merged = [];
+    [...roots].sort((a, b) => a.value - b.value).forEach(root => {
+        const existing = merged.find(m => Math.abs(m.value - root.value) < EPSILON);
+        if (!existing) merged.push(root);
+        else if (!existing.exact && root.exact) Object.assign(existing, root);
+    });
+    return merged;
+}
+
+/**
+ * Pick one test value inside each interval delimited by the critical values
+ */
+function intervalSamples(criticalValues) {
+    if (criticalValues.length === 0) return [0];
+    const samples = [criticalValues[0] - 1];
+    for (let i = 0; i < criticalValues.length - 1; i++) {
+        samples.push((criticalValues[i] + criticalValues[i + 1]) / 2);
+    }
+    samples.push(criticalValues[criticalValues.length - 1] + 1);
+    return samples;
+}
+
+function signAt(tree, x) {
+    const value = evaluate(tree, x);
+    if (!Number.isFinite(value)) return 'h';
+    return value < 0 ? '-' : '+';
+}
+
+/**
+ * Build a sign row for a tree over the given critical values
+ */
+function buildRow(name, tree, criticalValues, zeros, poles) {
+    const isAt = (list, value) => list.some(r => Math.abs(r.value - value) < EPSILON);
+
+    const pointTypes = ['n', ...criticalValues.map(value => {
+        if (isAt(poles, value)) return 'd';
+        if (isAt(zeros, value)) return 'z';
+        return 't';
+    }), 'n'];
+
+    return {
+        name,
+        signs: intervalSamples(criticalValues).map(x => signAt(tree, x)),
+        pointTypes
+    };
+}
+
+/**
+ * A critical value as a point: roots with no exact form are written \approx 1.26
+ */
+function pointLatex(root) {
+    return root.approx ? `\\approx ${root.latex}` : root.latex;
+}
+
+/**
+ * Build a sign table from a polynomial or rational expression
+ * e.g. \frac{(t+1)(t-4)}{t^2-9} gives rows (t+1), (t-4), t^2-9 and the quotient itself
+ * @param {string} latex - The expression in LaTeX
+ * @param {string} variable - The variable name
+ * @returns {{ points: string[], expressions: Object[] }}
+ */
+export function buildSignTable(latex, variable = 'x') {
+    const tree = parseLatex(latex, variable);
+    if (!containsVariable(tree)) {
+        throw new Error(`The expression does not depend on ${variable}`);
+    }
+
+    const allFactors = collectFactors(tree);
+    const factors = allFactors.filter(f => containsVariable(f.tree));
+    const analysed = factors.map(f => ({ ...f, ...findZerosAndPoles(f.tree) }));
+    const whole = findZerosAndPoles(tree);
+
+    const critical = mergeCriticalValues([
+        ...analysed.flatMap(f => [...f.zeros, ...f.poles]),
+        ...whole.zeros,
+        ...whole.poles
+    ]);
+    const criticalValues = critical.map(c => c.value);
+
+    const expressions = [];
+    if (allFactors.length > 1) {
+        analysed.forEach(f => {
+            const name = sourceOf(latex, f.tree);
+            expressions.push(buildRow(name, f.tree, criticalValues, f.zeros, f.poles));
+        });
+    }
+    const productRow = buildRow(latex.trim(), tree, criticalValues, whole.zeros, whole.poles);
+
+    // Link the last row to its factor rows, unless a negative constant
+    // factor (e.g. -2(x-1)) makes it more than a plain product/quotient
+    const constantSign = allFactors
+        .filter(f => !containsVariable(f.tree))
+        .reduce((sign, f) => sign * Math.sign(evaluate(f.tree)), 1);
+    if (allFactors.length > 1 && constantSign > 0) {
+        productRow.computed = {
+            numerator: analysed.map((f, i) => (f.inDenominator ? null : i)).filter(i => i !== null),
+            denominator: analysed.map((f, i) => (f.inDenominator ? i : null)).filter(i => i !== null)
+        };
+    }
+    expressions.push(productRow);
+
+    return {
+        points: ['-\\infty', ...critical.map(pointLatex), '+\\infty'],
+        expressions
+    };
+}
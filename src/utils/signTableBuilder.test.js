@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { buildSignTable } from './signTableBuilder';
+
+describe('buildSignTable', () => {
+    it('builds one row per factor and the quotient', () => {
+        const { points, expressions } = buildSignTable('\\frac{(x+1)(x-4)}{x^2-9}');
+        expect(points).toEqual(['-\\infty', '-3', '-1', '3', '4', '+\\infty']);
+        expect(expressions.map(expr => expr.name)).toEqual(['(x+1)', '(x-4)', 'x^2-9', '\\frac{(x+1)(x-4)}{x^2-9}']);
+
+        const quotient = expressions[3];
+        expect(quotient.signs).toEqual(['+', '-', '+', '-', '+']);
+        expect(quotient.pointTypes).toEqual(['n', 'd', 'z', 'd', 'z', 'n']);
+    });
+
+    it('writes the roots without an exact form as approximations', () => {
+        const { points, expressions } = buildSignTable('x^3-2');
+        expect(points).toEqual(['-\\infty', '\\approx 1.26', '+\\infty']);
+        expect(expressions[0].signs).toEqual(['-', '+']);
+    });
+
+    it('uses the given variable', () => {
+        expect(buildSignTable('t-1', 't').points).toEqual(['-\\infty', '1', '+\\infty']);
+        expect(() => buildSignTable('t-1', 'x')).toThrow('Unknown symbol "t"');
+        expect(() => buildSignTable('4', 'x')).toThrow('does not depend on x');
+    });
+});
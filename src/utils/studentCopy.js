@@ -0,0 +1,113 @@
+/**
+ * Student copy and answer key
+ * Cells marked "hide in student version" in the editor are stored on their row:
+ *   sign row:      hiddenSigns (per interval), hiddenPoints (per point: zero, double bar...)
+ *   variation row: hiddenArrows (per interval), hiddenValues (per point)
+ * Both transformations return a table model for generateFullDocument: the student
+ * copy keeps the points, row labels and frame and blanks the hidden cells, the answer
+ * key is the complete table with the hidden content in the answer colour.
+ */
+
+import { getVariationRows } from './variationRows';
+import { toLatexSymbol } from './latexGenerator';
+
+// A plain colour name: xcolor's ! is an active character with French babel
+export const ANSWER_COLOR = 'blue';
+
+const FLAG_KEYS = ['hiddenSigns', 'hiddenPoints', 'hiddenArrows', 'hiddenValues'];
+
+/**
+ * Whether any cell of the table is hidden in the student version
+ */
+export function hasHiddenCells(tableData) {
+    const rows = [...(tableData.expressions || []), ...getVariationRows(tableData)];
+    return rows.some(row => FLAG_KEYS.some(key => (row[key] || []).some(Boolean)));
+}
+
+/**
+ * Whether every cell of a row is hidden
+ * @param {Object} row - Sign row or variation row
+ * @param {number} pointCount - Number of points of the table
+ */
+export function isRowHidden(row, pointCount) {
+    const [intervalKey, pointKey] = row.arrows ? ['hiddenArrows', 'hiddenValues'] : ['hiddenSigns', 'hiddenPoints'];
+    const all = (flags, count) => count > 0 && Array.from({ length: count }, (_, i) => !!flags?.[i]).every(Boolean);
+    return all(row[intervalKey], pointCount - 1) && all(row[pointKey], pointCount);
+}
+
+/**
+ * The row with every cell hidden, or every cell shown
+ */
+export function setRowHidden(row, pointCount, hidden) {
+    const [intervalKey, pointKey] = row.arrows ? ['hiddenArrows', 'hiddenValues'] : ['hiddenSigns', 'hiddenPoints'];
+    return {
+        ...row,
+        [intervalKey]: Array(Math.max(0, pointCount - 1)).fill(hidden),
+        [pointKey]: Array(pointCount).fill(hidden)
+    };
+}
+
+function blankSignRow(expr) {
+    const { signs = [], pointTypes = [], hiddenSigns = [], hiddenPoints = [] } = expr;
+    return {
+        ...expr,
+        signs: signs.map((sign, i) => (hiddenSigns[i] ? '' : sign)),
+        pointTypes: pointTypes.map((type, i) => (hiddenPoints[i] ? 'n' : type))
+    };
+}
+
+/**
+ * Hidden arrows stay in the row and are flagged in invisibleArrows, which the generator
+ * draws invisibly: the nodes, the values between hidden arrows and the real forbidden
+ * zones keep their place
+ */
+function blankVariationRow(row) {
+    const { arrows = [], values = [], leftValues = [], pointTypes = [], intervalValues = [], hiddenArrows = [], hiddenValues = [] } = row;
+    const hasHiddenArrows = arrows.some((arrow, i) => hiddenArrows[i] && arrow !== 'h');
+    return {
+        ...row,
+        values: values.map((value, i) => (hiddenValues[i] ? '' : value)),
+        leftValues: leftValues.map((value, i) => (hiddenValues[i] ? '' : value)),
+        pointTypes: pointTypes.map((type, i) => (hiddenValues[i] && type === 'i' ? 'n' : type)),
+        intervalValues: intervalValues.map((annotation, i) => (hiddenArrows[i] ? null : annotation)),
+        invisibleArrows: hasHiddenArrows ? arrows.map((_, i) => !!hiddenArrows[i]) : undefined
+    };
+}
+
+/**
+ * Student version: the hidden cells are left blank
+ */
+export function makeStudentCopy(tableData) {
+    return {
+        ...tableData,
+        expressions: (tableData.expressions || []).map(blankSignRow),
+        variationRows: getVariationRows(tableData).map(blankVariationRow)
+    };
+}
+
+const colored = (value, color) => (value ? `\\textcolor{${color}}{${toLatexSymbol(value)}}` : value);
+
+/**
+ * Answer key: the complete table, hidden signs and values in the answer colour and
+ * hidden zeros and double bars framed in it (answerMarks)
+ */
+export function makeAnswerKey(tableData, color = ANSWER_COLOR) {
+    return {
+        ...tableData,
+        expressions: (tableData.expressions || []).map(expr => {
+            const marks = (expr.pointTypes || []).map((type, i) => !!expr.hiddenPoints?.[i] && (type === 'z' || type === 'd'));
+            return {
+                ...expr,
+                signs: (expr.signs || []).map((sign, i) => (
+                    expr.hiddenSigns?.[i] && (sign === '+' || sign === '-') ? colored(`$${sign}$`, color) : sign
+                )),
+                answerMarks: marks.some(Boolean) ? { color, points: marks } : undefined
+            };
+        }),
+        variationRows: getVariationRows(tableData).map(row => ({
+            ...row,
+            values: (row.values || []).map((value, i) => (row.hiddenValues?.[i] ? colored(value, color) : value)),
+            leftValues: (row.leftValues || []).map((value, i) => (row.hiddenValues?.[i] ? colored(value, color) : value))
+        }))
+    };
+}
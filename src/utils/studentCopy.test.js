@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { hasHiddenCells, isRowHidden, setRowHidden, makeStudentCopy, makeAnswerKey } from './studentCopy';
+import { generateTikzPicture } from './latexGenerator';
+
+const TABLE = {
+    variable: 'x',
+    points: ['-\\infty', '-1', '1', '+\\infty'],
+    tableType: 'both',
+    layoutConfig: { lgt: 2, espcl: 2, deltacl: 0.5 },
+    expressions: [{ name: "f'(x)", signs: ['+', '-', '+'], pointTypes: ['n', 'z', 'd', 'n'] }],
+    variationRows: [{
+        name: 'f',
+        arrows: ['up', 'down', 'up'],
+        values: ['-\\infty', '2', '+\\infty', '+\\infty'],
+        leftValues: ['', '', '-\\infty', ''],
+        pointTypes: ['n', 'n', 'd', 'n']
+    }]
+};
+
+const allHidden = (tableData) => ({
+    ...tableData,
+    expressions: tableData.expressions.map(expr => setRowHidden(expr, tableData.points.length, true)),
+    variationRows: tableData.variationRows.map(row => setRowHidden(row, tableData.points.length, true))
+});
+
+describe('hidden cells', () => {
+    it('are found on any row', () => {
+        expect(hasHiddenCells(TABLE)).toBe(false);
+        expect(hasHiddenCells(allHidden(TABLE))).toBe(true);
+    });
+
+    it('hide a whole row', () => {
+        const row = setRowHidden(TABLE.variationRows[0], 4, true);
+        expect(row.hiddenArrows).toEqual([true, true, true]);
+        expect(row.hiddenValues).toEqual([true, true, true, true]);
+        expect(isRowHidden(row, 4)).toBe(true);
+        expect(isRowHidden({ ...row, hiddenValues: [true, false, true, true] }, 4)).toBe(false);
+    });
+});
+
+describe('makeStudentCopy', () => {
+    it('blanks the hidden signs, zeros, double bars and values', () => {
+        const copy = makeStudentCopy(allHidden(TABLE));
+        expect(copy.expressions[0].signs).toEqual(['', '', '']);
+        expect(copy.expressions[0].pointTypes).toEqual(['n', 'n', 'n', 'n']);
+        expect(copy.variationRows[0].values).toEqual(['', '', '', '']);
+        expect(copy.variationRows[0].leftValues).toEqual(['', '', '', '']);
+    });
+
+    it('keeps the hidden arrows in place and flags them invisible', () => {
+        const [row] = makeStudentCopy(allHidden(TABLE)).variationRows;
+        expect(row.arrows).toEqual(['up', 'down', 'up']);
+        expect(row.invisibleArrows).toEqual([true, true, true]);
+
+        const code = generateTikzPicture(makeStudentCopy(allHidden(TABLE)));
+        expect(code).toContain('\\tkzTabVar{-/ , +/ , -D-/  / , +/ }');
+        expect(code).toContain('\\def\\tabHiddenArrows{{1,1,1,0,0,0}}');
+        expect(code).not.toContain('H/');
+    });
+
+    it('keeps real forbidden zones and the values between hidden arrows', () => {
+        const row = {
+            name: 'f',
+            arrows: ['up', 'up', 'h', 'down'],
+            values: ['0', '1', '2', '5', '1'],
+            pointTypes: ['n', 'i', 'n', 'n', 'n'],
+            hiddenArrows: [true, true, false, true],
+            hiddenValues: [false, false, false, true, false]
+        };
+        const tableData = { ...TABLE, points: ['0', '1', '2', '3', '4'], tableType: 'variation', variationRows: [row] };
+        const code = generateTikzPicture(makeStudentCopy(tableData));
+        // Intervals joined by the image on the arrow share one hidden arrow, the zone has none
+        expect(code).toContain('\\def\\tabHiddenArrows{{1,1,0,0,0,0}}');
+        expect(code).toContain('\\tkzTabVar{-/ $0$, R/, +H/ $2$, +/ , -/ $1$}');
+        expect(code).toContain('\\tkzTabIma{1}{3}{2}{$1$}');
+    });
+
+    it('counts the arrows after forbidden zones and double bars', () => {
+        const row = {
+            name: 'f',
+            arrows: ['up', 'h', 'down', 'up'],
+            values: ['0', '1', '2', '-\\infty', '3'],
+            leftValues: ['', '', '', '+\\infty', ''],
+            pointTypes: ['n', 'n', 'n', 'd', 'n'],
+            hiddenArrows: [false, false, false, true]
+        };
+        const tableData = { ...TABLE, points: ['0', '1', '2', '3', '4'], tableType: 'variation', variationRows: [row] };
+        // Three arrows drawn: the zone has none and the double bar starts a new one
+        expect(generateTikzPicture(makeStudentCopy(tableData))).toContain('\\def\\tabHiddenArrows{{0,0,1,0,0,0,0}}');
+    });
+
+    it('leaves tables without hidden arrows unchanged', () => {
+        expect(makeStudentCopy(TABLE).variationRows[0].invisibleArrows).toBeUndefined();
+        expect(generateTikzPicture(makeStudentCopy(TABLE))).not.toContain('tabHiddenArrows');
+    });
+});
+
+describe('makeAnswerKey', () => {
+    it('colours the hidden signs and values', () => {
+        const key = makeAnswerKey(allHidden(TABLE));
+        expect(key.expressions[0].signs[0]).toBe('\\textcolor{blue}{$+$}');
+        expect(key.variationRows[0].values[1]).toBe('\\textcolor{blue}{2}');
+        expect(key.variationRows[0].leftValues[2]).toBe('\\textcolor{blue}{-\\infty}');
+    });
+
+    it('frames the hidden zeros and double bars', () => {
+        const key = makeAnswerKey(allHidden(TABLE), 'red');
+        expect(key.expressions[0].answerMarks).toEqual({ color: 'red', points: [false, true, true, false] });
+
+        const code = generateTikzPicture(key);
+        expect(code).toContain('\\draw[red, thick] (4.2,-1.1) rectangle (4.8,-1.9);');
+        expect(code).toContain('\\draw[red, thick] (6.2,-1.1) rectangle (6.8,-1.9);');
+    });
+
+    it('places the frames from the layout and the row heights', () => {
+        const tableData = {
+            ...TABLE,
+            layoutConfig: { lgt: 3, espcl: 2.5, deltacl: 0.8, variableHeight: 1.2 },
+            expressions: [
+                { ...TABLE.expressions[0], height: 1.5, hiddenPoints: [false, true, false, false] },
+                { name: 'g(x)', signs: ['-', '+', '+'], pointTypes: ['n', 'z', 'd', 'n'], height: 2, hiddenPoints: [false, false, true, false] }
+            ]
+        };
+        const code = generateTikzPicture(makeAnswerKey(tableData));
+        // Points at lgt + deltacl + i * espcl, rows below the 1.2 cm variable row
+        expect(code).toContain('\\draw[blue, thick] (6,-1.3) rectangle (6.6,-2.6);');
+        expect(code).toContain('\\draw[blue, thick] (8.5,-2.8) rectangle (9.1,-4.6);');
+        expect(code.match(/rectangle/g)).toHaveLength(2);
+    });
+
+    it('marks nothing on rows without hidden points', () => {
+        expect(makeAnswerKey(TABLE).expressions[0].answerMarks).toBeUndefined();
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Exact arithmetic with one square root
+ * A surd is a + b√m with rationals a, b and m a square-free integer: { a, b, m }.
+ * Rationals are surds with b = 0 and m = 1. Two surds combine only when they share
+ * their square root; anything else gives null.
+ */
+
+import { rational, ZERO, ONE, add, sub, mul, div, neg, isZero, isInteger, toNumber, toLatex } from './rational';
+import { simplifySqrt, formatSurd } from './polynomial';
+
+function gcd(a, b) {
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+export function surdFromRational(a) {
+    return { a, b: ZERO, m: 1 };
+}
+
+function sharedRoot(x, y) {
+    if (isZero(x.b)) return y.m;
+    if (isZero(y.b) || x.m === y.m) return x.m;
+    return null;
+}
+
+function make(a, b, m) {
+    return isZero(b) ? surdFromRational(a) : { a, b, m };
+}
+
+export function surdAdd(x, y) {
+    const m = sharedRoot(x, y);
+    return m === null ? null : make(add(x.a, y.a), add(x.b, y.b), m);
+}
+
+export function surdNeg(x) {
+    return make(neg(x.a), neg(x.b), x.m);
+}
+
+export function surdMul(x, y) {
+    const m = sharedRoot(x, y);
+    if (m === null) return null;
+    return make(
+        add(mul(x.a, y.a), mul(mul(x.b, y.b), rational(m))),
+        add(mul(x.a, y.b), mul(x.b, y.a)),
+        m
+    );
+}
+
+/**
+ * x / y, multiplying by the conjugate of y
+ */
+export function surdDiv(x, y) {
+    const norm = sub(mul(y.a, y.a), mul(mul(y.b, y.b), rational(y.m)));
+    if (isZero(norm)) throw new Error('Division by zero');
+    const product = surdMul(x, make(y.a, neg(y.b), y.m));
+    return product && make(div(product.a, norm), div(product.b, norm), product.m);
+}
+
+/**
+ * √r for a rational r ≥ 0
+ */
+export function surdSqrt(r) {
+    if (r.n < 0) return null;
+    if (r.n === 0) return surdFromRational(ZERO);
+    const { k, m } = simplifySqrt(r.n * r.d);
+    return m === 1 ? surdFromRational(rational(k, r.d)) : make(ZERO, rational(k, r.d), m);
+}
+
+export function surdToNumber(x) {
+    return toNumber(x.a) + toNumber(x.b) * Math.sqrt(x.m);
+}
+
+/**
+ * Format as LaTeX, e.g. \frac{1+\sqrt{5}}{2}
+ */
+export function surdToLatex(x) {
+    if (isZero(x.b)) return toLatex(x.a);
+    const den = (x.a.d * x.b.d) / gcd(x.a.d, x.b.d);
+    return formatSurd((x.a.n * den) / x.a.d, (x.b.n * den) / x.b.d, x.m, den);
+}
+
+/**
+ * Evaluate a polynomial at a surd (Horner's scheme)
+ */
+export function polyEvalSurd(p, x) {
+    let result = surdFromRational(ZERO);
+    for (let i = p.length - 1; i >= 0 && result; i--) {
+        const product = surdMul(result, x);
+        result = product && surdAdd(product, surdFromRational(p[i]));
+    }
+    return result;
+}
+
+/**
+ * Exact value of a constant syntax tree (mathParser) such as \frac{1+\sqrt{5}}{2}
+ * @returns {Object|null} The surd, or null when the value needs more than one square root
+ * or something other than +, -, ×, ÷, integer powers and square roots of rationals
+ */
+export function treeToSurd(tree) {
+    switch (tree.type) {
+        case 'number': return surdFromRational(tree.value);
+        case 'neg': {
+            const arg = treeToSurd(tree.arg);
+            return arg && surdNeg(arg);
+        }
+        case 'add':
+        case 'sub':
+        case 'mul':
+        case 'div': {
+            const left = treeToSurd(tree.left);
+            const right = treeToSurd(tree.right);
+            if (!left || !right) return null;
+            if (tree.type === 'add') return surdAdd(left, right);
+            if (tree.type === 'sub') return surdAdd(left, surdNeg(right));
+            if (tree.type === 'mul') return surdMul(left, right);
+            return surdDiv(left, right);
+        }
+        case 'pow': {
+            const base = treeToSurd(tree.base);
+            const exponent = treeToSurd(tree.exponent);
+            if (!base || !exponent || !isZero(exponent.b) || !isInteger(exponent.a)) return null;
+            let result = surdFromRational(ONE);
+            for (let i = 0; i < Math.abs(exponent.a.n) && result; i++) result = surdMul(result, base);
+            return result && exponent.a.n < 0 ? surdDiv(surdFromRational(ONE), result) : result;
+        }
+        case 'func': {
+            if (tree.name !== 'sqrt' || tree.index) return null;
+            const arg = treeToSurd(tree.arg);
+            return arg && isZero(arg.b) ? surdSqrt(arg.a) : null;
+        }
+        default: return null;
+    }
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { rational } from './rational';
+import { parseLatex } from './mathParser';
+import { surdFromRational, surdAdd, surdMul, surdDiv, surdSqrt, surdToNumber, surdToLatex, polyEvalSurd, treeToSurd } from './surd';
+
+describe('surd arithmetic', () => {
+    it('simplifies square roots', () => {
+        expect(surdToLatex(surdSqrt(rational(8)))).toBe('2\\sqrt{2}');
+        expect(surdToLatex(surdSqrt(rational(9, 4)))).toBe('\\frac{3}{2}');
+        expect(surdToLatex(surdSqrt(rational(0)))).toBe('0');
+        expect(surdSqrt(rational(-1))).toBeNull();
+    });
+
+    it('combines surds sharing their square root only', () => {
+        const root2 = surdSqrt(rational(2));
+        expect(surdToLatex(surdMul(root2, root2))).toBe('2');
+        expect(surdToLatex(surdDiv(surdFromRational(rational(1)), root2))).toBe('\\frac{\\sqrt{2}}{2}');
+        expect(surdAdd(root2, surdSqrt(rational(3)))).toBeNull();
+    });
+
+    it('evaluates a polynomial at a surd exactly', () => {
+        // x^2 - 2x - 4 at 1 + √5
+        const x = treeToSurd(parseLatex('1+\\sqrt{5}'));
+        const value = polyEvalSurd([rational(-4), rational(-2), rational(1)], x);
+        expect(surdToLatex(value)).toBe('0');
+    });
+});
+
+describe('treeToSurd', () => {
+    it('reads constant expressions with one square root', () => {
+        const golden = treeToSurd(parseLatex('\\frac{1+\\sqrt{5}}{2}'));
+        expect(surdToLatex(golden)).toBe('\\frac{1+\\sqrt{5}}{2}');
+        expect(surdToNumber(golden)).toBeCloseTo((1 + Math.sqrt(5)) / 2, 12);
+    });
+
+    it('gives null for anything else', () => {
+        expect(treeToSurd(parseLatex('\\sqrt{2}+\\sqrt{3}'))).toBeNull();
+        expect(treeToSurd(parseLatex('\\sqrt[3]{2}'))).toBeNull();
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * SVG table layout
+ * Computes the drawing of a table in the browser, following tkz-tab's geometry:
+ * - the first column is lgt wide, points are espcl apart, with deltacl margins on both sides
+ * - each row has its own height (1 for sign rows, 1.5 for variation rows by default)
+ * Returns drawing primitives in pixels; math is kept as LaTeX for the renderer to typeset.
+ * Tangent slopes (tkzTabSlope) are not drawn.
+ */
+
+import { toLatexSymbol, isImageOnArrow } from './latexGenerator';
+import { getVariationRows } from './variationRows';
+import { formatMathLabel } from './katexGenerator';
+
+// 1cm in CSS pixels (96 dpi)
+export const PX_PER_CM = 37.8;
+
+// Distance of variation values from the top/bottom edge of their row
+const NODE_MARGIN = 0.35 * PX_PER_CM;
+// Half gap between the two strokes of a double bar, and offset of values beside it
+const BAR_GAP = 1.5;
+const BAR_VALUE_OFFSET = 0.15 * PX_PER_CM;
+// Space kept free around values at both ends of an arrow
+const ARROW_INSET = 0.3 * PX_PER_CM;
+
+function positiveOr(value, fallback) {
+    const number = parseFloat(value);
+    return number > 0 ? number : fallback;
+}
+
+/**
+ * Shorten a segment by a given length at its start and at its end
+ */
+function insetSegment(x1, y1, x2, y2, startInset, endInset) {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (length <= startInset + endInset) return { x1, y1, x2, y2 };
+    const ux = (x2 - x1) / length;
+    const uy = (y2 - y1) / length;
+    return { x1: x1 + ux * startInset, y1: y1 + uy * startInset, x2: x2 - ux * endInset, y2: y2 - uy * endInset };
+}
+
+/**
+ * Compute the table drawing
+ * @param {Object} tableData - The table configuration (same as generateFullDocument)
+ * @returns {{ width: number, height: number, shapes: Object[] }}
+ * Shapes: { type: 'line', x1, y1, x2, y2, dashed? }, { type: 'double', x, y1, y2, gap },
+ * { type: 'hatch', x, y, width, height }, { type: 'arrow', x1, y1, x2, y2 },
+ * { type: 'math', x, y, latex, anchor: 'start' | 'middle' | 'end', opaque? }
+ */
+export function computeTableLayout(tableData) {
+    const {
+        variable = 'x',
+        functionName = 'f(x)',
+        points = ['-\\infty', '0', '+\\infty'],
+        signs = [],
+        pointSigns = [],
+        expressions = [],
+        tableType = 'both',
+        layoutConfig = {}
+    } = tableData;
+
+    const includeSign = tableType === 'sign' || tableType === 'both';
+    const includeVariation = tableType === 'variation' || tableType === 'both';
+
+    const lgt = positiveOr(layoutConfig.lgt, 2) * PX_PER_CM;
+    const espcl = positiveOr(layoutConfig.espcl, 2) * PX_PER_CM;
+    const deltacl = (parseFloat(layoutConfig.deltacl) >= 0 ? parseFloat(layoutConfig.deltacl) : 0.5) * PX_PER_CM;
+
+    const pointX = points.map((_, i) => lgt + deltacl + i * espcl);
+    const width = lgt + 2 * deltacl + Math.max(0, points.length - 1) * espcl;
+    const shapes = [];
+
+    // Rows from top to bottom, each { kind, height, ... }
+    const rows = [{ kind: 'header', name: variable || 'x', height: positiveOr(layoutConfig.variableHeight, 1) * PX_PER_CM }];
+    if (includeSign) {
+        const signRows = expressions.length > 0 ? expressions : [{ name: functionName, signs, pointTypes: pointSigns }];
+        signRows.forEach(expr => rows.push({ kind: 'sign', ...expr, height: positiveOr(expr.height, 1) * PX_PER_CM }));
+    }
+    if (includeVariation) {
+        getVariationRows(tableData).forEach(row => rows.push({ kind: 'variation', ...row, height: positiveOr(row.height, 1.5) * PX_PER_CM }));
+    }
+
+    let y = 0;
+    rows.forEach(row => {
+        row.y = y;
+        y += row.height;
+    });
+    const height = y;
+
+    // Frame, first column and row separators
+    shapes.push({ type: 'line', x1: 0, y1: 0, x2: width, y2: 0 });
+    shapes.push({ type: 'line', x1: 0, y1: height, x2: width, y2: height });
+    shapes.push({ type: 'line', x1: 0, y1: 0, x2: 0, y2: height });
+    shapes.push({ type: 'line', x1: width, y1: 0, x2: width, y2: height });
+    shapes.push({ type: 'line', x1: lgt, y1: 0, x2: lgt, y2: height });
+    rows.slice(1).forEach(row => {
+        shapes.push({ type: 'line', x1: 0, y1: row.y, x2: width, y2: row.y });
+    });
+
+    rows.forEach(row => {
+        shapes.push({
+            type: 'math',
+            x: lgt / 2,
+            y: row.y + row.height / 2,
+            latex: formatMathLabel({ name: row.name, label: row.label }),
+            anchor: 'middle'
+        });
+
+        if (row.kind === 'header') {
+            points.forEach((point, i) => {
+                shapes.push({ type: 'math', x: pointX[i], y: row.y + row.height / 2, latex: toLatexSymbol(point), anchor: 'middle' });
+            });
+        } else if (row.kind === 'sign') {
+            layoutSignRow(row, pointX, shapes);
+        } else {
+            layoutVariationRow(row, pointX, rows[0], shapes);
+        }
+    });
+
+    return { width, height, shapes };
+}
+
+function layoutSignRow(row, pointX, shapes) {
+    const { signs: rowSigns = [], pointTypes = [] } = row;
+    const top = row.y;
+    const bottom = row.y + row.height;
+    const middle = row.y + row.height / 2;
+
+    rowSigns.forEach((sign, i) => {
+        if (sign === 'h') {
+            shapes.push({ type: 'hatch', x: pointX[i], y: top, width: pointX[i + 1] - pointX[i], height: row.height });
+        } else if (sign) {
+            shapes.push({ type: 'math', x: (pointX[i] + pointX[i + 1]) / 2, y: middle, latex: sign, anchor: 'middle' });
+        }
+    });
+
+    pointTypes.forEach((type, i) => {
+        const x = pointX[i];
+        if (type === 'z' || type === 't') {
+            shapes.push({ type: 'line', x1: x, y1: top, x2: x, y2: bottom, dashed: true });
+            if (type === 'z') shapes.push({ type: 'math', x, y: middle, latex: '0', anchor: 'middle', opaque: true });
+        } else if (type === 'd') {
+            shapes.push({ type: 'double', x, y1: top, y2: bottom, gap: BAR_GAP });
+        }
+    });
+}
+
+function layoutVariationRow(row, pointX, header, shapes) {
+    const { arrows = [], values = [], leftValues = [], pointTypes = [], intervalValues = [] } = row;
+    const count = pointX.length;
+    const top = row.y + NODE_MARGIN;
+    const bottom = row.y + row.height - NODE_MARGIN;
+    const levelY = (level) => (level === 'top' ? top : bottom);
+
+    // Where arrows leave and reach each point: { x, y } on both sides
+    const anchors = [];
+    const isNode = [];
+
+    for (let i = 0; i < count; i++) {
+        const previous = arrows[i - 1];
+        const next = arrows[i];
+        const inLevel = previous === 'up' ? 'top' : previous === 'down' ? 'bottom' : null;
+        const outLevel = next === 'up' ? 'bottom' : next === 'down' ? 'top' : null;
+        const x = pointX[i];
+        const value = toLatexSymbol(values[i]);
+
+        const skipped = isImageOnArrow(arrows, pointTypes, i) || (previous === 'h' && next === 'h' && pointTypes[i] !== 'd');
+        isNode.push(!skipped);
+        if (skipped) {
+            anchors.push(null);
+            continue;
+        }
+
+        if (pointTypes[i] === 'd') {
+            shapes.push({ type: 'double', x, y1: row.y, y2: row.y + row.height, gap: BAR_GAP });
+            const inY = levelY(inLevel ?? 'bottom');
+            const outY = levelY(outLevel ?? 'bottom');
+            const left = i === 0 ? '' : toLatexSymbol(leftValues[i] || values[i]);
+            const right = i === count - 1 ? '' : value;
+            if (left) shapes.push({ type: 'math', x: x - BAR_VALUE_OFFSET, y: inY, latex: left, anchor: 'end' });
+            if (right) shapes.push({ type: 'math', x: x + BAR_VALUE_OFFSET, y: outY, latex: right, anchor: 'start' });
+            anchors.push({
+                in: { x: x - BAR_VALUE_OFFSET - ARROW_INSET, y: inY },
+                out: { x: x + BAR_VALUE_OFFSET + ARROW_INSET, y: outY }
+            });
+        } else {
+            const nodeY = levelY(outLevel ?? inLevel ?? 'bottom');
+            if (value) shapes.push({ type: 'math', x, y: nodeY, latex: value, anchor: 'middle' });
+            anchors.push({ in: { x, y: nodeY }, out: { x, y: nodeY } });
+        }
+    }
+
+    // Join consecutive nodes: an arrow, or a hatched zone
+    let from = 0;
+    for (let to = 1; to < count; to++) {
+        if (!isNode[to]) continue;
+
+        if (arrows[from] === 'h') {
+            const startX = pointTypes[from] === 'd' ? pointX[from] + BAR_GAP : pointX[from];
+            const endX = pointTypes[to] === 'd' ? pointX[to] - BAR_GAP : pointX[to];
+            shapes.push({ type: 'hatch', x: startX, y: row.y, width: endX - startX, height: row.height });
+        } else {
+            const start = anchors[from].out;
+            const end = anchors[to].in;
+            // Double bar anchors already sit beside their values
+            const startInset = pointTypes[from] === 'd' ? 0 : ARROW_INSET;
+            const endInset = pointTypes[to] === 'd' ? 0 : ARROW_INSET;
+            shapes.push({ type: 'arrow', ...insetSegment(start.x, start.y, end.x, end.y, startInset, endInset) });
+
+            const yAt = (x) => start.y + (end.y - start.y) * ((x - start.x) / (end.x - start.x || 1));
+
+            // Images written on the arrow (tkzTabIma)
+            for (let k = from + 1; k < to; k++) {
+                if (values[k]) {
+                    shapes.push({ type: 'math', x: pointX[k], y: yAt(pointX[k]), latex: toLatexSymbol(values[k]), anchor: 'middle', opaque: true });
+                }
+            }
+
+            // Values partway along the arrow (tkzTabVal), antecedent in the header row
+            for (let k = from; k < to; k++) {
+                const annotation = intervalValues[k];
+                if (!annotation || (!annotation.antecedent && !annotation.value)) continue;
+                const x = pointX[k] + (annotation.position ?? 0.5) * (pointX[k + 1] - pointX[k]);
+                const valueY = yAt(x);
+                if (annotation.dashed) {
+                    shapes.push({ type: 'line', x1: x, y1: header.y + header.height, x2: x, y2: valueY, dashed: true });
+                }
+                if (annotation.antecedent) {
+                    shapes.push({ type: 'math', x, y: header.y + header.height / 2, latex: toLatexSymbol(annotation.antecedent), anchor: 'middle' });
+                }
+                if (annotation.value) {
+                    shapes.push({ type: 'math', x, y: valueY, latex: toLatexSymbol(annotation.value), anchor: 'middle', opaque: true });
+                }
+            }
+        }
+
+        from = to;
+    }
+}
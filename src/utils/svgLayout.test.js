@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { computeTableLayout, PX_PER_CM } from './svgLayout';
+
+const cm = (value) => value * PX_PER_CM;
+
+const tableData = {
+    variable: 'x',
+    points: ['-\\infty', '0', '1', '+\\infty'],
+    tableType: 'both',
+    layoutConfig: { lgt: 3, espcl: 2.5, deltacl: 0.8, variableHeight: 1.2 },
+    expressions: [{ name: "f'(x)", signs: ['+', 'h', '-'], pointTypes: ['n', 'z', 'd', 'n'], height: 1.5 }],
+    variationRows: [{
+        name: 'f',
+        arrows: ['up', 'h', 'down'],
+        values: ['-\\infty', '2', '3', '0'],
+        leftValues: ['', '', '', ''],
+        pointTypes: ['n', 'n', 'd', 'n'],
+        height: 2
+    }]
+};
+
+const ofType = (shapes, type) => shapes.filter(shape => shape.type === type);
+
+describe('computeTableLayout', () => {
+    const { width, height, shapes } = computeTableLayout(tableData);
+
+    it('follows tkz-tab geometry: lgt, espcl, deltacl and the row heights', () => {
+        expect(width).toBeCloseTo(cm(3 + 2 * 0.8 + 3 * 2.5));
+        expect(height).toBeCloseTo(cm(1.2 + 1.5 + 2));
+
+        const pointLabels = ofType(shapes, 'math').filter(shape => shape.y === cm(0.6) && shape.x > cm(3));
+        expect(pointLabels.map(shape => shape.x)).toEqual([0, 1, 2, 3].map(i => cm(3 + 0.8 + i * 2.5)));
+    });
+
+    it('hatches forbidden zones over their whole row', () => {
+        const hatches = ofType(shapes, 'hatch');
+        expect(hatches).toHaveLength(2);
+        const near = (value) => expect.closeTo(cm(value));
+        expect(hatches[0]).toMatchObject({ x: near(6.3), y: near(1.2), width: near(2.5), height: near(1.5) });
+        expect(hatches[1]).toMatchObject({ y: near(2.7), height: near(2) });
+    });
+
+    it('draws one arrow per monotonic interval and the double bars', () => {
+        expect(ofType(shapes, 'arrow')).toHaveLength(2);
+        expect(ofType(shapes, 'double')).toHaveLength(2);
+    });
+
+    it('falls back to the default layout for missing or invalid settings', () => {
+        const layout = computeTableLayout({ ...tableData, layoutConfig: { lgt: 0, espcl: 'a' } });
+        expect(layout.width).toBeCloseTo(cm(2 + 2 * 0.5 + 3 * 2));
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * Table consistency linter
+ * Checks a table model for mathematically inconsistent content and reports
+ * each problem on the cell it comes from:
+ *   { severity: 'error' | 'warning', message, target }
+ * target: { area: 'points', point } | { area: 'sign', row, point } | { area: 'sign', row, interval }
+ *       | { area: 'variation', row, interval }
+ */
+
+import { combineFactorRows } from './computedRows';
+import { getVariationRows } from './variationRows';
+import { arrowsFromSigns } from './variationLink';
+import { evaluateLatex } from './mathParser';
+import { findOrderProblems } from './pointColumns';
+
+const ARROW_SYMBOLS = { up: '↗', down: '↘' };
+
+/**
+ * f(x) -> f'(x), the name a derivative row usually has
+ */
+function derivativeName(name) {
+    return (name || '').replace(/\s/g, '').replace(/^([^(]+)\(/, "$1'(");
+}
+
+/**
+ * Index of the sign row holding the derivative of a variation row, or -1
+ * The linked row drives the first variation row; other rows are matched by name.
+ */
+function findDerivativeRow(expressions, variationRow, rowIndex) {
+    if (rowIndex === 0) {
+        const linked = expressions.findIndex(expr => expr.variationLink);
+        if (linked >= 0) return linked;
+    }
+    const expected = derivativeName(variationRow.name);
+    return expressions.findIndex(expr => (expr.name || '').replace(/\s/g, '') === expected);
+}
+
+function lintSignRows(expressions, points, issues) {
+    expressions.forEach((expr, row) => {
+        const { signs = [], pointTypes = [] } = expr;
+
+        for (let i = 1; i < points.length - 1; i++) {
+            const before = signs[i - 1];
+            const after = signs[i];
+            const type = pointTypes[i] || 'n';
+            const target = { area: 'sign', row, point: i };
+
+            if (type === 'z' && (before === 'h' || after === 'h')) {
+                issues.push({ severity: 'error', target, message: `${expr.name}: a zero at ${points[i]} touches a forbidden zone` });
+                continue;
+            }
+            if (before === 'h' || after === 'h') continue;
+
+            if (type === 'z' && before === after) {
+                issues.push({
+                    severity: 'warning',
+                    target,
+                    message: `${expr.name}: the sign does not change across the zero at ${points[i]} (only right for a root of even multiplicity)`
+                });
+            } else if (type === 'n' && before !== after) {
+                issues.push({
+                    severity: 'error',
+                    target,
+                    message: `${expr.name}: the sign changes at ${points[i]} without a zero or a double bar`
+                });
+            }
+        }
+
+        // Product/quotient rows must follow the sign rule
+        if (expr.computed) {
+            const factorAt = (k) => (k !== row && expressions[k] && !expressions[k].computed ? expressions[k] : null);
+            const numerators = expr.computed.numerator.map(factorAt).filter(Boolean);
+            const denominators = expr.computed.denominator.map(factorAt).filter(Boolean);
+            if (numerators.length + denominators.length === 0) return;
+
+            const expected = combineFactorRows(numerators, denominators, points.length);
+            expected.signs.forEach((sign, i) => {
+                if (signs[i] !== sign) {
+                    issues.push({
+                        severity: 'error',
+                        target: { area: 'sign', row, interval: i },
+                        message: `${expr.name}: the sign rule gives ${sign} on ${points[i]} → ${points[i + 1]}`
+                    });
+                }
+            });
+            expected.pointTypes.forEach((type, i) => {
+                if ((pointTypes[i] || 'n') !== type) {
+                    issues.push({
+                        severity: 'error',
+                        target: { area: 'sign', row, point: i },
+                        message: `${expr.name}: its factor rows give ${type === 'n' ? 'no mark' : `"${type}"`} at ${points[i]}`
+                    });
+                }
+            });
+        }
+    });
+}
+
+function lintVariationRow(row, rowIndex, points, variable, issues) {
+    const { arrows = [], values = [], leftValues = [], pointTypes = [] } = row;
+
+    arrows.forEach((arrow, i) => {
+        if (arrow !== 'up' && arrow !== 'down') return;
+
+        const start = evaluateLatex(values[i], variable);
+        const endLatex = pointTypes[i + 1] === 'd' ? (leftValues[i + 1] || values[i + 1]) : values[i + 1];
+        const end = evaluateLatex(endLatex, variable);
+        if (start === null || end === null) return;
+
+        const rising = end > start;
+        if ((arrow === 'up' && !rising) || (arrow === 'down' && rising) || end === start) {
+            issues.push({
+                severity: 'error',
+                target: { area: 'variation', row: rowIndex, interval: i },
+                message: `${row.name}: the arrow ${ARROW_SYMBOLS[arrow]} goes from ${values[i]} to ${endLatex}`
+            });
+        }
+    });
+}
+
+/**
+ * Check a table model
+ * @param {Object} tableData - The table configuration (same as generateFullDocument)
+ * @returns {Object[]} Issues, in table order
+ */
+export function lintTable(tableData) {
+    const { variable = 'x', points = [], expressions = [], tableType = 'both' } = tableData;
+    const includeSign = tableType === 'sign' || tableType === 'both';
+    const includeVariation = tableType === 'variation' || tableType === 'both';
+    const variationRows = includeVariation ? getVariationRows(tableData) : [];
+    const issues = [];
+
+    // Points must be strictly increasing
+    findOrderProblems(points, variable).forEach(({ index, previous, kind }) => {
+        issues.push({
+            severity: 'error',
+            target: { area: 'points', point: index },
+            message: kind === 'duplicate'
+                ? `The point ${points[index]} is equal to ${points[previous]}`
+                : `The points are not increasing: ${points[index]} comes after ${points[previous]}`
+        });
+    });
+
+    if (includeSign) lintSignRows(expressions, points, issues);
+
+    variationRows.forEach((row, rowIndex) => {
+        lintVariationRow(row, rowIndex, points, variable, issues);
+        if (!includeSign) return;
+
+        // Arrows against the signs of the derivative
+        const derivativeIndex = findDerivativeRow(expressions, row, rowIndex);
+        if (derivativeIndex < 0) return;
+        const derivative = expressions[derivativeIndex];
+        const expected = arrowsFromSigns(derivative.signs || []);
+        (row.arrows || []).forEach((arrow, i) => {
+            if (expected[i] !== undefined && arrow !== expected[i]) {
+                issues.push({
+                    severity: 'error',
+                    target: { area: 'variation', row: rowIndex, interval: i },
+                    message: `${row.name}: the arrow on ${points[i]} → ${points[i + 1]} disagrees with the sign of ${derivative.name}`
+                });
+            }
+        });
+    });
+
+    // Double bars in sign rows need one in the variation rows
+    if (includeSign && variationRows.length > 0) {
+        expressions.forEach((expr, row) => {
+            (expr.pointTypes || []).forEach((type, i) => {
+                if (type === 'd' && !variationRows.some(variationRow => variationRow.pointTypes?.[i] === 'd')) {
+                    issues.push({
+                        severity: 'warning',
+                        target: { area: 'sign', row, point: i },
+                        message: `${expr.name}: double bar at ${points[i]} but no variation row has one`
+                    });
+                }
+            });
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Issues on one cell of the editor
+ */
+export function issuesAt(issues, area, row, key, index) {
+    return issues.filter(issue => issue.target.area === area && issue.target.row === row && issue.target[key] === index);
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { lintTable, issuesAt } from './tableLinter';
+
+const TABLE = {
+    variable: 'x',
+    points: ['-\\infty', '-1', '1', '+\\infty'],
+    tableType: 'both',
+    expressions: [{ name: "f'(x)", signs: ['+', '-', '+'], pointTypes: ['n', 'z', 'z', 'n'] }],
+    variationRows: [{
+        name: 'f(x)',
+        arrows: ['up', 'down', 'up'],
+        values: ['-\\infty', '2', '-2', '+\\infty'],
+        leftValues: ['', '', '', ''],
+        pointTypes: ['n', 'n', 'n', 'n']
+    }]
+};
+
+const messages = (tableData) => lintTable(tableData).map(issue => issue.message);
+
+describe('lintTable', () => {
+    it('accepts a consistent table', () => {
+        expect(lintTable(TABLE)).toEqual([]);
+    });
+
+    it('reports points out of order', () => {
+        expect(messages({ ...TABLE, points: ['-\\infty', '1', '-1', '+\\infty'] }))
+            .toContain('The points are not increasing: -1 comes after 1');
+    });
+
+    it('reports a sign change without a zero', () => {
+        const expressions = [{ ...TABLE.expressions[0], pointTypes: ['n', 'n', 'z', 'n'] }];
+        expect(messages({ ...TABLE, expressions }))
+            .toContain("f'(x): the sign changes at -1 without a zero or a double bar");
+    });
+
+    it('reports an arrow against its values', () => {
+        const variationRows = [{ ...TABLE.variationRows[0], values: ['-\\infty', '-2', '2', '+\\infty'] }];
+        const issues = lintTable({ ...TABLE, variationRows });
+        expect(issues).toHaveLength(1);
+        expect(issues[0]).toEqual({
+            severity: 'error',
+            target: { area: 'variation', row: 0, interval: 1 },
+            message: 'f(x): the arrow ↘ goes from -2 to 2'
+        });
+        expect(issuesAt(issues, 'variation', 0, 'interval', 1)).toHaveLength(1);
+        expect(issuesAt(issues, 'variation', 0, 'interval', 0)).toHaveLength(0);
+    });
+
+    it('reports an arrow against the sign of the derivative', () => {
+        const variationRows = [{ ...TABLE.variationRows[0], arrows: ['up', 'up', 'up'], values: ['-\\infty', '', '', '+\\infty'] }];
+        expect(messages({ ...TABLE, variationRows }))
+            .toEqual(["f(x): the arrow on -1 → 1 disagrees with the sign of f'(x)"]);
+    });
+});
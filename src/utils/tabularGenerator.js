@@ -0,0 +1,186 @@
+/**
+ * Plain tabular generator
+ * Draws the same sign/variation table as generateFullDocument with a plain
+ * tabular, so the code compiles with base LaTeX (no tkz-tab, no TikZ):
+ * - signs and zeros as text, double bars with \vline, forbidden values with \vdots
+ * - each variation row spans three lines (top / arrows / bottom), arrows are \nearrow and \searrow
+ * - forbidden (hatched) zones are marked with \times
+ * Values along the arrows (tkzTabVal) and tangent slopes have no plain equivalent and are left out.
+ */
+
+import { toLatexSymbol, formatRowLabel, isImageOnArrow, generateDocumentHeader } from './latexGenerator';
+import { getVariationRows } from './variationRows';
+import { formatDecimals, describeRow } from './outputLocale';
+
+// Mark of a forbidden zone, drawn hatched by tkz-tab
+const FORBIDDEN_ZONE = { math: '\\times' };
+
+/**
+ * Cells of the table, independent of the output syntax
+ * Each row: { label: { name, label, kind? } | null, cells: Object[], ruleAfter: boolean }
+ * (kind: 'sign' or 'variation', for descriptive labels)
+ * Each cell: {} (empty), { math }, { dots: true }, or { bar: true, left, right } (double bar)
+ * Columns alternate point / interval, starting and ending with a point.
+ */
+export function buildTableGrid(tableData) {
+    const {
+        variable = 'x',
+        functionName = 'f(x)',
+        points = ['-\\infty', '0', '+\\infty'],
+        signs = [],
+        pointSigns = [],
+        expressions = [],
+        tableType = 'both'
+    } = tableData;
+
+    const includeSign = tableType === 'sign' || tableType === 'both';
+    const includeVariation = tableType === 'variation' || tableType === 'both';
+    const columnCount = 2 * points.length - 1;
+    const rows = [];
+
+    // Header: the variable and its key points
+    rows.push({
+        label: { name: variable || 'x' },
+        cells: Array.from({ length: columnCount }, (_, c) => (c % 2 === 0 ? { math: toLatexSymbol(points[c / 2]) } : {})),
+        ruleAfter: true
+    });
+
+    if (includeSign) {
+        const signRows = expressions.length > 0
+            ? expressions
+            : [{ name: functionName, signs, pointTypes: pointSigns }];
+
+        signRows.forEach(expr => {
+            const cells = Array.from({ length: columnCount }, (_, c) => {
+                if (c % 2 === 1) {
+                    const sign = expr.signs?.[(c - 1) / 2];
+                    if (sign === 'h') return FORBIDDEN_ZONE;
+                    return sign === '+' || sign === '-' ? { math: sign } : {};
+                }
+                switch (expr.pointTypes?.[c / 2]) {
+                    case 'z': return { math: '0' };
+                    case 'd': return { bar: true, left: '', right: '' };
+                    case 't': return { dots: true };
+                    default: return {};
+                }
+            });
+            rows.push({ label: { name: expr.name, label: expr.label, kind: 'sign' }, cells, ruleAfter: true });
+        });
+    }
+
+    if (includeVariation) {
+        getVariationRows(tableData).forEach(row => {
+            rows.push(...buildVariationLines(row, points.length, columnCount));
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * The three lines (top, arrows, bottom) of one variation row
+ */
+function buildVariationLines(row, pointCount, columnCount) {
+    const { arrows = [], values = [], leftValues = [], pointTypes = [] } = row;
+    const lines = [0, 1, 2].map(() => Array.from({ length: columnCount }, () => ({})));
+    const TOP = 0;
+    const MIDDLE = 1;
+    const BOTTOM = 2;
+
+    for (let i = 0; i < pointCount; i++) {
+        const column = 2 * i;
+        const previous = arrows[i - 1];
+        const next = arrows[i];
+        // Line reached by the incoming arrow, and line the outgoing arrow starts from
+        const inLine = previous === 'up' ? TOP : previous === 'down' ? BOTTOM : null;
+        const outLine = next === 'up' ? BOTTOM : next === 'down' ? TOP : null;
+        const value = toLatexSymbol(values[i]);
+
+        if (isImageOnArrow(arrows, pointTypes, i)) {
+            lines[MIDDLE][column] = { math: value };
+        } else if (pointTypes[i] === 'd') {
+            const left = i === 0 ? '' : toLatexSymbol(leftValues[i] || values[i]);
+            const right = i === pointCount - 1 ? '' : value;
+            lines.forEach((line, l) => {
+                line[column] = {
+                    bar: true,
+                    left: l === (inLine ?? BOTTOM) ? left : '',
+                    right: l === (outLine ?? BOTTOM) ? right : ''
+                };
+            });
+        } else {
+            lines[outLine ?? inLine ?? BOTTOM][column] = { math: value };
+        }
+
+        if (i < pointCount - 1) {
+            lines[MIDDLE][column + 1] = next === 'h' ? FORBIDDEN_ZONE : { math: next === 'up' ? '\\nearrow' : '\\searrow' };
+        }
+    }
+
+    return [
+        { label: null, cells: lines[TOP], ruleAfter: false },
+        { label: { name: row.name, label: row.label, kind: 'variation' }, cells: lines[MIDDLE], ruleAfter: false },
+        { label: null, cells: lines[BOTTOM], ruleAfter: true }
+    ];
+}
+
+/**
+ * One cell in tabular (text mode) syntax
+ */
+function tabularCell(cell, locale) {
+    if (cell.bar) {
+        const left = cell.left ? `$${formatDecimals(cell.left, locale)}$ ` : '';
+        const right = cell.right ? ` $${formatDecimals(cell.right, locale)}$` : '';
+        return `${left}\\vline\\hspace{2pt}\\vline${right}`;
+    }
+    if (cell.dots) return '$\\vdots$';
+    return cell.math ? `$${formatDecimals(cell.math, locale)}$` : '';
+}
+
+/**
+ * First-column label of a grid row
+ */
+function tabularLabel({ name, label, kind }, variable, { locale = '', describeRows = false }) {
+    const described = !label && describeRows && kind
+        ? describeRow(kind, toLatexSymbol(name, locale) || 'f(x)', toLatexSymbol(variable, locale) || 'x', locale)
+        : label;
+    return formatRowLabel(name, described, 'f(x)', locale);
+}
+
+/**
+ * Generate the table as a plain tabular environment
+ * @param {Object} tableData - The table configuration (same as generateFullDocument)
+ * @param {Object} output - Output conventions { locale, describeRows } (see generateTabInit)
+ */
+export function generateTabular(tableData, output = {}) {
+    const grid = buildTableGrid(tableData);
+    const columnCount = grid[0].cells.length;
+    const locale = output.locale || '';
+
+    const lines = grid.map(row => {
+        const label = row.label ? tabularLabel(row.label, tableData.variable, output) : '';
+        const line = `${[label, ...row.cells.map(cell => tabularCell(cell, locale))].join(' & ')} \\\\`;
+        return row.ruleAfter ? `${line} \\hline` : line;
+    });
+
+    return `{\\renewcommand{\\arraystretch}{1.5}
+\\begin{tabular}{|c|${'c'.repeat(columnCount)}|}
+\\hline
+${lines.join('\n')}
+\\end{tabular}}`;
+}
+
+/**
+ * Generate a complete document that only needs base LaTeX
+ * @param {Object} tableData - The table configuration
+ * @param {Object} preamble - Preamble settings (document class, fonts, language, macros, output locale)
+ */
+export function generateTabularDocument(tableData, preamble = {}) {
+    const macros = preamble.macros && preamble.macros.trim() ? `\n${preamble.macros.trim()}` : '';
+
+    return `${generateDocumentHeader(preamble)}${macros}
+
+\\begin{document}
+${generateTabular(tableData, { locale: preamble.outputLocale, describeRows: preamble.describeRows })}
+\\end{document}`;
+}
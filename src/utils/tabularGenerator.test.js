@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { buildTableGrid, generateTabular } from './tabularGenerator';
+
+const variationRow = {
+    name: 'f',
+    arrows: ['up', 'h', 'down'],
+    values: ['-\\infty', '2', '', '3'],
+    leftValues: ['', '', '', ''],
+    pointTypes: ['n', 'n', 'n', 'n']
+};
+
+const tableData = {
+    variable: 'x',
+    points: ['-\\infty', '0', '1', '+\\infty'],
+    tableType: 'both',
+    expressions: [{ name: "f'(x)", signs: ['+', 'h', '-'], pointTypes: ['n', 'z', 'n', 'n'] }],
+    variationRows: [variationRow]
+};
+
+describe('buildTableGrid', () => {
+    it('alternates point and interval columns', () => {
+        const [header, signRow] = buildTableGrid(tableData);
+        expect(header.cells.map(cell => cell.math)).toEqual(['-\\infty', undefined, '0', undefined, '1', undefined, '+\\infty']);
+        expect(signRow.cells[1]).toEqual({ math: '+' });
+        expect(signRow.cells[2]).toEqual({ math: '0' });
+    });
+
+    it('marks forbidden zones in sign and variation rows', () => {
+        const [, signRow, , arrowLine] = buildTableGrid(tableData);
+        expect(signRow.cells[3]).toEqual({ math: '\\times' });
+        expect(arrowLine.cells[3]).toEqual({ math: '\\times' });
+        expect(arrowLine.cells[1]).toEqual({ math: '\\nearrow' });
+        expect(arrowLine.cells[5]).toEqual({ math: '\\searrow' });
+    });
+
+    it('puts values on the line the arrows reach', () => {
+        const [, , top, , bottom] = buildTableGrid(tableData);
+        expect(bottom.cells[0]).toEqual({ math: '-\\infty' });
+        expect(top.cells[2]).toEqual({ math: '2' });
+        expect(bottom.cells[6]).toEqual({ math: '3' });
+    });
+
+    it('splits a double bar between its two values', () => {
+        const row = { ...variationRow, arrows: ['up', 'up', 'down'], pointTypes: ['n', 'd', 'n', 'n'], leftValues: ['', '+\\infty', '', ''], values: ['0', '-\\infty', '1', '0'] };
+        const [, top, , bottom] = buildTableGrid({ ...tableData, tableType: 'variation', variationRows: [row] });
+        expect(top.cells[2]).toEqual({ bar: true, left: '+\\infty', right: '' });
+        expect(bottom.cells[2]).toEqual({ bar: true, left: '', right: '-\\infty' });
+    });
+});
+
+describe('generateTabular', () => {
+    it('writes one column per point and interval after the label column', () => {
+        const code = generateTabular(tableData);
+        expect(code).toContain('\\begin{tabular}{|c|ccccccc|}');
+        expect(code).toContain('$\\times$');
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Typst generator
+ * Draws the table with CeTZ from the same layout as the SVG preview
+ * (tkz-tab geometry: lgt, espcl, deltacl and row heights), so Typst documents
+ * get the arrows, zeros, double bars and hatched zones of the LaTeX output.
+ * Hatches are a tiling, which needs Typst 0.13 or later.
+ */
+
+import { computeTableLayout, PX_PER_CM } from './svgLayout';
+import { latexToTypst } from './latexToTypst';
+
+const CETZ_IMPORT = '#import "@preview/cetz:0.3.4": canvas, draw';
+const ANCHORS = { start: 'west', end: 'east' };
+
+/**
+ * A layout point in CeTZ coordinates (cm, y pointing up)
+ */
+function coordinate(x, y) {
+    const round = (value) => Number(value.toFixed(3));
+    return `(${round(x / PX_PER_CM)}, ${round(-y / PX_PER_CM)})`;
+}
+
+/**
+ * CeTZ command for one layout shape
+ */
+function shapeToCetz(shape) {
+    switch (shape.type) {
+        case 'line':
+            return shape.dashed
+                ? `line(${coordinate(shape.x1, shape.y1)}, ${coordinate(shape.x2, shape.y2)}, stroke: (dash: "dashed", thickness: 0.5pt))`
+                : `line(${coordinate(shape.x1, shape.y1)}, ${coordinate(shape.x2, shape.y2)})`;
+        case 'double':
+            return [-shape.gap, shape.gap]
+                .map(offset => `line(${coordinate(shape.x + offset, shape.y1)}, ${coordinate(shape.x + offset, shape.y2)})`)
+                .join('\n  ');
+        case 'hatch':
+            return `rect(${coordinate(shape.x, shape.y)}, ${coordinate(shape.x + shape.width, shape.y + shape.height)}, fill: hatch, stroke: none)`;
+        case 'arrow':
+            return `line(${coordinate(shape.x1, shape.y1)}, ${coordinate(shape.x2, shape.y2)}, mark: (end: ">", fill: black))`;
+        case 'math': {
+            const math = `$${latexToTypst(shape.latex)}$`;
+            const body = shape.opaque ? `box(fill: white, inset: 1pt)[${math}]` : `[${math}]`;
+            const anchor = ANCHORS[shape.anchor] ? `, anchor: "${ANCHORS[shape.anchor]}"` : '';
+            return `content(${coordinate(shape.x, shape.y)}${anchor}, ${body})`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Generate a Typst file drawing the table with CeTZ
+ * @param {Object} tableData - The table configuration (same as generateFullDocument)
+ */
+export function generateTypst(tableData) {
+    const { shapes } = computeTableLayout(tableData);
+    const commands = shapes.map(shapeToCetz).filter(Boolean);
+
+    return `${CETZ_IMPORT}
+
+#set page(width: auto, height: auto, margin: 5pt)
+
+#let hatch = tiling(size: (4pt, 4pt))[
+  #place(line(start: (0%, 100%), end: (100%, 0%), stroke: 0.4pt))
+]
+
+#canvas(length: 1cm, {
+  import draw: *
+  set-style(stroke: 0.5pt)
+  ${commands.join('\n  ')}
+})
+`;
+}
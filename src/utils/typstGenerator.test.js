@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { generateTypst } from './typstGenerator';
+
+const tableData = {
+    variable: 'x',
+    points: ['-\\infty', '0', '+\\infty'],
+    tableType: 'both',
+    layoutConfig: { lgt: 2, espcl: 2, deltacl: 0.5 },
+    expressions: [{ name: "f'(x)", signs: ['h', '+'], pointTypes: ['n', 'd', 'n'] }],
+    variationRows: [{
+        name: 'f',
+        arrows: ['h', 'up'],
+        values: ['', '-\\infty', '+\\infty'],
+        leftValues: ['', '', ''],
+        pointTypes: ['n', 'd', 'n']
+    }]
+};
+
+describe('generateTypst', () => {
+    const code = generateTypst(tableData);
+
+    it('draws the table in a CeTZ canvas', () => {
+        expect(code).toContain('#import "@preview/cetz:0.3.4": canvas, draw');
+        expect(code).toContain('#canvas(length: 1cm, {');
+    });
+
+    it('fills forbidden zones with a tiling', () => {
+        expect(code).toContain('#let hatch = tiling(size: (4pt, 4pt))[');
+        expect(code).not.toContain('pattern(');
+        expect(code).toContain('rect((2.5, -1), (4.5, -2), fill: hatch, stroke: none)');
+    });
+
+    it('writes the cells as Typst math at tkz-tab positions', () => {
+        expect(code).toContain('content((2.5, -0.5), [$-infinity$])');
+        expect(code).toContain('mark: (end: ">", fill: black)');
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Link between the derivative's sign row and the variation arrows
+ * Used in the 'both' table type, where a sign row flagged with
+ * `variationLink: true` drives the arrows of the first variation row:
+ * - '+' interval <-> 'up' arrow
+ * - '-' interval <-> 'down' arrow
+ * - 'h' interval <-> 'h' (forbidden zone)
+ * - 'd' point    <-> 'd' in the variation point types (double bar)
+ */
+
+const SIGN_TO_ARROW = { '+': 'up', '-': 'down', h: 'h' };
+const ARROW_TO_SIGN = { up: '+', down: '-', h: 'h' };
+
+export function arrowsFromSigns(signs) {
+    return signs.map(sign => SIGN_TO_ARROW[sign] || 'up');
+}
+
+export function signsFromArrows(arrows) {
+    return arrows.map(arrow => ARROW_TO_SIGN[arrow] || '+');
+}
+
+/**
+ * Arrows and double bars that follow the derivative row
+ * @param {Object} row - The derivative sign row { signs, pointTypes }
+ * @param {string[]} variationPointTypes - Current variation point types
+ * @returns {{ arrows: string[], pointTypes: string[] }} Updates for the variation row
+ */
+export function syncVariationFromDerivative(row, variationPointTypes) {
+    const derivativeTypes = row.pointTypes || [];
+    return {
+        arrows: arrowsFromSigns(row.signs),
+        pointTypes: variationPointTypes.map((type, i) => {
+            if (derivativeTypes[i] === 'd') return 'd';
+            return type === 'd' ? 'n' : type;
+        })
+    };
+}
+
+/**
+ * Derivative row that follows the arrows and double bars
+ * A point between two opposite arrows becomes a zero of the derivative.
+ * @param {Object} row - The derivative sign row
+ * @param {string[]} arrows - Variation arrows
+ * @param {string[]} variationPointTypes - Variation point types
+ */
+export function syncDerivativeFromVariation(row, arrows, variationPointTypes) {
+    const pointTypes = (row.pointTypes || []).map((type, i) => {
+        if (variationPointTypes[i] === 'd') return 'd';
+
+        const before = arrows[i - 1];
+        const after = arrows[i];
+        const turns = (before === 'up' && after === 'down') || (before === 'down' && after === 'up');
+        if (turns) return 'z';
+        return type === 'd' ? 'n' : type;
+    });
+
+    return { ...row, signs: signsFromArrows(arrows), pointTypes };
+}
+
+/**
+ * Places where the derivative row and the variation row disagree
+ * @returns {Object[]} [{ kind: 'interval' | 'point', index }]
+ */
+export function findLinkConflicts(row, arrows, variationPointTypes) {
+    const conflicts = [];
+
+    row.signs.forEach((sign, i) => {
+        if (arrows[i] !== undefined && SIGN_TO_ARROW[sign] !== arrows[i]) {
+            conflicts.push({ kind: 'interval', index: i });
+        }
+    });
+
+    (row.pointTypes || []).forEach((type, i) => {
+        if ((type === 'd') !== (variationPointTypes[i] === 'd')) {
+            conflicts.push({ kind: 'point', index: i });
+        }
+    });
+
+    return conflicts;
+}
+
+/**
+ * Human readable summary of link conflicts, for confirmation prompts
+ * @param {Object[]} conflicts - Result of findLinkConflicts
+ * @param {string[]} points - Table points (LaTeX)
+ */
+export function describeLinkConflicts(conflicts, points) {
+    return conflicts.map(({ kind, index }) => (kind === 'interval'
+        ? `interval ${points[index]} → ${points[index + 1]}`
+        : `double bar at ${points[index]}`
+    )).join(', ');
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { syncVariationFromDerivative, syncDerivativeFromVariation, findLinkConflicts, describeLinkConflicts } from './variationLink';
+
+const derivative = { name: "f'(x)", signs: ['+', '-', 'h'], pointTypes: ['n', 'z', 'd', 'n'] };
+
+describe('syncVariationFromDerivative', () => {
+    it('turns signs into arrows and copies the double bars', () => {
+        const { arrows, pointTypes } = syncVariationFromDerivative(derivative, ['n', 'n', 'n', 'd']);
+        expect(arrows).toEqual(['up', 'down', 'h']);
+        expect(pointTypes).toEqual(['n', 'n', 'd', 'n']);
+    });
+});
+
+describe('syncDerivativeFromVariation', () => {
+    it('puts zeros where the arrows turn', () => {
+        const row = syncDerivativeFromVariation(
+            { name: "f'(x)", signs: [], pointTypes: ['n', 'n', 'n', 'n'] },
+            ['down', 'up', 'up'],
+            ['n', 'n', 'n', 'n']
+        );
+        expect(row.signs).toEqual(['-', '+', '+']);
+        expect(row.pointTypes).toEqual(['n', 'z', 'n', 'n']);
+    });
+
+    it('keeps double bars of the variation row', () => {
+        const row = syncDerivativeFromVariation(derivative, ['up', 'down', 'h'], ['n', 'd', 'n', 'n']);
+        expect(row.pointTypes).toEqual(['n', 'd', 'n', 'n']);
+    });
+});
+
+describe('findLinkConflicts', () => {
+    it('lists the intervals and double bars the rows disagree on', () => {
+        const conflicts = findLinkConflicts(derivative, ['up', 'up', 'h'], ['n', 'n', 'd', 'n']);
+        expect(conflicts).toEqual([{ kind: 'interval', index: 1 }]);
+        expect(describeLinkConflicts(conflicts, ['-\\infty', '0', '1', '+\\infty'])).toBe('interval 0 → 1');
+    });
+
+    it('finds none when the rows agree', () => {
+        expect(findLinkConflicts(derivative, ['up', 'down', 'h'], ['n', 'n', 'd', 'n'])).toEqual([]);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Variation rows
+ * A table can hold several variation rows (e.g. f and g, or f and f∘u).
+ * Each row: {
+ *   name: string,               // label in the first column, e.g. 'f(x)'
+ *   arrows: string[],           // per interval: 'up' | 'down' | 'h'
+ *   values: string[],           // per point (right value at double bars)
+ *   leftValues: string[],       // per point, value before a double bar
+ *   pointTypes: string[],       // per point: 'n' | 'd' | 'i'
+ *   intervalValues: Object[],   // per interval: tkzTabVal annotation or null
+ *   slopes: string[] | null     // per point tangent slopes, null = no slope row
+ *   hiddenArrows?, hiddenValues?: boolean[]  // hidden in the student version (studentCopy.js)
+ * }
+ */
+
+/**
+ * Create an empty variation row
+ * @param {number} pointCount - Number of points in the table
+ * @param {string} name - Row label
+ * @param {boolean} withSlopes - Whether the row has a tangent slope row
+ */
+export function createVariationRow(pointCount, name = 'f(x)', withSlopes = false) {
+    const intervalCount = Math.max(0, pointCount - 1);
+    return {
+        name,
+        arrows: Array(intervalCount).fill('up'),
+        values: Array(pointCount).fill(''),
+        leftValues: Array(pointCount).fill(''),
+        pointTypes: Array(pointCount).fill('n'),
+        intervalValues: Array(intervalCount).fill(null),
+        slopes: withSlopes ? Array(pointCount).fill('') : null
+    };
+}
+
+function resize(array, length, filler) {
+    const result = [...(array || [])];
+    while (result.length < length) result.push(filler);
+    while (result.length > length) result.pop();
+    return result;
+}
+
+/**
+ * Pad or truncate every per-point and per-interval array of a row
+ */
+export function resizeVariationRow(row, pointCount) {
+    const intervalCount = Math.max(0, pointCount - 1);
+    return {
+        ...row,
+        arrows: resize(row.arrows, intervalCount, 'up'),
+        values: resize(row.values, pointCount, ''),
+        leftValues: resize(row.leftValues, pointCount, ''),
+        pointTypes: resize(row.pointTypes, pointCount, 'n'),
+        intervalValues: resize(row.intervalValues, intervalCount, null),
+        slopes: row.slopes ? resize(row.slopes, pointCount, '') : null,
+        ...(row.hiddenArrows && { hiddenArrows: resize(row.hiddenArrows, intervalCount, false) }),
+        ...(row.hiddenValues && { hiddenValues: resize(row.hiddenValues, pointCount, false) })
+    };
+}
+
+/**
+ * Variation rows of a table model
+ * Older models (and templates) store a single row in flat fields:
+ * arrows, values, variationLeftValues, variationPointTypes, variationFunctionName...
+ */
+export function getVariationRows(tableData) {
+    if (Array.isArray(tableData.variationRows)) return tableData.variationRows;
+
+    return [{
+        name: tableData.variationFunctionName || tableData.functionName || 'f(x)',
+        arrows: tableData.arrows || [],
+        values: tableData.values || [],
+        leftValues: tableData.variationLeftValues || [],
+        pointTypes: tableData.variationPointTypes || [],
+        intervalValues: tableData.variationIntervalValues || [],
+        slopes: tableData.variationSlopes || null
+    }];
+}
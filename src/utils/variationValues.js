@@ -0,0 +1,241 @@
+/**
+ * Variation values calculator
+ * Computes exact values at local extrema and limits at ±∞ and at double bars
+ * for polynomial and rational functions. Values at rational points are fractions,
+ * at points with one square root (\sqrt{2}, \frac{1+\sqrt{5}}{2}) exact surds, and
+ * elsewhere (\approx 1.26, \pi) decimals rounded to two places, written \approx.
+ */
+
+import { parseLatex, toRationalFunction, containsVariable, evaluate, isApproximate } from './mathParser';
+import {
+    polyDegree, polyLeading, polyEval, polyEvalNumber, polyDivide, polyRealRoots, polyTrim,
+    polyMul, polySub, polyDerivative
+} from './polynomial';
+import { rational, isZero, div, toNumber, toLatex } from './rational';
+import { surdFromRational, surdDiv, surdToLatex, polyEvalSurd, treeToSurd } from './surd';
+
+/**
+ * Remove the factors (x - r) shared by numerator and denominator
+ * so that removable discontinuities get a finite limit
+ */
+function cancelCommonRoots(num, den) {
+    let reducedNum = num;
+    let reducedDen = den;
+
+    polyRealRoots(den).filter(r => r.exact).forEach(root => {
+        const factor = [rational(-root.exact.n, root.exact.d), rational(1)];
+        for (let k = 0; k < root.multiplicity; k++) {
+            if (!isZero(polyEval(reducedNum, root.exact))) break;
+            reducedNum = polyDivide(reducedNum, factor).quotient;
+            reducedDen = polyDivide(reducedDen, factor).quotient;
+        }
+    });
+
+    return { num: reducedNum, den: reducedDen };
+}
+
+function formatApproximation(value) {
+    return `\\approx ${Number(value.toFixed(2))}`;
+}
+
+/**
+ * A rational written as a decimal, rounded when it has no short decimal form
+ */
+function formatDecimal(r) {
+    let d = r.d;
+    while (d % 2 === 0) d /= 2;
+    while (d % 5 === 0) d /= 5;
+    const value = toNumber(r);
+    return d === 1 && Number(value.toFixed(6)) === value ? String(value) : formatApproximation(value);
+}
+
+function infinity(sign) {
+    return sign > 0 ? '+\\infty' : '-\\infty';
+}
+
+/**
+ * Limit of num/den at +∞ (direction = 1) or -∞ (direction = -1)
+ */
+function limitAtInfinity(num, den, direction) {
+    const degreeGap = polyDegree(num) - polyDegree(den);
+    if (polyTrim(num).length === 0 || degreeGap < 0) return '0';
+
+    const ratio = div(polyLeading(num), polyLeading(den));
+    if (degreeGap === 0) return toLatex(ratio);
+
+    const parity = direction < 0 && degreeGap % 2 === 1 ? -1 : 1;
+    return infinity(Math.sign(toNumber(ratio)) * parity);
+}
+
+/**
+ * One-sided limit at x0 (side = -1 for the left, 1 for the right)
+ */
+function limitAt(reduced, x0, side) {
+    const denominator = polyEvalNumber(reduced.den, x0.value);
+    if (Math.abs(denominator) > 1e-12) {
+        return formatValue(reduced, x0);
+    }
+    const h = 1e-6 * Math.max(1, Math.abs(x0.value));
+    const nearby = x0.value + side * h;
+    return infinity(Math.sign(polyEvalNumber(reduced.num, nearby) / polyEvalNumber(reduced.den, nearby)));
+}
+
+/**
+ * Parse a point into its numeric value and, when it has one, its exact value:
+ * exact (rational) for 2 or \frac{1}{2}, surd for \sqrt{2}, neither for \approx 1.26.
+ * decimal marks points typed as decimals (0.5), whose values are written as decimals.
+ */
+function parsePoint(point, variable) {
+    const tree = parseLatex(point, variable);
+    if (containsVariable(tree)) throw new Error(`Point "${point}" depends on ${variable}`);
+    const value = evaluate(tree);
+    if (isApproximate(point)) return { value, exact: null, surd: null, approx: true };
+    try {
+        const { num, den } = toRationalFunction(tree);
+        const exact = num.length === 0 ? rational(0) : div(num[0], den[0]);
+        return { value: toNumber(exact), exact, surd: surdFromRational(exact), decimal: /\d(?:\.|\{,\})\d/.test(point) };
+    } catch {
+        return { value, exact: null, surd: treeToSurd(tree) };
+    }
+}
+
+/**
+ * f(x0) as LaTeX: a fraction at a rational x0 (a decimal if x0 was typed as one),
+ * a surd at a surd x0, a rounded decimal otherwise
+ */
+function formatValue({ num, den }, x0) {
+    if (x0.exact) {
+        const value = div(polyEval(num, x0.exact), polyEval(den, x0.exact));
+        return x0.decimal ? formatDecimal(value) : toLatex(value);
+    }
+    const numerator = x0.surd && polyEvalSurd(num, x0.surd);
+    const denominator = x0.surd && polyEvalSurd(den, x0.surd);
+    const value = numerator && denominator && surdDiv(numerator, denominator);
+    if (value) return surdToLatex(value);
+    return formatApproximation(polyEvalNumber(num, x0.value) / polyEvalNumber(den, x0.value));
+}
+
+function isInfinity(point) {
+    return /^[+-]?\\infty$/.test(point.trim());
+}
+
+// Largest gap between a root and its two-decimal rounding
+const ROUNDING = 0.005 + 1e-9;
+
+/**
+ * Numerator of f' = (num' den - num den') / den^2, which has the sign of f'
+ */
+function slopeNumerator({ num, den }) {
+    return polySub(polyMul(polyDerivative(num), den), polyMul(num, polyDerivative(den)));
+}
+
+/**
+ * Replace the value of an approximate point by the pole or critical point it rounds
+ */
+function snapApproximation(x0, reduced, slope) {
+    if (!x0.approx) return x0;
+    const nearest = [...polyRealRoots(reduced.den), ...polyRealRoots(slope)]
+        .find(root => Math.abs(root.value - x0.value) <= ROUNDING);
+    return nearest ? { ...x0, value: nearest.value } : x0;
+}
+
+/**
+ * Direction of f on each interval between points, from the sign of f':
+ * 'up', 'down', 'constant', 'turns' when f' changes sign inside the interval,
+ * or null when an end point has no value
+ */
+function intervalTrends(slope, xs) {
+    const turning = polyRealRoots(slope).filter(root => root.multiplicity % 2 === 1).map(root => root.value);
+    const margin = (x) => (Number.isFinite(x) ? 1e-9 * Math.max(1, Math.abs(x)) : 0);
+    const inside = (t, lo, hi) => t > lo + margin(lo) && t < hi - margin(hi);
+
+    return xs.slice(0, -1).map((lo, i) => {
+        const hi = xs[i + 1];
+        if (lo === null || hi === null) return null;
+        if (polyTrim(slope).length === 0) return 'constant';
+        if (turning.some(t => inside(t, lo, hi))) return 'turns';
+
+        let sample = (lo + hi) / 2;
+        if (lo === -Infinity) sample = hi === Infinity ? 0 : hi - 1;
+        else if (hi === Infinity) sample = lo + 1;
+        return polyEvalNumber(slope, sample) > 0 ? 'up' : 'down';
+    });
+}
+
+/**
+ * Compute the variation values of a function
+ * Fills f(x0) at local extrema, finite ends and image-on-arrow points, one-sided limits at
+ * double bars and limits at ±∞. Other values are kept as they are. The extrema come from
+ * the sign of f', and an arrow that disagrees with it gives a warning.
+ * @param {string} latex - The function expression, e.g. '\\frac{x^2+1}{x-1}'
+ * @param {string} variable - The variable name
+ * @param {string[]} points - Table points
+ * @param {Object} row - Variation row { arrows, values, leftValues, pointTypes }
+ * @returns {{ values: string[], leftValues: string[], warnings: string[] }}
+ */
+export function computeVariationValues(latex, variable, points, row) {
+    const { arrows = [], pointTypes: variationPointTypes = [] } = row;
+    const tree = parseLatex(latex, variable);
+    const { num, den } = toRationalFunction(tree);
+    if (polyTrim(den).length === 0) throw new Error('Division by zero');
+
+    const reduced = cancelCommonRoots(num, den);
+    const slope = slopeNumerator(reduced);
+    const values = [...row.values];
+    const leftValues = [...row.leftValues];
+    const warnings = [];
+    const last = points.length - 1;
+
+    const parsed = points.map(point => {
+        if (!point) return null;
+        if (isInfinity(point)) return { value: point.trim().startsWith('-') ? -Infinity : Infinity, infinite: true };
+        return snapApproximation(parsePoint(point, variable), reduced, slope);
+    });
+    const trends = intervalTrends(slope, parsed.map(x0 => (x0 ? x0.value : null)));
+
+    trends.forEach((trend, i) => {
+        const between = `between ${points[i]} and ${points[i + 1]}`;
+        if (trend === 'turns') {
+            warnings.push(`f changes direction ${between}: add the point where f' = 0`);
+        } else if ((trend === 'up' || trend === 'down') && (arrows[i] === 'up' || arrows[i] === 'down') && arrows[i] !== trend) {
+            warnings.push(`f is ${trend === 'up' ? 'increasing' : 'decreasing'} ${between}, but its arrow goes ${arrows[i]}`);
+        }
+    });
+
+    // Direction used for the extrema: f' where it has one sign, else the arrow drawn
+    const direction = (i) => (trends[i] === 'up' || trends[i] === 'down' ? trends[i] : trends[i] === 'constant' ? null : arrows[i]);
+
+    parsed.forEach((x0, i) => {
+        if (!x0) return;
+
+        if (x0.infinite) {
+            const limit = limitAtInfinity(reduced.num, reduced.den, Math.sign(x0.value));
+            if (x0.value < 0) values[i] = limit;
+            else if (variationPointTypes[i] === 'd') leftValues[i] = limit;
+            else values[i] = limit;
+            return;
+        }
+
+        const undefinedHere = Math.abs(polyEvalNumber(den, x0.value)) < 1e-12;
+
+        if (variationPointTypes[i] === 'd') {
+            if (i > 0) leftValues[i] = limitAt(reduced, x0, -1);
+            if (i < last) values[i] = limitAt(reduced, x0, 1);
+            return;
+        }
+
+        if (undefinedHere) {
+            warnings.push(`f is not defined at ${points[i]}: mark it with a double bar to get its limits`);
+            return;
+        }
+
+        const before = direction(i - 1);
+        const after = direction(i);
+        const isExtremum = (before === 'up' && after === 'down') || (before === 'down' && after === 'up');
+        if (isExtremum || i === 0 || i === last || variationPointTypes[i] === 'i') {
+            values[i] = formatValue(reduced, x0);
+        }
+    });
+
+    return { values, leftValues, warnings };
+}
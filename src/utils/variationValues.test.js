@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { computeVariationValues } from './variationValues';
+
+const row = (arrows, pointTypes) => ({
+    arrows,
+    pointTypes,
+    values: pointTypes.map(() => ''),
+    leftValues: pointTypes.map(() => '')
+});
+
+describe('computeVariationValues', () => {
+    it('fills the extrema and the limits', () => {
+        const result = computeVariationValues('x^3-3x', 'x', ['-\\infty', '-1', '1', '+\\infty'], row(['up', 'down', 'up'], ['n', 'n', 'n', 'n']));
+        expect(result.values).toEqual(['-\\infty', '2', '-2', '+\\infty']);
+        expect(result.warnings).toEqual([]);
+    });
+
+    it('gives exact values at surd points', () => {
+        const points = ['-\\infty', '-\\sqrt{2}', '\\sqrt{2}', '+\\infty'];
+        const result = computeVariationValues('x^3-6x', 'x', points, row(['up', 'down', 'up'], ['n', 'n', 'n', 'n']));
+        expect(result.values).toEqual(['-\\infty', '4\\sqrt{2}', '-4\\sqrt{2}', '+\\infty']);
+    });
+
+    it('fills the images written on an arrow', () => {
+        const points = ['-\\infty', '-\\sqrt{2}', '0', '\\sqrt{2}', '+\\infty'];
+        const result = computeVariationValues('x^2-2', 'x', points, row(['down', 'down', 'up', 'up'], ['n', 'i', 'n', 'i', 'n']));
+        expect(result.values).toEqual(['+\\infty', '0', '-2', '0', '+\\infty']);
+    });
+
+    it('gives one-sided limits at a double bar', () => {
+        const result = computeVariationValues('\\frac{1}{x}', 'x', ['-\\infty', '0', '+\\infty'], row(['down', 'down'], ['n', 'd', 'n']));
+        expect(result.values).toEqual(['0', '+\\infty', '0']);
+        expect(result.leftValues[1]).toBe('-\\infty');
+    });
+
+    it('takes the direction from f\' and warns about a wrong arrow', () => {
+        const result = computeVariationValues('x^2', 'x', ['-\\infty', '0', '+\\infty'], row(['up', 'up'], ['n', 'n', 'n']));
+        expect(result.values).toEqual(['+\\infty', '0', '+\\infty']);
+        expect(result.warnings).toEqual(['f is decreasing between -\\infty and 0, but its arrow goes up']);
+    });
+
+    it('warns when f turns between two points', () => {
+        const result = computeVariationValues('x^2', 'x', ['-1', '2'], row(['up'], ['n', 'n']));
+        expect(result.warnings).toEqual(["f changes direction between -1 and 2: add the point where f' = 0"]);
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Worksheets
+ * A worksheet collects several table models, each with its exercise text and an
+ * optional caption, and generates one article document with numbering and page
+ * layout. The worksheet is kept in localStorage; server.js compiles it to a PDF.
+ */
+
+import { generateDocumentHeader, generateTableSetup, generateTikzPicture } from './latexGenerator';
+import { exerciseHeading } from './outputLocale';
+import { getVariationRows } from './variationRows';
+import { makeStudentCopy, makeAnswerKey } from './studentCopy';
+
+const WORKSHEET_KEY = 'mathtable.worksheet';
+
+export const NUMBERING_STYLES = [
+    { value: 'exercise', label: 'Exercise 1, Exercise 2, ...' },
+    { value: 'number', label: '1., 2., ...' },
+    { value: 'none', label: 'None' }
+];
+
+export const PAPER_SIZES = [
+    { value: 'a4paper', label: 'A4' },
+    { value: 'letterpaper', label: 'US Letter' }
+];
+
+export const FONT_SIZES = ['10pt', '11pt', '12pt'];
+
+// Versions of the document: the tables as they are, or through studentCopy.js
+export const WORKSHEET_VERSIONS = [
+    { value: 'full', label: 'Complete', fileSuffix: '' },
+    { value: 'student', label: 'Student copy', fileSuffix: '_student' },
+    { value: 'answer-key', label: 'Answer key', fileSuffix: '_answers' }
+];
+
+const VERSION_TRANSFORMS = {
+    student: makeStudentCopy,
+    'answer-key': makeAnswerKey
+};
+
+export const DEFAULT_WORKSHEET = {
+    title: '',
+    instructions: '',
+    numbering: 'exercise',
+    paperSize: 'a4paper',
+    margin: '2cm',
+    fontSize: '11pt',
+    columns: 1,
+    pageBreaks: false, // each exercise on a new page (a new column with two columns)
+    items: [] // { tableData, text, caption }
+};
+
+/**
+ * A worksheet item holding a copy of the table
+ */
+export function createWorksheetItem(tableData) {
+    return { tableData: JSON.parse(JSON.stringify(tableData)), text: '', caption: '' };
+}
+
+/**
+ * Short description of a table for the item list, e.g. "f'(x), f(x) on -\infty … +\infty"
+ */
+export function describeWorksheetTable(tableData) {
+    const { tableType = 'both', points = [], expressions = [], functionName = 'f(x)' } = tableData;
+    const names = [];
+    if (tableType !== 'variation') {
+        names.push(...(expressions.length > 0 ? expressions.map(expr => expr.name) : [functionName]));
+    }
+    if (tableType !== 'sign') {
+        names.push(...getVariationRows(tableData).map(row => row.name));
+    }
+    const range = points.length > 0 ? ` on ${points[0]} … ${points[points.length - 1]}` : '';
+    return `${names.filter(Boolean).join(', ') || functionName}${range}`;
+}
+
+export function loadWorksheet() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(WORKSHEET_KEY));
+        if (saved && Array.isArray(saved.items)) return { ...DEFAULT_WORKSHEET, ...saved };
+    } catch {
+        // Corrupt storage: start with an empty worksheet
+    }
+    return DEFAULT_WORKSHEET;
+}
+
+export function saveWorksheet(worksheet) {
+    localStorage.setItem(WORKSHEET_KEY, JSON.stringify(worksheet));
+}
+
+/**
+ * Heading line of an exercise, '' without numbering
+ */
+function exerciseStart(numbering, number, locale) {
+    if (numbering === 'exercise') return `\\subsection*{${exerciseHeading(number, locale)}}\n`;
+    if (numbering === 'number') return `\\noindent\\textbf{${number}.} `;
+    return '';
+}
+
+/**
+ * One exercise: heading, text, then the centred table (shrunk to the line width
+ * when wider) and its caption
+ */
+function generateExercise(item, number, worksheet, preamble, transform) {
+    const locale = preamble.outputLocale || '';
+    const text = (item.text || '').trim();
+    const caption = (item.caption || '').trim();
+    const start = exerciseStart(worksheet.numbering, number, locale);
+    const intro = start || text ? `${`${start}${text}`.trimEnd()}\n\n` : '';
+
+    return `${intro}\\begin{center}
+\\resizebox{\\ifdim\\width>\\linewidth\\linewidth\\else\\width\\fi}{!}{%
+${generateTikzPicture(transform(item.tableData), preamble)}%
+}${caption ? `\n\\captionof{table}{${caption}}` : ''}
+\\end{center}`;
+}
+
+/**
+ * Generate the worksheet as one LaTeX document
+ * @param {Object} worksheet - Worksheet (see DEFAULT_WORKSHEET)
+ * @param {Object} preamble - Active preamble settings (the document class is always article)
+ * @param {string} version - 'full', 'student' or 'answer-key' (see WORKSHEET_VERSIONS)
+ */
+export function generateWorksheetDocument(worksheet, preamble = {}, version = 'full') {
+    const settings = { ...DEFAULT_WORKSHEET, ...worksheet };
+    const { title, instructions, paperSize, margin, fontSize, columns, pageBreaks, items } = settings;
+    const twoColumns = Number(columns) > 1;
+    const transform = VERSION_TRANSFORMS[version] || (tableData => tableData);
+
+    const packages = [
+        `\\usepackage[${paperSize},margin=${margin.trim() || DEFAULT_WORKSHEET.margin}]{geometry}`,
+        '\\usepackage{graphicx}'
+    ];
+    if (twoColumns) packages.push('\\usepackage{multicol}');
+    if (items.some(item => (item.caption || '').trim())) packages.push('\\usepackage{caption}');
+
+    const front = [];
+    if (title.trim()) front.push(`\\begin{center}\n{\\Large\\bfseries ${title.trim()}}\n\\end{center}`);
+    if (instructions.trim()) front.push(`\\noindent ${instructions.trim()}`);
+
+    const separator = pageBreaks ? '\n\n\\newpage\n\n' : '\n\n\\bigskip\n\n';
+    let exercises = items.map((item, i) => generateExercise(item, i + 1, settings, preamble, transform)).join(separator);
+    if (twoColumns) exercises = `\\begin{multicols}{2}\n${exercises}\n\\end{multicols}`;
+
+    return `${generateDocumentHeader({ ...preamble, documentClass: 'article' }, [fontSize])}
+${packages.join('\n')}
+${generateTableSetup(preamble)}
+
+\\begin{document}
+${[...front, exercises].join('\n\n')}
+\\end{document}`;
+}
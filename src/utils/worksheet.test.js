@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createWorksheetItem, describeWorksheetTable, generateWorksheetDocument } from './worksheet';
+
+const tableData = {
+    variable: 'x',
+    points: ['-\\infty', '0', '+\\infty'],
+    tableType: 'both',
+    expressions: [{ name: "f'(x)", signs: ['-', '+'], pointTypes: ['n', 'z', 'n'] }],
+    variationRows: [{ name: 'f', arrows: ['down', 'up'], values: ['+\\infty', '0', '+\\infty'], leftValues: ['', '', ''], pointTypes: ['n', 'n', 'n'] }]
+};
+
+const worksheet = (settings, items) => ({
+    title: 'Sign tables',
+    items: items || [
+        { ...createWorksheetItem(tableData), text: 'Study $f$.' },
+        { ...createWorksheetItem(tableData), caption: 'Variations of $f$' }
+    ],
+    ...settings
+});
+
+describe('worksheet items', () => {
+    it('hold a copy of the table', () => {
+        const item = createWorksheetItem(tableData);
+        expect(item.tableData).toEqual(tableData);
+        expect(item.tableData).not.toBe(tableData);
+    });
+
+    it('are described by their rows and range', () => {
+        expect(describeWorksheetTable(tableData)).toBe("f'(x), f on -\\infty … +\\infty");
+        expect(describeWorksheetTable({ ...tableData, tableType: 'sign' })).toBe("f'(x) on -\\infty … +\\infty");
+    });
+});
+
+describe('generateWorksheetDocument', () => {
+    it('writes one article with the page layout and one picture per exercise', () => {
+        const document = generateWorksheetDocument(worksheet({ fontSize: '12pt', margin: ' ' }));
+        expect(document).toContain('\\documentclass[12pt]{article}');
+        expect(document).toContain('\\usepackage[a4paper,margin=2cm]{geometry}');
+        expect(document).toContain('{\\Large\\bfseries Sign tables}');
+        expect(document.match(/\\begin\{tikzpicture\}/g)).toHaveLength(2);
+        expect(document).not.toContain('multicols');
+    });
+
+    it('numbers the exercises and loads caption only for captions', () => {
+        const document = generateWorksheetDocument(worksheet());
+        expect(document).toContain('\\subsection*{Exercise 1}\nStudy $f$.');
+        expect(document).toContain('\\subsection*{Exercise 2}\n\n\\begin{center}');
+        expect(document).toContain('\\usepackage{caption}');
+        expect(document).toContain('\\captionof{table}{Variations of $f$}');
+
+        const numbered = generateWorksheetDocument(worksheet({ numbering: 'number' }, [createWorksheetItem(tableData)]));
+        expect(numbered).toContain('\\noindent\\textbf{1.}\n\n\\begin{center}');
+        expect(numbered).not.toContain('caption');
+    });
+
+    it('sets two columns and page breaks', () => {
+        const document = generateWorksheetDocument(worksheet({ columns: 2, pageBreaks: true, numbering: 'none' }));
+        expect(document).toContain('\\usepackage{multicol}');
+        expect(document).toContain('\\begin{multicols}{2}\nStudy $f$.');
+        expect(document).toContain('\\end{center}\n\n\\newpage\n\n\\begin{center}');
+    });
+});